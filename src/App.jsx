@@ -8,13 +8,59 @@ import React, {
   useCallback,
 } from "react";
 import { createRoot } from "react-dom/client";
-import Dexie from "dexie";
-import { http, HttpResponse, delay } from "msw";
-import { setupWorker } from "msw/browser";
+// Schema, seed data and question types live in db.js; the mock API that
+// main.jsx starts is in src/api
+import { QUESTION_TYPES, seedDatabase, slugify } from "./db.js";
+import {
+  buildAssessmentExport,
+  CONDITION_OPERATORS,
+  checkConditionDependencies,
+  checkFileConstraints,
+  countRulesReferencing,
+  countRulesUsingOption,
+  diffAssessments,
+  findOrderViolations,
+  formatDuration,
+  generateId,
+  formatFileSize,
+  getQuestionVisibility,
+  getRatingScale,
+  getRemainingMs,
+  getSectionVisibility,
+  getTimedOutSectionIds,
+  getTimeLimitMs,
+  hasDependencyIssues,
+  hasSectionTimeLimits,
+  isConditionGroup,
+  isTimedAssessment,
+  normalizeExtension,
+  pruneHiddenResponses,
+  removeDanglingRules,
+  removeRulesReferencing,
+  renameConditionOption,
+  SCORABLE_TYPES,
+  toList,
+  validateAssessmentImport,
+  validateResponses,
+} from "./utils/assessmentEngine.js";
+import { splitHighlights } from "./utils/jobSearch.js";
+import {
+  DEFAULT_STAGES,
+  defaultMoveTarget,
+  getJobStages,
+  mergeStages,
+  removedStages,
+  stageTitle,
+  validateStages,
+} from "./utils/pipeline.js";
 import {
   DndContext,
   closestCenter,
+  pointerWithin,
+  useDraggable,
+  useDroppable,
   PointerSensor,
+  KeyboardSensor,
   useSensor,
   useSensors,
   DragOverlay,
@@ -28,7 +74,7 @@ import {
   useSortable,
 } from "@dnd-kit/sortable";
 import { CSS } from "@dnd-kit/utilities";
-import * as ReactWindow from "react-window";
+import { List } from "react-window";
 import {
   LayoutDashboard,
   Briefcase,
@@ -38,6 +84,7 @@ import {
   Trash2,
   Edit,
   ChevronDown,
+  ChevronUp,
   ChevronRight,
   ChevronLeft,
   ChevronsRight,
@@ -49,615 +96,28 @@ import {
   Loader2,
   UploadCloud,
   FileText,
-  Save,
   Eye,
   Settings2,
   ArrowRight,
   Grip,
+  Archive,
+  ArchiveRestore,
+  Download,
+  History,
+  RotateCcw,
+  Send,
+  Undo2,
+  Redo2,
+  Copy,
+  BookmarkPlus,
+  FileDown,
+  FileUp,
+  Timer,
+  ClipboardList,
+  Kanban,
 } from "lucide-react";
 
-// --- 1. CONFIG & CONSTANTS ---
-
-const CANDIDATE_STAGES = [
-  { id: "applied", title: "Applied" },
-  { id: "screen", title: "Screen" },
-  { id: "tech", title: "Tech Interview" },
-  { id: "offer", title: "Offer" },
-  { id: "hired", title: "Hired" },
-  { id: "rejected", title: "Rejected" },
-];
-const STAGE_IDS = CANDIDATE_STAGES.map((s) => s.id);
-
-const QUESTION_TYPES = [
-  { id: "short-text", name: "Short Text" },
-  { id: "long-text", name: "Long Text" },
-  { id: "single-choice", name: "Single Choice" },
-  { id: "multi-choice", name: "Multiple Choice" },
-  { id: "numeric", name: "Numeric" },
-  { id: "file", name: "File Upload" },
-];
-
-// --- 2. DEXIE DATABASE ---
-
-const db = new Dexie("TalentFlowDB");
-db.version(1).stores({
-  jobs: "++id, &slug, title, status, order, createdAt",
-  candidates: "++id, &email, name, stage, jobId, createdAt, [jobId+stage]",
-  assessments: "&jobId, title, sections", // &jobId makes it the primary key
-  assessmentResponses: "++id, candidateId, jobId, createdAt",
-});
-
-// --- 3. MSW MOCK API ---
-
-// MSW utility to simulate latency
-const randomLatency = (min = 400, max = 1200) =>
-  delay(min + Math.random() * (max - min));
-
-// MSW utility to simulate write errors
-const simulateError = (rate = 0.1) => {
-  return Math.random() < rate;
-};
-
-const handlers = [
-  // --- JOBS ---
-  http.get('/jobs', async ({ request }) => {
-  await randomLatency();
-  const url = new URL(request.url);
-  const search = url.searchParams.get('search') || '';
-  const status = url.searchParams.get('status') || 'all';
-  const page = parseInt(url.searchParams.get('page') || '1', 10);
-  const pageSize = parseInt(
-    url.searchParams.get('pageSize') || '10',
-    10
-  );
-  const sort = url.searchParams.get('sort') || 'order'; // Default sort by 'order'
-
-  // --- CORRECTED QUERY LOGIC ---
-  let collection;
-
-  // 1. Start with a base collection (all or filtered by status)
-  if (status !== 'all') {
-    collection = db.jobs.where('status').equals(status);
-  } else {
-    collection = db.jobs.toCollection();
-  }
-
-  // 2. Apply search filter if it exists
-  if (search) {
-    const lowerSearch = search.toLowerCase();
-    // .filter() works on both WhereClause and Collection objects
-    collection = collection.filter(job => 
-      job.title.toLowerCase().startsWith(lowerSearch) ||
-      job.slug.toLowerCase().startsWith(lowerSearch)
-    );
-  }
-
-  // 3. Now 'collection' is a Collection, which has .count() and .sortBy()
-  const total = await collection.count();
-  const jobs = await collection
-    .sortBy(sort) // This will now work
-    .then((res) =>
-      res.slice((page - 1) * pageSize, page * pageSize)
-    );
-
-    return HttpResponse.json({
-      jobs,
-      pagination: {
-        page,
-        pageSize,
-        total,
-        totalPages: Math.ceil(total / pageSize),
-      },
-    });
-  }),
-
-  http.post("/jobs", async ({ request }) => {
-    await randomLatency();
-    if (simulateError(0.1)) {
-      return new HttpResponse(
-        JSON.stringify({ message: "Server failed to create job" }),
-        { status: 500 }
-      );
-    }
-
-    const newJob = await request.json();
-    // Get max order
-    const lastJob = await db.jobs.orderBy("order").last();
-    const newOrder = (lastJob?.order || 0) + 1;
-
-    const jobWithDefaults = {
-      ...newJob,
-      status: "active",
-      createdAt: new Date().toISOString(),
-      order: newOrder,
-    };
-    const id = await db.jobs.add(jobWithDefaults);
-
-    return HttpResponse.json({ ...jobWithDefaults, id }, { status: 201 });
-  }),
-
-  http.patch("/jobs/:id", async ({ request, params }) => {
-    await randomLatency();
-    if (simulateError(0.1)) {
-      return new HttpResponse(
-        JSON.stringify({ message: "Failed to save changes" }),
-        { status: 500 }
-      );
-    }
-
-    const id = parseInt(params.id, 10);
-    const updates = await request.json();
-    await db.jobs.update(id, updates);
-
-    return HttpResponse.json({ id, ...updates });
-  }),
-
-  // This is the bulk reorder endpoint for D&D.
-  // The prompt's "PATCH /jobs/:id/reorder" is inefficient for D&D.
-  // A bulk update is the correct pattern.
-  http.patch("/jobs/reorder", async ({ request }) => {
-    await randomLatency();
-    // Higher error rate for this specific critical endpoint
-    if (simulateError(0.15)) {
-      return new HttpResponse(
-        JSON.stringify({ message: "Failed to reorder jobs" }),
-        { status: 500 }
-      );
-    }
-
-    const { orderedJobs } = await request.json(); // Expects [{ id: 1, order: 0 }, { id: 2, order: 1 }, ...]
-    await db.jobs.bulkUpdate(orderedJobs);
-
-    return HttpResponse.json({ status: "ok" });
-  }),
-
-  // --- CANDIDATES ---
-  http.get("/candidates", async ({ request }) => {
-    await randomLatency(600, 1500); // Slower for large data
-    const url = new URL(request.url);
-    const search = url.searchParams.get("search") || "";
-    const stage = url.searchParams.get("stage") || "all";
-    const page = parseInt(url.searchParams.get("page") || "1", 10);
-    const pageSize = parseInt(
-      url.searchParams.get("pageSize") || "1000", // Default to 1000 for virt list/kanban
-      10
-    );
-
-    let query = db.candidates;
-
-    if (stage !== "all") {
-      query = query.where("stage").equals(stage);
-    }
-
-    if (search) {
-      query = query
-        .where("name")
-        .startsWithIgnoreCase(search)
-        .or("email")
-        .startsWithIgnoreCase(search);
-    }
-
-    const total = await query.count();
-    const candidates = await query
-      .offset((page - 1) * pageSize)
-      .limit(pageSize)
-      .toArray();
-
-    return HttpResponse.json({
-      candidates,
-      pagination: {
-        page,
-        pageSize,
-        total,
-        totalPages: Math.ceil(total / pageSize),
-      },
-    });
-  }),
-
-  http.post("/candidates", async ({ request }) => {
-    await randomLatency();
-    if (simulateError(0.1)) {
-      return new HttpResponse(
-        JSON.stringify({ message: "Failed to create candidate" }),
-        { status: 500 }
-      );
-    }
-
-    const newCandidate = await request.json();
-    const candidateWithDefaults = {
-      ...newCandidate,
-      stage: "applied",
-      createdAt: new Date().toISOString(),
-    };
-    const id = await db.candidates.add(candidateWithDefaults);
-
-    return HttpResponse.json({ ...candidateWithDefaults, id }, { status: 201 });
-  }),
-
-  // Used for updating candidate (e.g., stage change in Kanban)
-  http.patch("/candidates/:id", async ({ request, params }) => {
-    await randomLatency();
-    if (simulateError(0.1)) {
-      return new HttpResponse(
-        JSON.stringify({ message: "Failed to update candidate" }),
-        { status: 500 }
-      );
-    }
-
-    const id = parseInt(params.id, 10);
-    const updates = await request.json();
-    await db.candidates.update(id, updates);
-
-    return HttpResponse.json({ id, ...updates });
-  }),
-
-  http.get("/candidates/:id/timeline", async () => {
-    await randomLatency();
-    // Just return mock data
-    return HttpResponse.json([
-      {
-        id: 1,
-        event: "Applied",
-        date: "2025-10-20T10:00:00Z",
-        notes: "Applied via company portal.",
-      },
-      {
-        id: 2,
-        event: "AI Screen",
-        date: "2025-10-20T10:01:00Z",
-        notes: 'Resume matched 88% for "React" and "Node.js".',
-      },
-      {
-        id: 3,
-        event: "Stage Change",
-        date: "2025-10-21T09:15:00Z",
-        notes: "Moved to Screen by HR (Jane Doe).",
-      },
-      {
-        id: 4,
-        event: "Assessment Sent",
-        date: "2025-10-21T09:16:00Z",
-        notes: "React Fundamentals assessment sent.",
-      },
-    ]);
-  }),
-
-  // --- ASSESSMENTS ---
-  http.get("/assessments/:jobId", async ({ params }) => {
-    await randomLatency();
-    const jobId = parseInt(params.jobId, 10);
-    const assessment = await db.assessments.get(jobId);
-
-    if (assessment) {
-      return HttpResponse.json(assessment);
-    } else {
-      // Return a default empty structure if none exists
-      return HttpResponse.json({
-        jobId: jobId,
-        title: "New Assessment",
-        sections: [
-          {
-            id: "s1",
-            title: "Default Section",
-            description: "This is a default section.",
-            questions: [],
-          },
-        ],
-      });
-    }
-  }),
-
-  // PUT for create/replace
-  http.put("/assessments/:jobId", async ({ request, params }) => {
-    await randomLatency();
-    if (simulateError(0.1)) {
-      return new HttpResponse(
-        JSON.stringify({ message: "Failed to save assessment" }),
-        { status: 500 }
-      );
-    }
-
-    const jobId = parseInt(params.jobId, 10);
-    const assessmentData = await request.json();
-    await db.assessments.put({ ...assessmentData, jobId });
-
-    return HttpResponse.json(assessmentData);
-  }),
-
-  http.post("/assessments/:jobId/submit", async ({ request, params }) => {
-    await randomLatency();
-    if (simulateError(0.1)) {
-      return new HttpResponse(
-        JSON.stringify({ message: "Failed to submit assessment" }),
-        { status: 500 }
-      );
-    }
-
-    const jobId = parseInt(params.jobId, 10);
-    const submission = await request.json(); // Expects { candidateId, responses: {...} }
-    const response = {
-      ...submission,
-      jobId,
-      createdAt: new Date().toISOString(),
-    };
-    const id = await db.assessmentResponses.add(response);
-
-    return HttpResponse.json({ ...response, id }, { status: 201 });
-  }),
-];
-
-// Export worker for main.jsx
-export const worker = setupWorker(...handlers);
-
-// --- 4. SEED DATA ---
-
-// Helper for random data
-const a = (arr) => arr[Math.floor(Math.random() * arr.length)];
-const r = (min, max) => Math.floor(Math.random() * (max - min + 1)) + min;
-
-// Simple slugify
-const slugify = (text) =>
-  text
-    .toString()
-    .toLowerCase()
-    .replace(/\s+/g, "-") // Replace spaces with -
-    .replace(/[^\w-]+/g, "") // Remove all non-word chars
-    .replace(/--+/g, "-") // Replace multiple - with single -
-    .replace(/^-+/, "") // Trim - from start of text
-    .replace(/-+$/, ""); // Trim - from end of text
-
-// Random name generator
-const firstNames = [
-  "Aaliyah",
-  "Bruno",
-  "Chloe",
-  "David",
-  "Eliza",
-  "Finn",
-  "Grace",
-  "Henry",
-  "Isla",
-  "Jack",
-  "Kai",
-  "Liam",
-  "Mia",
-  "Noah",
-  "Olivia",
-  "Priya",
-  "Quinn",
-  "Ryan",
-  "Sofia",
-  "Theo",
-];
-const lastNames = [
-  "Smith",
-  "Johnson",
-  "Chen",
-  "Patel",
-  "Brown",
-  "Garcia",
-  "Miller",
-  "Davis",
-  "Kim",
-  "Lee",
-];
-const getRandomName = () => `${a(firstNames)} ${a(lastNames)}`;
-
-// Job titles
-const jobPrefixes = ["Senior", "Lead", "Junior", "Principal", "Associate", ""];
-const jobRoles = [
-  "Frontend Engineer",
-  "Backend Developer",
-  "Full Stack Engineer",
-  "DevOps Specialist",
-  "Data Scientist",
-  "ML Engineer",
-  "Product Manager",
-  "UX/UI Designer",
-];
-const getRandomJobTitle = () => `${a(jobPrefixes)} ${a(jobRoles)}`.trim();
-
-async function seedDatabase() {
-  const jobCount = await db.jobs.count();
-  if (jobCount > 0) {
-    console.log("Database already seeded.");
-    return;
-  }
-  console.log("Seeding database...");
-
-  // 1. Seed Jobs
-  const jobsToSeed = [];
-  for (let i = 0; i < 25; i++) {
-    const title = getRandomJobTitle();
-    jobsToSeed.push({
-      title: title,
-      slug: slugify(`${title}-${Date.now() + i}`),
-      status: a(["active", "active", "active", "archived"]),
-      order: i,
-      createdAt: new Date(Date.now() - r(1, 60) * 86400000).toISOString(),
-      description: `Description for ${title}`,
-      tags: a([
-        ["React", "Node.js", "Remote"],
-        ["Python", "AWS", "ML"],
-        ["Go", "Kubernetes"],
-        ["UX", "Figma"],
-      ]),
-    });
-  }
-  const jobIds = await db.jobs.bulkAdd(jobsToSeed, {
-    allKeys: true,
-  });
-
-  // 2. Seed Candidates
-  const candidatesToSeed = [];
-  for (let i = 0; i < 1000; i++) {
-    const name = getRandomName();
-    candidatesToSeed.push({
-      name: name,
-      email: `${slugify(name)}.${i}@example.com`,
-      stage: a(STAGE_IDS),
-      jobId: a(jobIds),
-      createdAt: new Date(Date.now() - r(1, 30) * 86400000).toISOString(),
-      avatarUrl: `https://api.dicebear.com/8.x/avataaars/svg?seed=${name}`,
-    });
-  }
-  await db.candidates.bulkAdd(candidatesToSeed);
-
-  // 3. Seed Assessments
-  const sampleAssessments = [
-    // Assessment 1: React Dev
-    {
-      jobId: jobIds[0],
-      title: "React Frontend Developer Screening",
-      sections: [
-        {
-          id: "s1",
-          title: "Core React Concepts",
-          description: "Please answer these fundamental questions.",
-          questions: [
-            {
-              id: "q1",
-              type: "short-text",
-              label: "What is JSX?",
-              required: true,
-            },
-            {
-              id: "q2",
-              type: "single-choice",
-              label: "What is the most common way to manage state in React?",
-              required: true,
-              options: ["useState Hook", "Redux", "Context API", "Props"],
-            },
-            {
-              id: "q3",
-              type: "long-text",
-              label:
-                "Describe the component lifecycle in a functional component.",
-              required: true,
-              maxLength: 500,
-            },
-            {
-              id: "q4",
-              type: "multi-choice",
-              label: "Which of the following are valid React hooks?",
-              required: true,
-              options: ["useState", "useEffect", "useReducer", "useFetch"],
-            },
-            {
-              id: "q5",
-              type: "single-choice",
-              label: "Do you have experience with TypeScript?",
-              required: true,
-              options: ["Yes", "No"],
-            },
-            {
-              id: "q6",
-              type: "long-text",
-              label: 'If "Yes" to the above, please describe your experience.',
-              required: false,
-              condition: { questionId: "q5", operator: "eq", value: "Yes" },
-            },
-          ],
-        },
-        {
-          id: "s2",
-          title: "Practical Application",
-          description: "Code and file uploads.",
-          questions: [
-            {
-              id: "q7",
-              type: "numeric",
-              label: "How many years of React experience do you have?",
-              required: true,
-              min: 0,
-              max: 20,
-            },
-            {
-              id: "q8",
-              type: "file",
-              label:
-                "Please upload a .zip file of a small project or code sample.",
-              required: false,
-            },
-          ],
-        },
-      ],
-    },
-    // Assessment 2: Backend Dev
-    {
-      jobId: jobIds[1],
-      title: "Backend (Python) Screening",
-      sections: [
-        {
-          id: "s1_py",
-          title: "Python Fundamentals",
-          questions: [
-            {
-              id: "q1_py",
-              type: "single-choice",
-              label: "What is a decorator in Python?",
-              required: true,
-              options: [
-                "A function that takes another function and extends its behavior",
-                "A class variable",
-                "A design pattern for UI",
-              ],
-            },
-            {
-              id: "q2_py",
-              type: "long-text",
-              label: "Explain the difference between a list and a tuple.",
-              required: true,
-            },
-          ],
-        },
-      ],
-    },
-    // Assessment 3: Data Scientist
-    {
-      jobId: jobIds[4],
-      title: "Data Scientist Challenge",
-      sections: [
-        {
-          id: "s1_ds",
-          title: "Statistics & ML",
-          questions: [
-            {
-              id: "q1_ds",
-              type: "short-text",
-              label: "What is p-value?",
-              required: true,
-            },
-            {
-              id: "q2_ds",
-              type: "multi-choice",
-              label: "Which of these are common classification algorithms?",
-              required: true,
-              options: [
-                "Logistic Regression",
-                "K-Means",
-                "Support Vector Machine",
-                "Linear Regression",
-              ],
-            },
-            {
-              id: "q3_ds",
-              type: "numeric",
-              label: 'What accuracy (in %) would you consider "good"?',
-              required: false,
-              min: 0,
-              max: 100,
-            },
-          ],
-        },
-      ],
-    },
-  ];
-  await db.assessments.bulkAdd(sampleAssessments);
-  console.log("Database seeded successfully.");
-}
-
-// --- 5. STATE & CONTEXT (Toasts) ---
+// --- 1. STATE & CONTEXT (Toasts) ---
 
 const ToastContext = createContext();
 
@@ -665,18 +125,25 @@ const ToastProvider = ({ children }) => {
   const [toasts, setToasts] = useState([]);
   const idCounter = useRef(0);
 
-  const addToast = (message, type = "info") => {
-    const id = idCounter.current++;
-    setToasts((prev) => [...prev, { id, message, type }]);
-    setTimeout(() => removeToast(id), 5000);
-  };
-
-  const removeToast = (id) => {
+  const removeToast = useCallback((id) => {
     setToasts((prev) => prev.filter((t) => t.id !== id));
-  };
+  }, []);
+
+  // Stable identity: pages list addToast as an effect dependency, so a new
+  // function per toast would refetch (and reset) whatever page is mounted.
+  const addToast = useCallback(
+    (message, type = "info") => {
+      const id = idCounter.current++;
+      setToasts((prev) => [...prev, { id, message, type }]);
+      setTimeout(() => removeToast(id), 5000);
+    },
+    [removeToast]
+  );
+
+  const contextValue = useMemo(() => ({ addToast }), [addToast]);
 
   return (
-    <ToastContext.Provider value={{ addToast }}>
+    <ToastContext.Provider value={contextValue}>
       {children}
       <div className="fixed bottom-4 right-4 z-50 flex flex-col space-y-2">
         {toasts.map((toast) => (
@@ -735,15 +202,21 @@ const Toast = ({ id, message, type, onDismiss }) => {
   );
 };
 
-// --- 6. HELPER UTILITIES ---
+// --- 2. HELPER UTILITIES ---
 
 // Hash-based routing parser
 const parseHash = (hash) => {
   const path = hash.substring(1) || "/"; // remove #
   const parts = path.split("/").filter(Boolean); // remove empty strings
 
+  if (parts[0] === "assessments" && parts[1] && parts[2] === "take" && parts[3]) {
+    return { page: "assessment-take", jobId: parts[1], id: parts[3] }; // /assessments/:jobId/take/:candidateId
+  }
+  if (parts[0] === "jobs" && parts[1] && parts[2] === "pipeline") {
+    return { page: "job-detail", id: parts[1], tab: "pipeline" }; // /jobs/:slug/pipeline
+  }
   if (parts[0] === "jobs" && parts[1]) {
-    return { page: "job-detail", id: parts[1] }; // /jobs/:slug
+    return { page: "job-detail", id: parts[1], tab: "assessment" }; // /jobs/:slug
   }
   if (parts[0] === "jobs") {
     return { page: "jobs" }; // /jobs
@@ -757,6 +230,9 @@ const parseHash = (hash) => {
   return { page: "jobs" }; // Default
 };
 
+const sameList = (a, b) =>
+  a.length === b.length && a.every((item, i) => item === b[i]);
+
 // Simple debouncing hook
 const useDebounce = (value, delay) => {
   const [debouncedValue, setDebouncedValue] = useState(value);
@@ -771,7 +247,87 @@ const useDebounce = (value, delay) => {
   return debouncedValue;
 };
 
-// --- 7. UI COMPONENTS (Atoms) ---
+const UNDO_LIMIT = 100;
+// Changes closer together than this collapse into one undo step, so typing
+// a label undoes as a word/phrase rather than a keystroke at a time
+const UNDO_COALESCE_MS = 500;
+
+/**
+ * useState with an undo/redo history. `setValue` records history (accepts a
+ * value or an updater, like useState); `reset` replaces the value and clears
+ * history, for loads that shouldn't be undoable.
+ */
+const useUndoableState = (initialValue) => {
+  const [history, setHistory] = useState({
+    past: [],
+    present: initialValue,
+    future: [],
+  });
+  const lastChangeRef = useRef(0);
+
+  const setValue = useCallback((updater) => {
+    const now = Date.now();
+    const coalesce = now - lastChangeRef.current < UNDO_COALESCE_MS;
+    lastChangeRef.current = now;
+    setHistory((h) => {
+      const next = typeof updater === "function" ? updater(h.present) : updater;
+      if (next === h.present) return h;
+      return {
+        past:
+          coalesce && h.past.length > 0
+            ? h.past
+            : [...h.past, h.present].slice(-UNDO_LIMIT),
+        present: next,
+        future: [],
+      };
+    });
+  }, []);
+
+  const undo = useCallback(() => {
+    lastChangeRef.current = 0;
+    setHistory((h) =>
+      h.past.length === 0
+        ? h
+        : {
+            past: h.past.slice(0, -1),
+            present: h.past[h.past.length - 1],
+            future: [h.present, ...h.future],
+          }
+    );
+  }, []);
+
+  const redo = useCallback(() => {
+    lastChangeRef.current = 0;
+    setHistory((h) =>
+      h.future.length === 0
+        ? h
+        : {
+            past: [...h.past, h.present],
+            present: h.future[0],
+            future: h.future.slice(1),
+          }
+    );
+  }, []);
+
+  const reset = useCallback((value) => {
+    lastChangeRef.current = 0;
+    setHistory({ past: [], present: value, future: [] });
+  }, []);
+
+  return [
+    history.present,
+    setValue,
+    {
+      undo,
+      redo,
+      reset,
+      canUndo: history.past.length > 0,
+      canRedo: history.future.length > 0,
+    },
+  ];
+};
+
+// --- 3. UI COMPONENTS (Atoms) ---
 
 const Spinner = () => (
   <Loader2 className="h-5 w-5 animate-spin text-indigo-600" />
@@ -857,6 +413,9 @@ const Input = ({
   placeholder,
   error,
   icon: Icon,
+  disabled,
+  min,
+  max,
 }) => (
   <div className="w-full">
     {label && (
@@ -880,6 +439,9 @@ const Input = ({
         value={value}
         onChange={onChange}
         placeholder={placeholder}
+        disabled={disabled}
+        min={min}
+        max={max}
         className={`block w-full rounded-md shadow-sm ${
           Icon ? "pl-10" : "pl-3"
         } ${
@@ -893,7 +455,15 @@ const Input = ({
   </div>
 );
 
-const Textarea = ({ label, name, value, onChange, rows = 3, error }) => (
+const Textarea = ({
+  label,
+  name,
+  value,
+  onChange,
+  rows = 3,
+  error,
+  disabled,
+}) => (
   <div className="w-full">
     {label && (
       <label
@@ -909,6 +479,7 @@ const Textarea = ({ label, name, value, onChange, rows = 3, error }) => (
       rows={rows}
       value={value}
       onChange={onChange}
+      disabled={disabled}
       className={`block w-full rounded-md shadow-sm ${
         error
           ? "border-red-300 text-red-900 placeholder-red-300 focus:ring-red-500 focus:border-red-500"
@@ -1063,13 +634,30 @@ const Pagination = ({ currentPage, totalPages, onPageChange }) => {
   );
 };
 
-// --- 8. FEATURE COMPONENTS (Jobs) ---
+// --- 4. FEATURE COMPONENTS (Jobs) ---
+
+/**
+ * HighlightedText
+ * Renders text with search hits ([start, end) ranges) in bold.
+ */
+const HighlightedText = ({ text, ranges, maxLength }) =>
+  splitHighlights(text || "", ranges, maxLength).map((segment, i) =>
+    segment.hit ? (
+      <mark key={i} className="bg-yellow-100 text-inherit font-bold rounded-sm">
+        {segment.text}
+      </mark>
+    ) : (
+      <React.Fragment key={i}>{segment.text}</React.Fragment>
+    )
+  );
 
 /**
  * JobListItem (Sortable)
- * This component is used inside the D&D context.
+ * This component is used inside the D&D context. `highlights` are the
+ * search hits returned by GET /jobs for this job; `onTagClick` makes the
+ * tag chips filter the list.
  */
-const SortableJobItem = ({ job, navigate }) => {
+const SortableJobItem = ({ job, navigate, highlights, onTagClick }) => {
   const {
     attributes,
     listeners,
@@ -1115,25 +703,46 @@ const SortableJobItem = ({ job, navigate }) => {
           }}
           className="text-lg font-semibold text-indigo-600 hover:underline"
         >
-          {job.title}
+          <HighlightedText text={job.title} ranges={highlights?.title} />
         </a>
         <div className="text-sm text-gray-500">
           Created: {new Date(job.createdAt).toLocaleDateString()}
         </div>
+        {highlights?.description && (
+          <p className="mt-1 text-sm text-gray-600">
+            <HighlightedText
+              text={job.description}
+              ranges={highlights.description}
+              maxLength={120}
+            />
+          </p>
+        )}
         <div className="mt-2 flex space-x-2">
           <span
             className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${statusColor}`}
           >
             {job.status}
           </span>
-          {job.tags?.map((tag) => (
-            <span
-              key={tag}
-              className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-indigo-100 text-indigo-800"
-            >
-              {tag}
-            </span>
-          ))}
+          {job.tags?.map((tag) =>
+            onTagClick ? (
+              <button
+                key={tag}
+                type="button"
+                onClick={() => onTagClick(tag)}
+                title={`Filter by ${tag}`}
+                className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-indigo-100 text-indigo-800 hover:bg-indigo-200"
+              >
+                <HighlightedText text={tag} ranges={highlights?.tags?.[tag]} />
+              </button>
+            ) : (
+              <span
+                key={tag}
+                className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-indigo-100 text-indigo-800"
+              >
+                <HighlightedText text={tag} ranges={highlights?.tags?.[tag]} />
+              </span>
+            )
+          )}
         </div>
       </div>
       <Button variant="secondary" onClick={() => navigate(`/jobs/${job.slug}`)}>
@@ -1143,12 +752,69 @@ const SortableJobItem = ({ job, navigate }) => {
   );
 };
 
+const JOBS_PAGE_SIZE = 10;
+const PREV_PAGE_DROP_ID = "page:prev";
+const NEXT_PAGE_DROP_ID = "page:next";
+
+// The page drop targets win whenever the pointer is over one; otherwise
+// jobs sort against each other as usual
+const jobsCollisionDetection = (args) => {
+  const pageHits = pointerWithin({
+    ...args,
+    droppableContainers: args.droppableContainers.filter(
+      (c) => c.id === PREV_PAGE_DROP_ID || c.id === NEXT_PAGE_DROP_ID
+    ),
+  });
+  return pageHits.length > 0 ? pageHits : closestCenter(args);
+};
+
+// Moves a job between neighbours via PATCH /jobs/:id/move and returns it
+// with its new rank. Throws on failure.
+const moveJob = async (jobId, { before, after }) => {
+  const res = await fetch(`/jobs/${jobId}/move`, {
+    method: "PATCH",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ before, after }),
+  });
+  if (!res.ok) {
+    const errorData = await res.json();
+    throw new Error(errorData.message || "Failed to move job");
+  }
+  return res.json();
+};
+
+/**
+ * PageDropTarget
+ * Drop zone standing in for a pagination button while a job is dragged.
+ */
+const PageDropTarget = ({ id, disabled, children }) => {
+  const { setNodeRef, isOver } = useDroppable({ id, disabled });
+  return (
+    <div
+      ref={setNodeRef}
+      className={`flex-1 flex items-center justify-center p-4 border-2 border-dashed rounded-lg text-sm font-medium ${
+        disabled
+          ? "border-gray-200 text-gray-300"
+          : isOver
+          ? "border-indigo-500 bg-indigo-50 text-indigo-700"
+          : "border-gray-300 text-gray-500"
+      }`}
+    >
+      {children}
+    </div>
+  );
+};
+
 /**
  * JobsPage
- * Displays the list of jobs with D&D reordering.
+ * Displays the list of jobs with D&D reordering. Jobs keep one global
+ * order across pages; dropping a job on the pagination moves it to the
+ * neighbouring page.
  */
 const JobsPage = ({ navigate }) => {
   const [jobs, setJobs] = useState([]);
+  // Search hits per job id, from the server
+  const [highlights, setHighlights] = useState({});
   const [isLoading, setIsLoading] = useState(true);
   const [pagination, setPagination] = useState(null);
   const [isModalOpen, setIsModalOpen] = useState(false);
@@ -1157,8 +823,12 @@ const JobsPage = ({ navigate }) => {
   const [filters, setFilters] = useState({
     search: "",
     status: "all",
+    tags: [],
+    tagMode: "any",
     page: 1,
   });
+  // Tags in use, with counts, for the filter bar
+  const [allTags, setAllTags] = useState([]);
 
   const debouncedSearch = useDebounce(filters.search, 300);
   const { addToast } = useToasts();
@@ -1168,21 +838,31 @@ const JobsPage = ({ navigate }) => {
   const sensors = useSensors(useSensor(PointerSensor));
 
   // Data fetching
+  const jobsQuery = useCallback(
+    (page) => {
+      const params = new URLSearchParams({
+        search: debouncedSearch,
+        status: filters.status,
+        page: page,
+        pageSize: JOBS_PAGE_SIZE,
+        sort: "order",
+        tagMode: filters.tagMode,
+      });
+      filters.tags.forEach((tag) => params.append("tags", tag));
+      return params.toString();
+    },
+    [debouncedSearch, filters.status, filters.tags, filters.tagMode]
+  );
+
   const fetchJobs = useCallback(
     async (page = 1) => {
       setIsLoading(true);
       try {
-        const params = new URLSearchParams({
-          search: debouncedSearch,
-          status: filters.status,
-          page: page,
-          pageSize: 10,
-          sort: "order",
-        });
-        const res = await fetch(`/jobs?${params.toString()}`);
+        const res = await fetch(`/jobs?${jobsQuery(page)}`);
         if (!res.ok) throw new Error("Failed to fetch jobs");
         const data = await res.json();
         setJobs(data.jobs);
+        setHighlights(data.highlights || {});
         setPagination(data.pagination);
       } catch (error) {
         addToast(error.message, "error");
@@ -1190,18 +870,42 @@ const JobsPage = ({ navigate }) => {
         setIsLoading(false);
       }
     },
-    [debouncedSearch, filters.status, addToast]
+    [jobsQuery, addToast]
   );
 
   useEffect(() => {
     fetchJobs(filters.page);
   }, [fetchJobs, filters.page]);
 
+  const fetchTags = useCallback(async () => {
+    try {
+      const res = await fetch("/tags");
+      if (!res.ok) throw new Error("Failed to fetch tags");
+      setAllTags(await res.json());
+    } catch (error) {
+      addToast(error.message, "error");
+    }
+  }, [addToast]);
+
+  useEffect(() => {
+    fetchTags();
+  }, [fetchTags]);
+
   const handleFilterChange = (e) => {
     const { name, value } = e.target;
     setFilters((prev) => ({ ...prev, [name]: value, page: 1 }));
   };
 
+  const toggleTagFilter = (tag) => {
+    setFilters((prev) => ({
+      ...prev,
+      tags: prev.tags.includes(tag)
+        ? prev.tags.filter((t) => t !== tag)
+        : [...prev.tags, tag],
+      page: 1,
+    }));
+  };
+
   // --- D&D Handlers ---
   const handleDragStart = (event) => {
     const { active } = event;
@@ -1211,57 +915,62 @@ const JobsPage = ({ navigate }) => {
   const handleDragEnd = async (event) => {
     const { active, over } = event;
     setActiveJob(null);
+    if (!over || active.id === over.id) return;
 
-    if (over && active.id !== over.id) {
-      const oldIndex = jobs.findIndex((j) => j.id === active.id);
-      const newIndex = jobs.findIndex((j) => j.id === over.id);
-
-      // 1. Calculate new array optimistically
-      const newJobsArray = arrayMove(jobs, oldIndex, newIndex);
-
-      // 2. Create the data for the optimistic update (UI) and API call
-      // We must re-calculate the 'order' field for all items
-      const newJobsWithOrder = newJobsArray.map((job, index) => ({
-        ...job,
-        order: index, // This assumes pagination is off.
-        // For pagination, you'd need to use (page - 1) * pageSize + index
-        // Let's assume for reordering, we fetch all active jobs.
-        // For simplicity, we'll re-order based on the current page.
-        // A better production implementation would re-order ALL jobs.
-      }));
-
-      const apiPayload = newJobsWithOrder.map((j) => ({
-        id: j.id,
-        order: j.order,
-      }));
+    if (over.id === PREV_PAGE_DROP_ID || over.id === NEXT_PAGE_DROP_ID) {
+      moveToAdjacentPage(active.id, over.id === PREV_PAGE_DROP_ID ? -1 : 1);
+      return;
+    }
 
-      // 3. Save original state for rollback
-      const originalJobs = [...jobs];
+    const oldIndex = jobs.findIndex((j) => j.id === active.id);
+    const newIndex = jobs.findIndex((j) => j.id === over.id);
+    const newJobs = arrayMove(jobs, oldIndex, newIndex);
+    // At the edge of a page only one neighbour is known; the server finds
+    // the other from the global order
+    const neighbors = {
+      before: newJobs[newIndex - 1]?.id,
+      after: newJobs[newIndex + 1]?.id,
+    };
 
-      // 4. Optimistic UI Update
-      setJobs(newJobsWithOrder);
+    // Optimistic UI update, with rollback on error
+    const originalJobs = [...jobs];
+    setJobs(newJobs);
 
-      // 5. API Call
-      try {
-        const res = await fetch("/jobs/reorder", {
-          method: "PATCH",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({ orderedJobs: apiPayload }),
-        });
+    try {
+      const movedJob = await moveJob(active.id, neighbors);
+      setJobs((current) =>
+        current.map((j) => (j.id === movedJob.id ? movedJob : j))
+      );
+      addToast("Job order saved!", "success");
+    } catch (error) {
+      addToast(`Error: ${error.message}. Reverting changes.`, "error");
+      setJobs(originalJobs);
+    }
+  };
 
-        if (!res.ok) {
-          // Trigger the catch block
-          const errorData = await res.json();
-          throw new Error(errorData.message || "API Reorder failed");
-        }
+  // Dropped on the pagination: the job becomes the last one on the previous
+  // page, or the first one on the next page, and the view follows it there
+  const moveToAdjacentPage = async (jobId, direction) => {
+    const targetPage = filters.page + direction;
+    const originalJobs = [...jobs];
+    setJobs((current) => current.filter((j) => j.id !== jobId));
 
-        addToast("Job order saved!", "success");
-        // On success, do nothing, the optimistic state is correct.
-      } catch (error) {
-        // 6. Rollback on error
-        addToast(`Error: ${error.message}. Reverting changes.`, "error");
-        setJobs(originalJobs);
-      }
+    try {
+      const res = await fetch(`/jobs?${jobsQuery(targetPage)}`);
+      if (!res.ok) throw new Error("Failed to fetch jobs");
+      const pageJobs = (await res.json()).jobs.filter((j) => j.id !== jobId);
+      if (pageJobs.length === 0) throw new Error("That page is empty");
+      await moveJob(
+        jobId,
+        direction < 0
+          ? { after: pageJobs[pageJobs.length - 1].id }
+          : { before: pageJobs[0].id }
+      );
+      addToast(`Job moved to page ${targetPage}`, "success");
+      setFilters((prev) => ({ ...prev, page: targetPage }));
+    } catch (error) {
+      addToast(`Error: ${error.message}. Reverting changes.`, "error");
+      setJobs(originalJobs);
     }
   };
 
@@ -1269,6 +978,7 @@ const JobsPage = ({ navigate }) => {
   const onJobCreated = () => {
     setIsModalOpen(false);
     fetchJobs(1); // Go back to first page
+    fetchTags(); // The new job may have brought new tags
   };
 
   return (
@@ -1284,7 +994,7 @@ const JobsPage = ({ navigate }) => {
       <div className="mb-4 grid grid-cols-1 md:grid-cols-3 gap-4 p-4 bg-white rounded-lg shadow-sm">
         <Input
           name="search"
-          placeholder="Search by title..."
+          placeholder="Search title, description or tags..."
           icon={Search}
           value={filters.search}
           onChange={handleFilterChange}
@@ -1300,6 +1010,55 @@ const JobsPage = ({ navigate }) => {
         </Select>
       </div>
 
+      {/* Tag filter bar */}
+      {allTags.length > 0 && (
+        <div className="mb-4 p-4 bg-white rounded-lg shadow-sm flex flex-wrap items-center gap-2">
+          <span className="text-sm font-medium text-gray-700 mr-1">Tags:</span>
+          {allTags.map(({ name, count }) => {
+            const isSelected = filters.tags.includes(name);
+            return (
+              <button
+                key={name}
+                type="button"
+                onClick={() => toggleTagFilter(name)}
+                aria-pressed={isSelected}
+                className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
+                  isSelected
+                    ? "bg-indigo-600 text-white"
+                    : "bg-indigo-100 text-indigo-800 hover:bg-indigo-200"
+                }`}
+              >
+                {name}
+                <span className="ml-1 opacity-75">{count}</span>
+              </button>
+            );
+          })}
+          {filters.tags.length > 1 && (
+            <div className="w-44">
+              <Select
+                name="tagMode"
+                value={filters.tagMode}
+                onChange={handleFilterChange}
+              >
+                <option value="any">Match any tag</option>
+                <option value="all">Match all tags</option>
+              </Select>
+            </div>
+          )}
+          {filters.tags.length > 0 && (
+            <Button
+              size="sm"
+              variant="ghost"
+              onClick={() =>
+                setFilters((prev) => ({ ...prev, tags: [], page: 1 }))
+              }
+            >
+              Clear
+            </Button>
+          )}
+        </div>
+      )}
+
       {isLoading && (
         <div className="flex justify-center items-center h-64">
           <Spinner />
@@ -1315,103 +1074,316 @@ const JobsPage = ({ navigate }) => {
         </div>
       )}
 
-      {!isLoading && jobs.length > 0 && (
-        <DndContext
-          sensors={sensors}
-          collisionDetection={closestCenter}
-          onDragStart={handleDragStart}
-          onDragEnd={handleDragEnd}
-        >
+      <DndContext
+        sensors={sensors}
+        collisionDetection={jobsCollisionDetection}
+        onDragStart={handleDragStart}
+        onDragEnd={handleDragEnd}
+        onDragCancel={() => setActiveJob(null)}
+      >
+        {!isLoading && jobs.length > 0 && (
           <SortableContext
             items={jobs.map((j) => j.id)}
             strategy={verticalListSortingStrategy}
           >
             <div className="space-y-4">
               {jobs.map((job) => (
-                <SortableJobItem key={job.id} job={job} navigate={navigate} />
+                <SortableJobItem
+                  key={job.id}
+                  job={job}
+                  navigate={navigate}
+                  highlights={highlights[job.id]}
+                  onTagClick={toggleTagFilter}
+                />
               ))}
             </div>
           </SortableContext>
+        )}
+
+        <DragOverlay>
+          {activeJob ? (
+            <div className="shadow-2xl">
+              <SortableJobItem
+                job={activeJob}
+                navigate={() => {}}
+                highlights={highlights[activeJob.id]}
+              />
+            </div>
+          ) : null}
+        </DragOverlay>
 
-          <DragOverlay>
+        {!isLoading && pagination && (
+          <div className="mt-8">
             {activeJob ? (
-              <div className="shadow-2xl">
-                <SortableJobItem job={activeJob} navigate={() => {}} />
+              // While dragging, the pagination turns into page drop targets
+              <div className="flex space-x-4">
+                <PageDropTarget
+                  id={PREV_PAGE_DROP_ID}
+                  disabled={pagination.page <= 1}
+                >
+                  <ChevronLeft className="h-5 w-5 mr-1" />
+                  Move to page {pagination.page - 1}
+                </PageDropTarget>
+                <PageDropTarget
+                  id={NEXT_PAGE_DROP_ID}
+                  disabled={pagination.page >= pagination.totalPages}
+                >
+                  Move to page {pagination.page + 1}
+                  <ChevronRight className="h-5 w-5 ml-1" />
+                </PageDropTarget>
               </div>
-            ) : null}
-          </DragOverlay>
-        </DndContext>
-      )}
-
-      {!isLoading && pagination && (
-        <div className="mt-8">
-          <Pagination
-            currentPage={pagination.page}
-            totalPages={pagination.totalPages}
-            onPageChange={(page) => setFilters((prev) => ({ ...prev, page }))}
-          />
-        </div>
-      )}
+            ) : (
+              <Pagination
+                currentPage={pagination.page}
+                totalPages={pagination.totalPages}
+                onPageChange={(page) =>
+                  setFilters((prev) => ({ ...prev, page }))
+                }
+              />
+            )}
+          </div>
+        )}
+      </DndContext>
 
-      <JobCreateModal
+      <JobFormModal
         isOpen={isModalOpen}
         onClose={() => setIsModalOpen(false)}
-        onJobCreated={onJobCreated}
+        onSaved={onJobCreated}
       />
     </div>
   );
 };
 
 /**
- * JobCreateModal
- * Modal form for creating a new job.
+ * TagInput
+ * Chip-style tag editor with autocomplete from existing tags
+ * (`suggestions` as returned by GET /tags). Enter or comma adds the typed
+ * tag, arrow keys pick a suggestion, Backspace on an empty input removes the
+ * last tag. A tag matching an existing one reuses its spelling.
  */
-const JobCreateModal = ({ isOpen, onClose, onJobCreated }) => {
-  const [title, setTitle] = useState("");
-  const [description, setDescription] = useState("");
-  const [tags, setTags] = useState("");
-  const [isLoading, setIsLoading] = useState(false);
-  const [errors, setErrors] = useState({});
-  const { addToast } = useToasts();
-
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-    setErrors({});
+const TagInput = ({
+  label,
+  name,
+  value,
+  onChange,
+  suggestions = [],
+  placeholder,
+}) => {
+  const [text, setText] = useState("");
+  const [isOpen, setIsOpen] = useState(false);
+  // Index into `matches`; -1 means the typed text itself
+  const [highlighted, setHighlighted] = useState(-1);
+
+  const matches = useMemo(() => {
+    const query = text.trim().toLowerCase();
+    const chosen = new Set(value.map((tag) => tag.toLowerCase()));
+    return suggestions
+      .filter(
+        (s) =>
+          !chosen.has(s.name.toLowerCase()) &&
+          s.name.toLowerCase().includes(query)
+      )
+      .slice(0, 8);
+  }, [text, value, suggestions]);
+
+  const addTag = (raw) => {
+    const tag = raw.trim();
+    setText("");
+    setHighlighted(-1);
+    if (!tag) return;
+    const existing = suggestions.find(
+      (s) => s.name.toLowerCase() === tag.toLowerCase()
+    );
+    const spelled = existing?.name ?? tag;
+    if (!value.some((t) => t.toLowerCase() === spelled.toLowerCase())) {
+      onChange([...value, spelled]);
+    }
+  };
 
-    if (!title) {
-      setErrors({ title: "Title is required" });
-      return;
+  const handleKeyDown = (e) => {
+    if (e.key === "Enter" || e.key === ",") {
+      e.preventDefault();
+      addTag(highlighted >= 0 ? matches[highlighted].name : text);
+    } else if (e.key === "ArrowDown") {
+      e.preventDefault();
+      setIsOpen(true);
+      setHighlighted((i) => Math.min(i + 1, matches.length - 1));
+    } else if (e.key === "ArrowUp") {
+      e.preventDefault();
+      setHighlighted((i) => Math.max(i - 1, -1));
+    } else if (e.key === "Escape") {
+      setIsOpen(false);
+    } else if (e.key === "Backspace" && !text && value.length > 0) {
+      onChange(value.slice(0, -1));
+    }
+  };
+
+  return (
+    <div className="w-full">
+      {label && (
+        <label
+          htmlFor={name}
+          className="block text-sm font-medium text-gray-700 mb-1"
+        >
+          {label}
+        </label>
+      )}
+      <div className="flex flex-wrap items-center gap-1 px-2 py-1.5 bg-white rounded-md border border-gray-300 shadow-sm focus-within:ring-1 focus-within:ring-indigo-500 focus-within:border-indigo-500">
+        {value.map((tag) => (
+          <span
+            key={tag}
+            className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-indigo-100 text-indigo-800"
+          >
+            {tag}
+            <button
+              type="button"
+              onClick={() => onChange(value.filter((t) => t !== tag))}
+              className="ml-1 text-indigo-500 hover:text-indigo-700"
+              aria-label={`Remove ${tag}`}
+            >
+              <X className="h-3 w-3" />
+            </button>
+          </span>
+        ))}
+        <input
+          id={name}
+          name={name}
+          value={text}
+          onChange={(e) => {
+            setText(e.target.value);
+            setHighlighted(-1);
+            setIsOpen(true);
+          }}
+          onKeyDown={handleKeyDown}
+          onFocus={() => setIsOpen(true)}
+          onBlur={() => {
+            // Keep a half-typed tag rather than silently dropping it
+            setIsOpen(false);
+            addTag(text);
+          }}
+          placeholder={value.length === 0 ? placeholder : ""}
+          role="combobox"
+          aria-expanded={isOpen && matches.length > 0}
+          aria-autocomplete="list"
+          className="flex-grow min-w-[8rem] p-0.5 border-none text-sm focus:ring-0 focus:outline-none"
+        />
+      </div>
+      {isOpen && matches.length > 0 && (
+        <ul
+          role="listbox"
+          className="mt-1 max-h-40 overflow-y-auto custom-scrollbar rounded-md border border-gray-200 bg-white text-sm shadow-sm"
+        >
+          {matches.map((s, i) => (
+            <li
+              key={s.name}
+              role="option"
+              aria-selected={i === highlighted}
+              // mousedown so the pick lands before the input's blur
+              onMouseDown={(e) => {
+                e.preventDefault();
+                addTag(s.name);
+              }}
+              className={`flex justify-between px-3 py-1.5 cursor-pointer ${
+                i === highlighted ? "bg-indigo-50" : "hover:bg-gray-50"
+              }`}
+            >
+              <span>{s.name}</span>
+              <span className="text-xs text-gray-400">
+                {s.count} {s.count === 1 ? "job" : "jobs"}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+/**
+ * JobFormModal
+ * Modal form for creating a new job, or editing one when `job` is passed.
+ */
+const JobFormModal = ({ isOpen, onClose, onSaved, job = null }) => {
+  const isEdit = Boolean(job);
+  const [title, setTitle] = useState("");
+  const [slug, setSlug] = useState("");
+  const [description, setDescription] = useState("");
+  const [tags, setTags] = useState([]);
+  const [tagSuggestions, setTagSuggestions] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [errors, setErrors] = useState({});
+  const { addToast } = useToasts();
+
+  // Prefill from the job being edited each time the modal opens
+  useEffect(() => {
+    if (isOpen && job) {
+      setTitle(job.title || "");
+      setSlug(job.slug || "");
+      setDescription(job.description || "");
+      setTags(job.tags || []);
+      setErrors({});
+    }
+  }, [isOpen, job]);
+
+  // Existing tags for autocomplete; the form still works without them
+  useEffect(() => {
+    if (!isOpen) return;
+    fetch("/tags")
+      .then((res) => (res.ok ? res.json() : []))
+      .then(setTagSuggestions)
+      .catch(() => setTagSuggestions([]));
+  }, [isOpen]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setErrors({});
+
+    const newErrors = {};
+    if (!title) newErrors.title = "Title is required";
+    if (isEdit && !slugify(slug)) newErrors.slug = "Slug is required";
+    if (Object.keys(newErrors).length > 0) {
+      setErrors(newErrors);
+      return;
     }
 
     setIsLoading(true);
-    const newJob = {
+    const jobData = {
       title,
-      slug: slugify(title),
+      slug: isEdit ? slugify(slug) : slugify(title),
       description,
-      tags: tags
-        .split(",")
-        .map((t) => t.trim())
-        .filter(Boolean),
+      tags,
     };
 
     try {
-      const res = await fetch("/jobs", {
-        method: "POST",
+      const res = await fetch(isEdit ? `/jobs/${job.id}` : "/jobs", {
+        method: isEdit ? "PATCH" : "POST",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(newJob),
+        body: JSON.stringify(jobData),
       });
 
       if (!res.ok) {
         const err = await res.json();
-        throw new Error(err.message || "Failed to create job");
+        if (err.errors) {
+          // New slugs are derived from the title, so surface conflicts there
+          setErrors(isEdit ? err.errors : { title: err.errors.slug });
+        }
+        throw new Error(
+          err.message || `Failed to ${isEdit ? "update" : "create"} job`
+        );
       }
 
-      addToast("Job created successfully!", "success");
-      onJobCreated();
-      // Reset form
-      setTitle("");
-      setDescription("");
-      setTags("");
+      const savedJob = await res.json();
+      addToast(
+        isEdit ? "Job updated successfully!" : "Job created successfully!",
+        "success"
+      );
+      onSaved(savedJob);
+      if (!isEdit) {
+        // Reset form
+        setTitle("");
+        setDescription("");
+        setTags([]);
+      }
     } catch (error) {
       addToast(error.message, "error");
     } finally {
@@ -1420,7 +1392,11 @@ const JobCreateModal = ({ isOpen, onClose, onJobCreated }) => {
   };
 
   return (
-    <Modal isOpen={isOpen} onClose={onClose} title="Create New Job">
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title={isEdit ? "Edit Job" : "Create New Job"}
+    >
       <form onSubmit={handleSubmit} className="space-y-4">
         <Input
           label="Job Title"
@@ -1431,6 +1407,16 @@ const JobCreateModal = ({ isOpen, onClose, onJobCreated }) => {
           error={errors.title}
           required
         />
+        {isEdit && (
+          <Input
+            label="Slug"
+            name="slug"
+            value={slug}
+            onChange={(e) => setSlug(e.target.value)}
+            placeholder="e.g., senior-react-engineer"
+            error={errors.slug}
+          />
+        )}
         <Textarea
           label="Description"
           name="description"
@@ -1438,11 +1424,12 @@ const JobCreateModal = ({ isOpen, onClose, onJobCreated }) => {
           onChange={(e) => setDescription(e.target.value)}
           rows={5}
         />
-        <Input
-          label="Tags (comma-separated)"
+        <TagInput
+          label="Tags"
           name="tags"
           value={tags}
-          onChange={(e) => setTags(e.target.value)}
+          onChange={setTags}
+          suggestions={tagSuggestions}
           placeholder="e.g., React, Remote, TypeScript"
         />
         <div className="flex justify-end space-x-2 pt-4 border-t border-gray-200">
@@ -1450,7 +1437,7 @@ const JobCreateModal = ({ isOpen, onClose, onJobCreated }) => {
             Cancel
           </Button>
           <Button type="submit" loading={isLoading} disabled={isLoading}>
-            Create Job
+            {isEdit ? "Save Changes" : "Create Job"}
           </Button>
         </div>
       </form>
@@ -1458,7 +1445,253 @@ const JobCreateModal = ({ isOpen, onClose, onJobCreated }) => {
   );
 };
 
-// --- 9. FEATURE COMPONENTS (Assessments) ---
+// --- 5. FEATURE COMPONENTS (Assessments) ---
+
+const emptyRule = () => ({ questionId: "", operator: "eq", value: "" });
+
+/**
+ * ConditionRuleEditor
+ * One "<question> <operator> <value>" row of a condition group.
+ */
+const ConditionRuleEditor = ({ rule, onChange, onRemove, questions }) => {
+  const target = questions.find((q) => q.id === rule.questionId);
+  const hasOptions =
+    target?.options?.length > 0 && ["eq", "neq"].includes(rule.operator);
+  // "is one of" is typed as comma separated text; keeping the raw text lets a
+  // trailing comma survive until the next value is typed
+  const [listText, setListText] = useState(toList(rule.value).join(", "));
+
+  useEffect(() => {
+    setListText((text) =>
+      sameList(toList(text), toList(rule.value))
+        ? text
+        : toList(rule.value).join(", ")
+    );
+  }, [rule.value]);
+
+  const handleValueChange = (e) => {
+    if (rule.operator === "in") {
+      setListText(e.target.value);
+      onChange({ ...rule, value: toList(e.target.value) });
+    } else {
+      onChange({ ...rule, value: e.target.value });
+    }
+  };
+
+  return (
+    <div className="flex items-end space-x-2">
+      <Select
+        value={rule.questionId || ""}
+        onChange={(e) =>
+          onChange({ ...rule, questionId: e.target.value, value: "" })
+        }
+      >
+        <option value="">Select a question...</option>
+        {questions.map((q) => (
+          <option key={q.id} value={q.id}>
+            {q.label || q.id}
+          </option>
+        ))}
+      </Select>
+      <Select
+        value={rule.operator || "eq"}
+        onChange={(e) => onChange({ ...rule, operator: e.target.value })}
+      >
+        {CONDITION_OPERATORS.map((op) => (
+          <option key={op.id} value={op.id}>
+            {op.name}
+          </option>
+        ))}
+      </Select>
+      {rule.operator === "isAnswered" ? (
+        <div className="w-full" />
+      ) : hasOptions ? (
+        <Select
+          value={rule.value ?? ""}
+          onChange={(e) => onChange({ ...rule, value: e.target.value })}
+        >
+          <option value="">Select an option...</option>
+          {target.options.map((opt) => (
+            <option key={opt} value={opt}>
+              {opt}
+            </option>
+          ))}
+        </Select>
+      ) : (
+        <Input
+          value={rule.operator === "in" ? listText : rule.value ?? ""}
+          onChange={handleValueChange}
+          placeholder={rule.operator === "in" ? "e.g., Yes, Maybe" : "e.g., Yes"}
+        />
+      )}
+      <Button
+        variant="ghost"
+        size="icon"
+        onClick={onRemove}
+        className="text-gray-400 hover:text-red-600"
+      >
+        <X className="h-4 w-4" />
+      </Button>
+    </div>
+  );
+};
+
+/**
+ * ConditionEditor
+ * Edits a question or section condition as an AND/OR group of rules.
+ * Single legacy rules are shown as a one-rule group; groups can hold one
+ * level of nested groups, e.g. "A AND (B OR C)".
+ */
+const ConditionEditor = ({ condition, onChange, questions, depth = 0 }) => {
+  const group = !condition
+    ? null
+    : isConditionGroup(condition)
+    ? condition
+    : { combinator: "and", conditions: [condition] };
+
+  if (!group) {
+    return (
+      <Button
+        size="sm"
+        variant="secondary"
+        icon={Plus}
+        onClick={() =>
+          onChange({ combinator: "and", conditions: [emptyRule()] })
+        }
+      >
+        Add condition
+      </Button>
+    );
+  }
+
+  const setConditions = (conditions) =>
+    // Removing the last rule removes the condition entirely
+    onChange(conditions.length > 0 ? { ...group, conditions } : undefined);
+
+  const updateAt = (index, next) =>
+    setConditions(
+      group.conditions
+        .map((c, i) => (i === index ? next : c))
+        .filter(Boolean)
+    );
+
+  return (
+    <div
+      className={`space-y-2 ${
+        depth > 0 ? "p-3 border border-dashed border-gray-300 rounded-md" : ""
+      }`}
+    >
+      <div className="flex items-center space-x-2 text-sm text-gray-600">
+        <span>Match</span>
+        <div className="w-44">
+          <Select
+            value={group.combinator || "and"}
+            onChange={(e) => onChange({ ...group, combinator: e.target.value })}
+          >
+            <option value="and">all rules (AND)</option>
+            <option value="or">any rule (OR)</option>
+          </Select>
+        </div>
+      </div>
+
+      {group.conditions.map((c, index) =>
+        isConditionGroup(c) ? (
+          <ConditionEditor
+            key={index}
+            condition={c}
+            onChange={(next) => updateAt(index, next)}
+            questions={questions}
+            depth={depth + 1}
+          />
+        ) : (
+          <ConditionRuleEditor
+            key={index}
+            rule={c}
+            onChange={(next) => updateAt(index, next)}
+            onRemove={() => updateAt(index, null)}
+            questions={questions}
+          />
+        )
+      )}
+
+      <div className="flex space-x-2">
+        <Button
+          size="sm"
+          variant="ghost"
+          icon={Plus}
+          onClick={() => setConditions([...group.conditions, emptyRule()])}
+        >
+          Add rule
+        </Button>
+        {depth === 0 && (
+          <Button
+            size="sm"
+            variant="ghost"
+            icon={Plus}
+            onClick={() =>
+              setConditions([
+                ...group.conditions,
+                {
+                  combinator: group.combinator === "or" ? "and" : "or",
+                  conditions: [emptyRule()],
+                },
+              ])
+            }
+          >
+            Add group
+          </Button>
+        )}
+        <Button
+          size="sm"
+          variant="ghost"
+          onClick={() => onChange(undefined)}
+          className="text-red-500 hover:text-red-700"
+        >
+          {depth === 0 ? "Clear condition" : "Remove group"}
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+// Inline list of dependency problems for a question or section condition
+const ConditionErrors = ({ errors }) =>
+  errors.length > 0 ? (
+    <ul className="mt-2 space-y-1">
+      {errors.map((message) => (
+        <li key={message} className="flex items-center text-xs text-red-600">
+          <AlertCircle className="h-4 w-4 mr-1 flex-shrink-0" />
+          {message}
+        </li>
+      ))}
+    </ul>
+  ) : null;
+
+/**
+ * LineListTextarea
+ * Edits a list of strings as one-per-line text, keeping the raw text
+ * locally so blank lines can be typed without being dropped mid-edit.
+ */
+const LineListTextarea = ({ label, values = [], onChange, rows = 4 }) => {
+  const [text, setText] = useState(values.join("\n"));
+
+  useEffect(() => {
+    setText((current) =>
+      sameList(current.split("\n").filter(Boolean), values)
+        ? current
+        : values.join("\n")
+    );
+  }, [values]);
+
+  const handleChange = (e) => {
+    setText(e.target.value);
+    onChange(e.target.value.split("\n").filter(Boolean));
+  };
+
+  return (
+    <Textarea label={label} value={text} onChange={handleChange} rows={rows} />
+  );
+};
 
 /**
  * AssessmentQuestionEditor
@@ -1469,15 +1702,55 @@ const AssessmentQuestionEditor = ({
   updateQuestion,
   removeQuestion,
   allQuestions,
+  conditionErrors = [],
+  onOptionRenamed,
+  dragHandleProps,
 }) => {
   const [optionsText, setOptionsText] = useState(
     question.options?.join("\n") || ""
   );
+  const [extensionsText, setExtensionsText] = useState(
+    question.allowedExtensions?.join(", ") || ""
+  );
+
+  // Re-sync the free-text fields when the question changes from outside
+  // (undo/redo, draft recovery, version restore) rather than from typing here
+  useEffect(() => {
+    setOptionsText((text) =>
+      sameList(text.split("\n").filter(Boolean), question.options || [])
+        ? text
+        : (question.options || []).join("\n")
+    );
+  }, [question.options]);
+
+  useEffect(() => {
+    setExtensionsText((text) =>
+      sameList(
+        toList(text).map(normalizeExtension),
+        question.allowedExtensions || []
+      )
+        ? text
+        : (question.allowedExtensions || []).join(", ")
+    );
+  }, [question.allowedExtensions]);
+
+  const handleExtensionsChange = (e) => {
+    setExtensionsText(e.target.value);
+    const allowedExtensions = toList(e.target.value).map(normalizeExtension);
+    updateQuestion({
+      allowedExtensions:
+        allowedExtensions.length > 0 ? allowedExtensions : undefined,
+    });
+  };
 
   const handleTypeChange = (e) => {
     const newType = e.target.value;
     const updates = { type: newType };
-    if (newType === "single-choice" || newType === "multi-choice") {
+    if (
+      newType === "single-choice" ||
+      newType === "multi-choice" ||
+      newType === "ranking"
+    ) {
       updates.options = question.options || ["Option 1", "Option 2"];
       setOptionsText(updates.options.join("\n"));
     } else {
@@ -1498,27 +1771,115 @@ const AssessmentQuestionEditor = ({
       delete updates.maxLength;
     }
 
+    if (newType !== "file") {
+      updates.allowedExtensions = undefined;
+      updates.maxSizeMb = undefined;
+    }
+
+    if (newType === "rating") {
+      updates.scaleMin = 1;
+      updates.scaleMax = 5;
+    } else {
+      updates.scaleMin = undefined;
+      updates.scaleMax = undefined;
+      updates.minLabel = undefined;
+      updates.maxLabel = undefined;
+    }
+
+    if (newType !== "date") {
+      updates.minDate = undefined;
+      updates.maxDate = undefined;
+    }
+
+    if (newType === "matrix") {
+      updates.rows = question.rows || ["Row 1", "Row 2"];
+      updates.columns = question.columns || ["Poor", "Fair", "Good"];
+    } else {
+      updates.rows = undefined;
+      updates.columns = undefined;
+    }
+
+    // Answer keys don't carry over between question types
+    updates.correctAnswer = undefined;
+    updates.correctRange = undefined;
+
     updateQuestion(updates);
   };
 
   const handleOptionsChange = (e) => {
+    const oldOptions = question.options || [];
+    const newOptions = e.target.value.split("\n").filter(Boolean);
     setOptionsText(e.target.value);
-    updateQuestion({ options: e.target.value.split("\n").filter(Boolean) });
+
+    // A single changed line is treated as a rename, so the builder can
+    // offer to point dependent conditions at the new option text
+    let rename = null;
+    if (oldOptions.length === newOptions.length) {
+      const changed = newOptions.findIndex((opt, i) => opt !== oldOptions[i]);
+      if (
+        changed !== -1 &&
+        newOptions.every((opt, i) => i === changed || opt === oldOptions[i])
+      ) {
+        rename = { from: oldOptions[changed], to: newOptions[changed] };
+      }
+    }
+
+    // Keep the answer key pointing at options that still exist
+    const keepOption = (opt) =>
+      rename && opt === rename.from ? rename.to : opt;
+    let { correctAnswer } = question;
+    if (Array.isArray(correctAnswer)) {
+      correctAnswer = correctAnswer
+        .map(keepOption)
+        .filter((opt) => newOptions.includes(opt));
+    } else if (correctAnswer != null) {
+      correctAnswer = keepOption(correctAnswer);
+      if (!newOptions.includes(correctAnswer)) correctAnswer = undefined;
+    }
+
+    updateQuestion({ options: newOptions, correctAnswer });
+    if (rename) onOptionRenamed?.(rename.from, rename.to);
   };
 
-  const handleConditionChange = (field, value) => {
+  const toggleCorrectOption = (option) => {
+    const current = toList(question.correctAnswer);
     updateQuestion({
-      condition: {
-        ...(question.condition || {}),
-        [field]: value,
-      },
+      correctAnswer: current.includes(option)
+        ? current.filter((o) => o !== option)
+        : [...current, option],
+    });
+  };
+
+  const updateCorrectRange = (bound, rawValue) => {
+    const correctRange = {
+      ...question.correctRange,
+      [bound]: rawValue === "" ? undefined : Number(rawValue),
+    };
+    updateQuestion({
+      correctRange:
+        correctRange.min == null && correctRange.max == null
+          ? undefined
+          : correctRange,
     });
   };
 
   return (
     <div className="p-4 bg-gray-50 border border-gray-200 rounded-lg space-y-3">
       <div className="flex justify-between items-center">
-        <h4 className="font-medium text-gray-800">Question: {question.id}</h4>
+        <div className="flex items-center">
+          {dragHandleProps && (
+            <Button
+              variant="ghost"
+              size="icon"
+              {...dragHandleProps}
+              className="-ml-2 mr-1 cursor-grab active:cursor-grabbing"
+              title="Drag to reorder"
+            >
+              <GripVertical className="h-4 w-4 text-gray-400" />
+            </Button>
+          )}
+          <h4 className="font-medium text-gray-800">Question: {question.id}</h4>
+        </div>
         <Button
           variant="ghost"
           size="icon"
@@ -1570,7 +1931,8 @@ const AssessmentQuestionEditor = ({
 
       {/* Type-specific options */}
       {(question.type === "single-choice" ||
-        question.type === "multi-choice") && (
+        question.type === "multi-choice" ||
+        question.type === "ranking") && (
         <Textarea
           label="Options (one per line)"
           value={optionsText}
@@ -1590,15 +1952,37 @@ const AssessmentQuestionEditor = ({
         />
       )}
 
-      {question.type === "numeric" && (
+      {question.type === "file" && (
         <div className="grid grid-cols-2 gap-4">
           <Input
-            label="Min Value"
+            label="Allowed Extensions (comma separated)"
+            placeholder=".pdf, .zip"
+            value={extensionsText}
+            onChange={handleExtensionsChange}
+          />
+          <Input
+            label="Max Size (MB)"
             type="number"
-            value={question.min ?? ""}
+            value={question.maxSizeMb ?? ""}
             onChange={(e) =>
               updateQuestion({
-                min:
+                maxSizeMb:
+                  e.target.value === "" ? undefined : Number(e.target.value),
+              })
+            }
+          />
+        </div>
+      )}
+
+      {question.type === "rating" && (
+        <div className="grid grid-cols-2 gap-4">
+          <Input
+            label="Scale Start"
+            type="number"
+            value={question.scaleMin ?? ""}
+            onChange={(e) =>
+              updateQuestion({
+                scaleMin:
                   e.target.value === ""
                     ? undefined
                     : parseInt(e.target.value, 10),
@@ -1606,82 +1990,530 @@ const AssessmentQuestionEditor = ({
             }
           />
           <Input
-            label="Max Value"
+            label="Scale End"
             type="number"
-            value={question.max ?? ""}
+            value={question.scaleMax ?? ""}
             onChange={(e) =>
               updateQuestion({
-                max:
+                scaleMax:
                   e.target.value === ""
                     ? undefined
                     : parseInt(e.target.value, 10),
               })
             }
           />
+          <Input
+            label="Low Label"
+            placeholder="Strongly disagree"
+            value={question.minLabel || ""}
+            onChange={(e) =>
+              updateQuestion({ minLabel: e.target.value || undefined })
+            }
+          />
+          <Input
+            label="High Label"
+            placeholder="Strongly agree"
+            value={question.maxLabel || ""}
+            onChange={(e) =>
+              updateQuestion({ maxLabel: e.target.value || undefined })
+            }
+          />
         </div>
       )}
 
-      {/* Conditional Logic */}
-      <div className="pt-3 border-t border-gray-200">
-        <h5 className="text-sm font-medium text-gray-700 mb-2">
-          Conditional Logic
-        </h5>
-        <p className="text-xs text-gray-500 mb-2">
-          Show this question only if...
-        </p>
-        <div className="grid grid-cols-3 gap-2">
-          <Select
-            label="Question"
-            value={question.condition?.questionId || ""}
+      {question.type === "date" && (
+        <div className="grid grid-cols-2 gap-4">
+          <Input
+            label="Earliest Date"
+            type="date"
+            value={question.minDate || ""}
             onChange={(e) =>
-              handleConditionChange("questionId", e.target.value)
+              updateQuestion({ minDate: e.target.value || undefined })
             }
-          >
-            <option value="">(No Condition)</option>
-            {allQuestions
-              .filter(
-                (q) =>
-                  q.id !== question.id &&
-                  (q.type === "single-choice" || q.type === "multi-choice")
-              )
-              .map((q) => (
-                <option key={q.id} value={q.id}>
-                  {q.label || q.id}
-                </option>
-              ))}
-          </Select>
-          <Select
-            label="Operator"
-            value={question.condition?.operator || "eq"}
-            onChange={(e) => handleConditionChange("operator", e.target.value)}
-          >
-            <option value="eq">is equal to</option>
-            <option value="neq">is not equal to</option>
-            <option value="contains">contains</option>
-          </Select>
+          />
           <Input
-            label="Value"
-            value={question.condition?.value || ""}
-            onChange={(e) => handleConditionChange("value", e.target.value)}
-            placeholder="e.g., Yes"
+            label="Latest Date"
+            type="date"
+            value={question.maxDate || ""}
+            onChange={(e) =>
+              updateQuestion({ maxDate: e.target.value || undefined })
+            }
           />
         </div>
-      </div>
-    </div>
-  );
-};
+      )}
 
-/**
- * AssessmentRuntime
- * Renders a fillable form from an assessment JSON structure.
- * Manages responses and validation.
- */
+      {question.type === "matrix" && (
+        <div className="grid grid-cols-2 gap-4">
+          <LineListTextarea
+            label="Rows (one per line)"
+            values={question.rows}
+            onChange={(rows) => updateQuestion({ rows })}
+          />
+          <LineListTextarea
+            label="Columns (one per line)"
+            values={question.columns}
+            onChange={(columns) => updateQuestion({ columns })}
+          />
+        </div>
+      )}
+
+      {question.type === "numeric" && (
+        <div className="grid grid-cols-2 gap-4">
+          <Input
+            label="Min Value"
+            type="number"
+            value={question.min ?? ""}
+            onChange={(e) =>
+              updateQuestion({
+                min:
+                  e.target.value === ""
+                    ? undefined
+                    : parseInt(e.target.value, 10),
+              })
+            }
+          />
+          <Input
+            label="Max Value"
+            type="number"
+            value={question.max ?? ""}
+            onChange={(e) =>
+              updateQuestion({
+                max:
+                  e.target.value === ""
+                    ? undefined
+                    : parseInt(e.target.value, 10),
+              })
+            }
+          />
+        </div>
+      )}
+
+      {/* Scoring */}
+      {SCORABLE_TYPES.includes(question.type) && (
+        <div className="pt-3 border-t border-gray-200 space-y-3">
+          <h5 className="text-sm font-medium text-gray-700">Scoring</h5>
+          <p className="text-xs text-gray-500">
+            Leave the answer key empty to keep this question ungraded.
+          </p>
+          <div className="grid grid-cols-3 gap-4">
+            <Input
+              label="Points"
+              type="number"
+              value={question.points ?? ""}
+              onChange={(e) =>
+                updateQuestion({
+                  points:
+                    e.target.value === "" ? undefined : Number(e.target.value),
+                })
+              }
+            />
+            {question.type === "single-choice" && (
+              <div className="col-span-2">
+                <Select
+                  label="Correct Answer"
+                  value={question.correctAnswer ?? ""}
+                  onChange={(e) =>
+                    updateQuestion({
+                      correctAnswer: e.target.value || undefined,
+                    })
+                  }
+                >
+                  <option value="">-- Not graded --</option>
+                  {(question.options || []).map((opt) => (
+                    <option key={opt} value={opt}>
+                      {opt}
+                    </option>
+                  ))}
+                </Select>
+              </div>
+            )}
+            {question.type === "numeric" && (
+              <>
+                <Input
+                  label="Correct From"
+                  type="number"
+                  value={question.correctRange?.min ?? ""}
+                  onChange={(e) => updateCorrectRange("min", e.target.value)}
+                />
+                <Input
+                  label="Correct To"
+                  type="number"
+                  value={question.correctRange?.max ?? ""}
+                  onChange={(e) => updateCorrectRange("max", e.target.value)}
+                />
+              </>
+            )}
+          </div>
+          {question.type === "multi-choice" && (
+            <div>
+              <span className="block text-sm font-medium text-gray-700 mb-1">
+                Correct Answers (partial credit per option)
+              </span>
+              <div className="space-y-1">
+                {(question.options || []).map((opt) => (
+                  <label key={opt} className="flex items-center text-sm">
+                    <input
+                      type="checkbox"
+                      checked={toList(question.correctAnswer).includes(opt)}
+                      onChange={() => toggleCorrectOption(opt)}
+                      className="h-4 w-4 text-indigo-600 border-gray-300 rounded focus:ring-indigo-500"
+                    />
+                    <span className="ml-2 text-gray-900">{opt}</span>
+                  </label>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Conditional Logic */}
+      <div className="pt-3 border-t border-gray-200">
+        <h5 className="text-sm font-medium text-gray-700 mb-2">
+          Conditional Logic
+        </h5>
+        <p className="text-xs text-gray-500 mb-2">
+          Show this question only if...
+        </p>
+        <ConditionEditor
+          condition={question.condition}
+          onChange={(condition) => updateQuestion({ condition })}
+          questions={allQuestions.filter((q) => q.id !== question.id)}
+        />
+        <ConditionErrors errors={conditionErrors} />
+      </div>
+    </div>
+  );
+};
+
+// Deletes an upload that is no longer an answer. Best effort: a candidate's
+// leftover uploads are also cleared when they submit.
+const discardFile = (fileId) =>
+  fetch(`/files/${fileId}`, { method: "DELETE" }).catch(() => {});
+
+// Fetches an uploaded file through the API and hands it to the browser
+const downloadFile = async ({ fileId, name }) => {
+  const res = await fetch(`/files/${fileId}`);
+  if (!res.ok) throw new Error("Failed to download file");
+  const url = URL.createObjectURL(await res.blob());
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = name;
+  link.click();
+  // Revoke on the next tick so the browser has picked up the download
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+/**
+ * FileUploadField
+ * Dropzone for `file` questions. Uploads go to POST /files straight away and
+ * the returned metadata ({ fileId, name, type, size, hash }) becomes the
+ * answer value. In read-only mode it only offers a download.
+ */
+const FileUploadField = ({
+  question,
+  value,
+  onChange,
+  error,
+  readOnly,
+  jobId,
+  candidateId,
+}) => {
+  const [isDragging, setIsDragging] = useState(false);
+  const [isUploading, setIsUploading] = useState(false);
+  const [uploadError, setUploadError] = useState(null);
+  const { addToast } = useToasts();
+
+  const allowed = (question.allowedExtensions || []).map(normalizeExtension);
+
+  const uploadFile = async (file) => {
+    if (!file) return;
+    // Same check the server runs, so obvious mistakes fail without a round trip
+    const constraintError = checkFileConstraints(question, file);
+    if (constraintError) {
+      setUploadError(constraintError);
+      return;
+    }
+
+    setUploadError(null);
+    setIsUploading(true);
+    try {
+      const form = new FormData();
+      form.append("file", file);
+      form.append("questionId", question.id);
+      if (jobId != null) form.append("jobId", jobId);
+      if (candidateId != null) form.append("candidateId", candidateId);
+      const res = await fetch("/files", { method: "POST", body: form });
+      if (!res.ok) {
+        const err = await res.json().catch(() => ({}));
+        throw new Error(err.message || "Failed to upload file");
+      }
+      onChange(await res.json());
+    } catch (err) {
+      setUploadError(err.message);
+    } finally {
+      setIsUploading(false);
+    }
+  };
+
+  const handleDownload = async () => {
+    try {
+      await downloadFile(value);
+    } catch (err) {
+      addToast(err.message, "error");
+    }
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    if (readOnly || isUploading) return;
+    uploadFile(e.dataTransfer.files?.[0]);
+  };
+
+  const shownError = uploadError || error;
+
+  if (value?.fileId != null) {
+    return (
+      <div>
+        <div className="mt-1 flex items-center justify-between p-3 bg-white border border-gray-300 rounded-md">
+          <div className="flex items-center min-w-0">
+            <FileText className="h-5 w-5 text-gray-400 flex-shrink-0" />
+            <div className="ml-2 min-w-0">
+              <p className="text-sm font-medium text-gray-900 truncate">
+                {value.name}
+              </p>
+              <p className="text-xs text-gray-500">
+                {formatFileSize(value.size)}
+              </p>
+            </div>
+          </div>
+          <div className="flex space-x-2">
+            <Button
+              size="sm"
+              variant="secondary"
+              icon={Download}
+              onClick={handleDownload}
+            >
+              Download
+            </Button>
+            {!readOnly && (
+              <Button
+                size="sm"
+                variant="ghost"
+                icon={X}
+                onClick={() => {
+                  discardFile(value.fileId);
+                  onChange(undefined);
+                }}
+              >
+                Remove
+              </Button>
+            )}
+          </div>
+        </div>
+        {shownError && (
+          <p className="mt-1 text-xs text-red-600">{shownError}</p>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <div
+      onDragOver={(e) => {
+        e.preventDefault();
+        if (!readOnly) setIsDragging(true);
+      }}
+      onDragLeave={() => setIsDragging(false)}
+      onDrop={handleDrop}
+      className={`mt-1 flex justify-center px-6 pt-5 pb-6 border-2 border-dashed rounded-md ${
+        isDragging ? "border-indigo-400 bg-indigo-50" : "border-gray-300"
+      }`}
+    >
+      <div className="space-y-1 text-center">
+        {isUploading ? (
+          <Loader2 className="mx-auto h-12 w-12 text-indigo-400 animate-spin" />
+        ) : (
+          <UploadCloud className="mx-auto h-12 w-12 text-gray-400" />
+        )}
+        <div className="flex text-sm text-gray-600">
+          <label
+            htmlFor={question.id}
+            className="relative cursor-pointer bg-white rounded-md font-medium text-indigo-600 hover:text-indigo-500 focus-within:outline-none focus-within:ring-2 focus-within:ring-offset-2 focus-within:ring-indigo-500"
+          >
+            <span>Upload a file</span>
+            <input
+              id={question.id}
+              name={question.id}
+              type="file"
+              className="sr-only"
+              accept={allowed.join(",") || undefined}
+              disabled={readOnly || isUploading}
+              onChange={(e) => {
+                uploadFile(e.target.files?.[0]);
+                e.target.value = "";
+              }}
+            />
+          </label>
+          <p className="pl-1">or drag and drop</p>
+        </div>
+        <p className="text-xs text-gray-500">
+          {readOnly
+            ? "No file uploaded"
+            : [
+                allowed.length > 0 ? allowed.join(", ") : "Any file type",
+                question.maxSizeMb ? `up to ${question.maxSizeMb} MB` : null,
+              ]
+                .filter(Boolean)
+                .join(" ")}
+        </p>
+        {shownError && (
+          <p className="mt-1 text-xs text-red-600">{shownError}</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * RankingInput
+ * Orders a question's options with up/down buttons. Until the candidate
+ * moves something (or accepts the order) the answer stays empty.
+ */
+const RankingInput = ({ question, value, onChange, error, readOnly }) => {
+  const options = question.options || [];
+  const ranked = Array.isArray(value) && value.length > 0 ? value : options;
+  const isAnswered = Array.isArray(value) && value.length > 0;
+
+  const move = (index, offset) => {
+    onChange(arrayMove(ranked, index, index + offset));
+  };
+
+  if (readOnly && !isAnswered) {
+    return <p className="text-sm italic text-gray-500">No ranking given.</p>;
+  }
+
+  return (
+    <div>
+      <ol className="space-y-2">
+        {ranked.map((option, index) => (
+          <li
+            key={option}
+            className="flex items-center p-2 bg-white border border-gray-300 rounded-md"
+          >
+            <span className="w-6 text-sm font-medium text-gray-500">
+              {index + 1}.
+            </span>
+            <span className="flex-grow text-sm text-gray-900">{option}</span>
+            {!readOnly && (
+              <div className="flex space-x-1">
+                <Button
+                  variant="ghost"
+                  size="icon"
+                  onClick={() => move(index, -1)}
+                  disabled={index === 0}
+                  title="Move up"
+                >
+                  <ChevronUp className="h-4 w-4" />
+                </Button>
+                <Button
+                  variant="ghost"
+                  size="icon"
+                  onClick={() => move(index, 1)}
+                  disabled={index === ranked.length - 1}
+                  title="Move down"
+                >
+                  <ChevronDown className="h-4 w-4" />
+                </Button>
+              </div>
+            )}
+          </li>
+        ))}
+      </ol>
+      {!readOnly && !isAnswered && options.length > 0 && (
+        <Button
+          size="sm"
+          variant="secondary"
+          className="mt-2"
+          onClick={() => onChange([...options])}
+        >
+          Keep this order
+        </Button>
+      )}
+      {error && <p className="mt-1 text-xs text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+/**
+ * MatrixInput
+ * Grid of radio buttons: one column choice per row. The answer is a
+ * { [row]: column } map.
+ */
+const MatrixInput = ({ question, value, onChange, error, readOnly }) => {
+  const rows = question.rows || [];
+  const columns = question.columns || [];
+  const grid = value || {};
+
+  return (
+    <div>
+      <div className="overflow-x-auto">
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr>
+              <th />
+              {columns.map((column) => (
+                <th
+                  key={column}
+                  className="px-3 py-2 text-center font-medium text-gray-600"
+                >
+                  {column}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {rows.map((row) => (
+              <tr key={row}>
+                <td className="py-2 pr-3 text-gray-900">{row}</td>
+                {columns.map((column) => (
+                  <td key={column} className="px-3 py-2 text-center">
+                    <input
+                      type="radio"
+                      name={`${question.id}-${row}`}
+                      aria-label={`${row}: ${column}`}
+                      checked={grid[row] === column}
+                      onChange={() => onChange({ ...grid, [row]: column })}
+                      disabled={readOnly}
+                      className="h-4 w-4 text-indigo-600 border-gray-300 focus:ring-indigo-500"
+                    />
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {error && <p className="mt-1 text-xs text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+/**
+ * AssessmentRuntime
+ * Renders a fillable form from an assessment JSON structure.
+ * Manages responses and validation. `sectionIds` limits rendering to those
+ * sections (timed attempts show one section at a time).
+ */
 const AssessmentRuntime = ({
   assessment,
   responses,
   setResponses,
   errors,
   readOnly = false,
+  candidateId,
+  sectionIds,
 }) => {
   const handleResponseChange = (id, value) => {
     if (readOnly) return;
@@ -1700,34 +2532,14 @@ const AssessmentRuntime = ({
     handleResponseChange(id, newValues);
   };
 
-  // Check conditional logic
-  const isQuestionVisible = (question) => {
-    if (!question.condition || !question.condition.questionId) {
-      return true;
-    }
-
-    const { questionId, operator, value } = question.condition;
-    const targetResponse = responses[questionId];
-
-    if (!targetResponse) return false;
-
-    switch (operator) {
-      case "eq":
-        return Array.isArray(targetResponse)
-          ? targetResponse.includes(value)
-          : targetResponse === value;
-      case "neq":
-        return Array.isArray(targetResponse)
-          ? !targetResponse.includes(value)
-          : targetResponse !== value;
-      case "contains":
-        return Array.isArray(targetResponse)
-          ? targetResponse.includes(value)
-          : String(targetResponse).includes(value);
-      default:
-        return true;
-    }
-  };
+  const visibility = useMemo(
+    () => getQuestionVisibility(assessment, responses),
+    [assessment, responses]
+  );
+  const sectionVisibility = useMemo(
+    () => getSectionVisibility(assessment, responses),
+    [assessment, responses]
+  );
 
   // Render a single question based on its type
   const renderQuestion = (q) => {
@@ -1830,30 +2642,81 @@ const AssessmentRuntime = ({
         );
       case "file":
         return (
-          <div className="mt-1 flex justify-center px-6 pt-5 pb-6 border-2 border-gray-300 border-dashed rounded-md">
-            <div className="space-y-1 text-center">
-              <UploadCloud className="mx-auto h-12 w-12 text-gray-400" />
-              <div className="flex text-sm text-gray-600">
-                <label
-                  htmlFor={q.id}
-                  className="relative cursor-pointer bg-white rounded-md font-medium text-indigo-600 hover:text-indigo-500 focus-within:outline-none focus-within:ring-2 focus-within:ring-offset-2 focus-within:ring-indigo-500"
+          <FileUploadField
+            question={q}
+            value={value}
+            onChange={(file) => handleResponseChange(q.id, file)}
+            error={error}
+            readOnly={readOnly}
+            jobId={assessment.jobId}
+            candidateId={candidateId}
+          />
+        );
+      case "rating":
+        return (
+          <div>
+            <div className="flex items-center space-x-2">
+              {q.minLabel && (
+                <span className="text-xs text-gray-500">{q.minLabel}</span>
+              )}
+              {getRatingScale(q).map((point) => (
+                <button
+                  key={point}
+                  type="button"
+                  onClick={() => handleResponseChange(q.id, point)}
+                  disabled={readOnly}
+                  aria-pressed={value === point}
+                  className={`h-9 w-9 rounded-full border text-sm font-medium ${
+                    value === point
+                      ? "bg-indigo-600 border-indigo-600 text-white"
+                      : "bg-white border-gray-300 text-gray-700 hover:bg-gray-50"
+                  } disabled:cursor-default`}
                 >
-                  <span>Upload a file</span>
-                  <input
-                    id={q.id}
-                    name={q.id}
-                    type="file"
-                    className="sr-only"
-                    disabled={readOnly}
-                  />
-                </label>
-                <p className="pl-1">or drag and drop</p>
-              </div>
-              <p className="text-xs text-gray-500">File upload is stubbed</p>
-              {error && <p className="mt-1 text-xs text-red-600">{error}</p>}
+                  {point}
+                </button>
+              ))}
+              {q.maxLabel && (
+                <span className="text-xs text-gray-500">{q.maxLabel}</span>
+              )}
             </div>
+            {error && <p className="mt-1 text-xs text-red-600">{error}</p>}
           </div>
         );
+      case "date":
+        return (
+          <Input
+            type="date"
+            name={q.id}
+            value={value || ""}
+            onChange={(e) =>
+              handleResponseChange(q.id, e.target.value || undefined)
+            }
+            min={q.minDate}
+            max={q.maxDate}
+            error={error}
+            disabled={readOnly}
+          />
+        );
+      case "ranking":
+        return (
+          <RankingInput
+            question={q}
+            value={value}
+            onChange={(ranked) => handleResponseChange(q.id, ranked)}
+            error={error}
+            readOnly={readOnly}
+          />
+        );
+      case "matrix":
+        return (
+          <MatrixInput
+            question={q}
+            value={value}
+            onChange={(grid) => handleResponseChange(q.id, grid)}
+            error={error}
+            readOnly={readOnly}
+          />
+        );
       default:
         return <p className="text-red-500">Unknown question type: {q.type}</p>;
     }
@@ -1862,403 +2725,2556 @@ const AssessmentRuntime = ({
   return (
     <div className="space-y-8 p-4">
       <h2 className="text-2xl font-bold text-gray-900">{assessment.title}</h2>
-      {assessment.sections?.map((section) => (
-        <div key={section.id} className="space-y-6">
-          <div>
-            <h3 className="text-xl font-semibold text-gray-800">
-              {section.title}
-            </h3>
-            {section.description && (
-              <p className="mt-1 text-sm text-gray-500">
-                {section.description}
-              </p>
-            )}
-          </div>
+      {assessment.sections?.map((section) => {
+        const isSectionVisible = sectionVisibility[section.id];
+        if (!isSectionVisible && !readOnly) return null;
+        if (sectionIds && !sectionIds.includes(section.id)) return null;
+        return (
+          <div key={section.id} className="space-y-6">
+            <div>
+              <h3 className="text-xl font-semibold text-gray-800">
+                {section.title}
+                {!isSectionVisible && (
+                  <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-600">
+                    Section skipped
+                  </span>
+                )}
+              </h3>
+              {section.description && (
+                <p className="mt-1 text-sm text-gray-500">
+                  {section.description}
+                </p>
+              )}
+            </div>
 
-          <div className="space-y-6">
-            {section.questions.filter(isQuestionVisible).map((q) => (
-              <div
-                key={q.id}
-                className="p-4 bg-white rounded-lg shadow-sm border border-gray-200"
-              >
-                <label className="block text-sm font-medium text-gray-700 mb-2">
-                  {q.label}
-                  {q.required && <span className="text-red-500 ml-1">*</span>}
-                </label>
-                {renderQuestion(q)}
-              </div>
-            ))}
+            <div className="space-y-6">
+              {section.questions.map((q) => {
+                const isVisible = visibility[q.id];
+                // Read-only review keeps hidden questions, marked as skipped
+                if (!isVisible && !readOnly) return null;
+                return (
+                  <div
+                    key={q.id}
+                    className={`p-4 bg-white rounded-lg shadow-sm border border-gray-200 ${
+                      isVisible ? "" : "opacity-60"
+                    }`}
+                  >
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      {q.label}
+                      {q.required && <span className="text-red-500 ml-1">*</span>}
+                      {!isVisible && (
+                        <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-600">
+                          Skipped
+                        </span>
+                      )}
+                    </label>
+                    {isVisible ? (
+                      renderQuestion(q)
+                    ) : (
+                      <p className="text-sm italic text-gray-500">
+                        Hidden by conditional logic, so the candidate did not
+                        see this question.
+                      </p>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
           </div>
-        </div>
-      ))}
+        );
+      })}
     </div>
   );
 };
 
 /**
- * AssessmentBuilder
- * Main component for creating/editing an assessment.
- * Includes the builder UI and the live preview.
+ * ImportAssessmentModal
+ * Shows the validation report for an imported file, or a preview and diff
+ * against the builder content when it is valid. Nothing changes until the
+ * user confirms.
  */
-const AssessmentBuilder = ({ jobId }) => {
-  const [assessment, setAssessment] = useState(null);
-  const [isLoading, setIsLoading] = useState(true);
-  const [isSaving, setIsSaving] = useState(false);
-  const [previewMode, setPreviewMode] = useState(false);
-  const { addToast } = useToasts();
+const ImportAssessmentModal = ({ importResult, current, onClose, onConfirm }) => {
+  const [tab, setTab] = useState("preview"); // 'preview' | 'changes'
+  const changes = useMemo(
+    () =>
+      importResult?.assessment
+        ? diffAssessments(current, importResult.assessment)
+        : [],
+    [importResult, current]
+  );
 
-  // Live responses for the preview pane
-  const [previewResponses, setPreviewResponses] = useState({});
-  const [previewErrors, setPreviewErrors] = useState({});
+  if (!importResult) return null;
+  const { fileName, assessment, errors } = importResult;
 
-  useEffect(() => {
-    const fetchAssessment = async () => {
-      setIsLoading(true);
-      try {
-        const res = await fetch(`/assessments/${jobId}`);
-        if (!res.ok) throw new Error("Failed to load assessment");
-        const data = await res.json();
-        setAssessment(data);
+  return (
+    <Modal
+      isOpen
+      onClose={onClose}
+      title={`Import ${fileName}`}
+      size="4xl"
+    >
+      {errors.length > 0 ? (
+        <div className="space-y-3">
+          <p className="flex items-center text-sm text-red-700">
+            <AlertCircle className="h-5 w-5 mr-2 flex-shrink-0" />
+            This file can&apos;t be imported. Fix {errors.length} problem(s)
+            and try again:
+          </p>
+          <ul className="divide-y divide-gray-200 border border-gray-200 rounded-md text-sm">
+            {errors.map((error, i) => (
+              <li key={i} className="p-3">
+                <code className="text-xs text-gray-500">{error.path}</code>
+                <p className="text-gray-900">{error.message}</p>
+              </li>
+            ))}
+          </ul>
+          <div className="flex justify-end pt-4 border-t border-gray-200">
+            <Button variant="secondary" onClick={onClose}>
+              Close
+            </Button>
+          </div>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          <div className="flex rounded-md shadow-sm w-max">
+            <Button
+              onClick={() => setTab("preview")}
+              variant={tab === "preview" ? "primary" : "secondary"}
+              className="rounded-r-none"
+            >
+              Preview
+            </Button>
+            <Button
+              onClick={() => setTab("changes")}
+              variant={tab === "changes" ? "primary" : "secondary"}
+              className="rounded-l-none"
+            >
+              Changes ({changes.length})
+            </Button>
+          </div>
+
+          {tab === "preview" ? (
+            <div className="border border-gray-200 rounded-md bg-gray-50">
+              <AssessmentRuntime
+                assessment={assessment}
+                responses={{}}
+                setResponses={() => {}}
+                errors={{}}
+                readOnly
+              />
+            </div>
+          ) : changes.length === 0 ? (
+            <p className="text-sm text-gray-500">
+              Identical to the current builder content.
+            </p>
+          ) : (
+            <ul className="divide-y divide-gray-200 border border-gray-200 rounded-md">
+              {changes.map((c) => (
+                <li
+                  key={`${c.kind}-${c.id}`}
+                  className="flex items-start p-3 text-sm"
+                >
+                  <span
+                    className={`inline-flex px-2 py-0.5 rounded-full text-xs font-medium mr-3 ${
+                      DIFF_STYLES[c.change]
+                    }`}
+                  >
+                    {c.change}
+                  </span>
+                  <span className="text-gray-900">
+                    <span className="text-gray-500 capitalize">{c.kind}</span>{" "}
+                    {c.label || c.id}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <div className="flex justify-end space-x-2 pt-4 border-t border-gray-200">
+            <Button variant="secondary" onClick={onClose}>
+              Cancel
+            </Button>
+            <Button onClick={() => onConfirm(assessment)}>
+              Replace Builder Content
+            </Button>
+          </div>
+        </div>
+      )}
+    </Modal>
+  );
+};
+
+const countQuestions = (assessment) =>
+  (assessment.sections || []).reduce((n, s) => n + s.questions.length, 0);
+
+/**
+ * SaveTemplateModal
+ * Saves the builder's current content to the template library.
+ */
+const SaveTemplateModal = ({ isOpen, onClose, assessment }) => {
+  const [name, setName] = useState("");
+  const [description, setDescription] = useState("");
+  const [errors, setErrors] = useState({});
+  const [isLoading, setIsLoading] = useState(false);
+  const { addToast } = useToasts();
+
+  useEffect(() => {
+    if (isOpen) {
+      setName(assessment?.title || "");
+      setDescription("");
+      setErrors({});
+    }
+  }, [isOpen, assessment?.title]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!name.trim()) {
+      setErrors({ name: "Name is required" });
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      const res = await fetch("/assessment-templates", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          name,
+          description,
+          title: assessment.title,
+          timeLimitMinutes: assessment.timeLimitMinutes,
+          sections: assessment.sections,
+        }),
+      });
+      if (!res.ok) {
+        const err = await res.json();
+        if (err.errors) setErrors(err.errors);
+        throw new Error(err.message || "Failed to save template");
+      }
+      addToast(`Saved "${name.trim()}" to templates`, "success");
+      onClose();
+    } catch (error) {
+      addToast(error.message, "error");
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="Save as Template">
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <Input
+          label="Template Name"
+          name="templateName"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          error={errors.name}
+        />
+        <Textarea
+          label="Description"
+          name="templateDescription"
+          value={description}
+          onChange={(e) => setDescription(e.target.value)}
+          rows={3}
+        />
+        <div className="flex justify-end space-x-2 pt-4 border-t border-gray-200">
+          <Button type="button" variant="secondary" onClick={onClose}>
+            Cancel
+          </Button>
+          <Button type="submit" loading={isLoading} disabled={isLoading}>
+            Save Template
+          </Button>
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+/**
+ * AssessmentTemplatePicker
+ * Shown instead of the builder while a job has no assessment: start from a
+ * template, copy another job's assessment, or start blank.
+ */
+const AssessmentTemplatePicker = ({ jobId, onCreated, onStartBlank }) => {
+  const [tab, setTab] = useState("templates"); // 'templates' | 'jobs'
+  const [templates, setTemplates] = useState([]);
+  const [jobAssessments, setJobAssessments] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [busyKey, setBusyKey] = useState(null);
+  const { addToast } = useToasts();
+
+  useEffect(() => {
+    const fetchSources = async () => {
+      setIsLoading(true);
+      try {
+        const [templatesRes, assessmentsRes] = await Promise.all([
+          fetch("/assessment-templates"),
+          fetch("/assessments"),
+        ]);
+        if (!templatesRes.ok || !assessmentsRes.ok) {
+          throw new Error("Failed to load templates");
+        }
+        setTemplates(await templatesRes.json());
+        setJobAssessments(
+          (await assessmentsRes.json()).filter((a) => a.jobId !== jobId)
+        );
       } catch (error) {
         addToast(error.message, "error");
       } finally {
         setIsLoading(false);
       }
     };
-    fetchAssessment();
+    fetchSources();
   }, [jobId, addToast]);
 
-  // --- Builder Mutators ---
+  const cloneFrom = async (key, body) => {
+    setBusyKey(key);
+    try {
+      const res = await fetch(`/assessments/${jobId}/clone`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+      });
+      if (!res.ok) {
+        const err = await res.json();
+        throw new Error(err.message || "Failed to create assessment");
+      }
+      onCreated(await res.json());
+    } catch (error) {
+      addToast(error.message, "error");
+    } finally {
+      setBusyKey(null);
+    }
+  };
+
+  const deleteTemplate = async (template) => {
+    if (!window.confirm(`Delete the template "${template.name}"?`)) return;
+    // Optimistic removal
+    setTemplates((prev) => prev.filter((t) => t.id !== template.id));
+    try {
+      const res = await fetch(`/assessment-templates/${template.id}`, {
+        method: "DELETE",
+      });
+      if (!res.ok) {
+        const err = await res.json();
+        throw new Error(err.message || "Failed to delete template");
+      }
+    } catch (error) {
+      addToast(`Error: ${error.message}. Reverting changes.`, "error");
+      setTemplates((prev) =>
+        [...prev, template].sort((a, b) => a.name.localeCompare(b.name))
+      );
+    }
+  };
+
+  const items =
+    tab === "templates"
+      ? templates.map((t) => ({
+          key: `template-${t.id}`,
+          name: t.name,
+          subtitle: t.description,
+          content: t,
+          body: { templateId: t.id },
+          template: t,
+        }))
+      : jobAssessments.map((a) => ({
+          key: `job-${a.jobId}`,
+          name: a.title,
+          subtitle: `From ${a.jobTitle}`,
+          content: a,
+          body: { sourceJobId: a.jobId },
+        }));
+
+  return (
+    <div className="max-w-3xl mx-auto space-y-6">
+      <div className="text-center">
+        <h3 className="text-lg font-semibold text-gray-900">
+          This job has no assessment yet
+        </h3>
+        <p className="text-sm text-gray-500">
+          Start from a template, copy another job&apos;s assessment, or build
+          one from scratch.
+        </p>
+      </div>
+
+      <div className="flex justify-center">
+        <div className="flex rounded-md shadow-sm">
+          <Button
+            onClick={() => setTab("templates")}
+            variant={tab === "templates" ? "primary" : "secondary"}
+            className="rounded-r-none"
+          >
+            Templates
+          </Button>
+          <Button
+            onClick={() => setTab("jobs")}
+            variant={tab === "jobs" ? "primary" : "secondary"}
+            className="rounded-l-none"
+          >
+            Copy from a Job
+          </Button>
+        </div>
+      </div>
+
+      {isLoading ? (
+        <div className="flex justify-center p-8">
+          <Spinner />
+        </div>
+      ) : items.length === 0 ? (
+        <p className="text-center text-sm text-gray-500">
+          {tab === "templates"
+            ? "No templates saved yet."
+            : "No other job has an assessment yet."}
+        </p>
+      ) : (
+        <div className="grid grid-cols-2 gap-4">
+          {items.map((item) => (
+            <div
+              key={item.key}
+              className="p-4 bg-white rounded-lg shadow-sm border border-gray-200 flex flex-col"
+            >
+              <div className="flex justify-between items-start">
+                <p className="font-medium text-gray-900">{item.name}</p>
+                {item.template && (
+                  <Button
+                    variant="ghost"
+                    size="icon"
+                    onClick={() => deleteTemplate(item.template)}
+                    className="-mt-1 -mr-2 text-red-500 hover:text-red-700 hover:bg-red-50"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                )}
+              </div>
+              {item.subtitle && (
+                <p className="text-sm text-gray-500">{item.subtitle}</p>
+              )}
+              <p className="mt-2 text-xs text-gray-400 flex-grow">
+                {item.content.sections.length} section(s) ·{" "}
+                {countQuestions(item.content)} question(s)
+              </p>
+              <Button
+                size="sm"
+                className="mt-3 self-start"
+                icon={Copy}
+                loading={busyKey === item.key}
+                disabled={busyKey !== null}
+                onClick={() => cloneFrom(item.key, item.body)}
+              >
+                Use
+              </Button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="text-center">
+        <Button variant="ghost" icon={Plus} onClick={onStartBlank}>
+          Start from scratch
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+const DIFF_STYLES = {
+  added: "bg-green-100 text-green-800",
+  removed: "bg-red-100 text-red-800",
+  changed: "bg-yellow-100 text-yellow-800",
+};
+
+/**
+ * VersionHistoryModal
+ * Lists the published versions of an assessment, diffs the selected one
+ * against the previous version or the current draft, and restores it into
+ * the draft.
+ */
+const VersionHistoryModal = ({ isOpen, onClose, jobId, draft, onRestored }) => {
+  const [versions, setVersions] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [selected, setSelected] = useState(null);
+  const [compareTo, setCompareTo] = useState("previous"); // 'previous' | 'draft'
+  const [isRestoring, setIsRestoring] = useState(false);
+  const { addToast } = useToasts();
+
+  useEffect(() => {
+    if (!isOpen) return;
+    const fetchVersions = async () => {
+      setIsLoading(true);
+      try {
+        const res = await fetch(`/assessments/${jobId}/versions`);
+        if (!res.ok) throw new Error("Failed to load version history");
+        const data = await res.json();
+        setVersions(data);
+        setSelected(data[0]?.version ?? null);
+      } catch (error) {
+        addToast(error.message, "error");
+      } finally {
+        setIsLoading(false);
+      }
+    };
+    fetchVersions();
+  }, [isOpen, jobId, addToast]);
+
+  const selectedVersion = versions.find((v) => v.version === selected);
+  const previousVersion = versions.find((v) => v.version === selected - 1);
+
+  const changes = useMemo(() => {
+    if (!selectedVersion) return [];
+    // "previous" reads as what this version changed; "draft" as what the
+    // draft has changed since this version
+    return compareTo === "draft"
+      ? diffAssessments(selectedVersion, draft)
+      : diffAssessments(previousVersion, selectedVersion);
+  }, [selectedVersion, previousVersion, compareTo, draft]);
+
+  const handleRestore = async () => {
+    if (
+      !window.confirm(
+        `Replace the current draft with version ${selected}? Unsaved changes will be lost.`
+      )
+    ) {
+      return;
+    }
+    setIsRestoring(true);
+    try {
+      const res = await fetch(
+        `/assessments/${jobId}/versions/${selected}/restore`,
+        { method: "POST" }
+      );
+      if (!res.ok) {
+        const err = await res.json();
+        throw new Error(err.message || "Failed to restore version");
+      }
+      onRestored(await res.json());
+      addToast(
+        `Version ${selected} restored to the draft. Publish to make it live.`,
+        "success"
+      );
+      onClose();
+    } catch (error) {
+      addToast(error.message, "error");
+    } finally {
+      setIsRestoring(false);
+    }
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="Version History" size="4xl">
+      {isLoading ? (
+        <div className="flex justify-center p-8">
+          <Spinner />
+        </div>
+      ) : versions.length === 0 ? (
+        <p className="text-center text-gray-500">
+          This assessment has not been published yet.
+        </p>
+      ) : (
+        <div className="grid grid-cols-3 gap-6">
+          <ul className="space-y-1">
+            {versions.map((v) => (
+              <li key={v.version}>
+                <button
+                  type="button"
+                  onClick={() => setSelected(v.version)}
+                  className={`w-full text-left px-3 py-2 rounded-md text-sm ${
+                    v.version === selected
+                      ? "bg-indigo-50 text-indigo-700"
+                      : "hover:bg-gray-50 text-gray-700"
+                  }`}
+                >
+                  <span className="font-medium">Version {v.version}</span>
+                  <span className="block text-xs text-gray-500">
+                    {new Date(v.publishedAt).toLocaleString()}
+                  </span>
+                </button>
+              </li>
+            ))}
+          </ul>
+
+          <div className="col-span-2 space-y-4">
+            <div className="flex items-end justify-between">
+              <div className="w-56">
+                <Select
+                  label="Compare with"
+                  value={compareTo}
+                  onChange={(e) => setCompareTo(e.target.value)}
+                >
+                  <option value="previous">Previous version</option>
+                  <option value="draft">Current draft</option>
+                </Select>
+              </div>
+              <Button
+                variant="secondary"
+                icon={RotateCcw}
+                loading={isRestoring}
+                onClick={handleRestore}
+              >
+                Restore Version {selected}
+              </Button>
+            </div>
+
+            {changes.length === 0 ? (
+              <p className="text-sm text-gray-500">No differences.</p>
+            ) : (
+              <ul className="divide-y divide-gray-200 border border-gray-200 rounded-md">
+                {changes.map((c) => (
+                  <li
+                    key={`${c.kind}-${c.id}`}
+                    className="flex items-start p-3 text-sm"
+                  >
+                    <span
+                      className={`inline-flex px-2 py-0.5 rounded-full text-xs font-medium mr-3 ${
+                        DIFF_STYLES[c.change]
+                      }`}
+                    >
+                      {c.change}
+                    </span>
+                    <div>
+                      <p className="text-gray-900">
+                        <span className="text-gray-500 capitalize">
+                          {c.kind}
+                        </span>{" "}
+                        {c.label || c.id}
+                      </p>
+                      {c.fields && (
+                        <p className="text-xs text-gray-500">
+                          Changed: {c.fields.join(", ")}
+                        </p>
+                      )}
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      )}
+    </Modal>
+  );
+};
+
+/**
+ * AssessmentBuilder
+ * Main component for creating/editing an assessment.
+ * Includes the builder UI and the live preview.
+ */
+/**
+ * SortableBuilderItem
+ * Sortable wrapper for builder sections and questions. The whole card is
+ * full of inputs, so only the handle passed to `children` starts a drag.
+ */
+const SortableBuilderItem = ({ id, children }) => {
+  const {
+    attributes,
+    listeners,
+    setNodeRef,
+    transform,
+    transition,
+    isDragging,
+  } = useSortable({ id });
+
+  const style = {
+    transform: CSS.Transform.toString(transform),
+    transition,
+    zIndex: isDragging ? 10 : "auto",
+    opacity: isDragging ? 0.5 : 1,
+  };
+
+  return (
+    <div ref={setNodeRef} style={style}>
+      {children({ ...attributes, ...listeners })}
+    </div>
+  );
+};
+
+// Sortable ids are namespaced so a section and a question can never collide
+const sectionDragId = (id) => `section:${id}`;
+const questionDragId = (id) => `question:${id}`;
+const parseDragId = (dragId) => {
+  const [kind, ...rest] = String(dragId).split(":");
+  return { kind, id: rest.join(":") };
+};
+
+const AUTOSAVE_DELAY_MS = 1500;
+
+const SaveStatusIndicator = ({ status, onRetry }) => (
+  <span
+    className={`flex items-center text-xs whitespace-nowrap ${
+      status === "failed" || status === "blocked"
+        ? "text-red-600"
+        : "text-gray-500"
+    }`}
+  >
+    {status === "saving" && <Loader2 className="h-4 w-4 mr-1 animate-spin" />}
+    {status === "saved" && <CheckCircle className="h-4 w-4 mr-1" />}
+    {(status === "failed" || status === "blocked") && (
+      <AlertCircle className="h-4 w-4 mr-1" />
+    )}
+    {SAVE_STATUS_LABELS[status]}
+    {status === "failed" && (
+      <button
+        type="button"
+        onClick={onRetry}
+        className="ml-1 font-medium text-indigo-600 hover:underline"
+      >
+        Retry
+      </button>
+    )}
+  </span>
+);
+
+const draftStorageKey = (jobId) => `talentflow:assessment-draft:${jobId}`;
+
+// Empty or non-positive input clears the limit
+const toTimeLimit = (rawValue) => {
+  const minutes = Number(rawValue);
+  return rawValue !== "" && minutes > 0 ? minutes : undefined;
+};
+
+// Only the editable content is saved/compared; publish state lives apart
+const assessmentContent = ({ title, timeLimitMinutes, sections }) =>
+  JSON.stringify({ title, timeLimitMinutes, sections });
+
+const readLocalDraft = (jobId) => {
+  try {
+    return JSON.parse(localStorage.getItem(draftStorageKey(jobId)));
+  } catch {
+    return null;
+  }
+};
+
+const SAVE_STATUS_LABELS = {
+  saved: "All changes saved",
+  unsaved: "Unsaved changes",
+  saving: "Saving...",
+  failed: "Save failed",
+  blocked: "Not saved: fix condition errors",
+};
+
+const AssessmentBuilder = ({ jobId }) => {
+  const [assessment, setAssessment, history] = useUndoableState(null);
+  const { undo, redo, reset: resetAssessment, canUndo, canRedo } = history;
+  // { status: 'draft' | 'published', publishedVersion }
+  const [publishState, setPublishState] = useState(null);
+  const [saveStatus, setSaveStatus] = useState("saved");
+  const [recoveredDraft, setRecoveredDraft] = useState(null);
+  // True while the job has no saved assessment and the picker is showing
+  const [isNew, setIsNew] = useState(false);
+  const [isSaveTemplateOpen, setIsSaveTemplateOpen] = useState(false);
+  // { fileName, assessment, errors } for the import modal
+  const [importResult, setImportResult] = useState(null);
+  const importInputRef = useRef(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [previewMode, setPreviewMode] = useState(false);
+  const [pendingRename, setPendingRename] = useState(null);
+  const [isPublishing, setIsPublishing] = useState(false);
+  const [isHistoryOpen, setIsHistoryOpen] = useState(false);
+  const { addToast } = useToasts();
+
+  // Live responses for the preview pane
+  const [previewResponses, setPreviewResponses] = useState({});
+  const [previewErrors, setPreviewErrors] = useState({});
+
+  // Content as last acknowledged by the server, and the latest edits for
+  // async callbacks that outlive a render
+  const lastSavedRef = useRef(null);
+  const assessmentRef = useRef(assessment);
+  assessmentRef.current = assessment;
+  const previewResponsesRef = useRef(previewResponses);
+  previewResponsesRef.current = previewResponses;
+
+  // Files uploaded while trying out the preview aren't kept
+  useEffect(
+    () => () =>
+      Object.values(previewResponsesRef.current)
+        .filter((value) => value?.fileId != null)
+        .forEach((value) => discardFile(value.fileId)),
+    []
+  );
+
+  // Replaces the builder content with a draft the server already has
+  // (not undoable, nothing to autosave)
+  const loadServerDraft = useCallback(
+    ({ status, publishedVersion, ...data }) => {
+      resetAssessment(data);
+      setPublishState({ status, publishedVersion });
+      lastSavedRef.current = assessmentContent(data);
+    },
+    [resetAssessment]
+  );
+
+  useEffect(() => {
+    const fetchAssessment = async () => {
+      setIsLoading(true);
+      try {
+        const res = await fetch(`/assessments/${jobId}`);
+        if (!res.ok) throw new Error("Failed to load assessment");
+        const { isNew: isPlaceholder, ...data } = await res.json();
+        loadServerDraft(data);
+        setIsNew(Boolean(isPlaceholder));
+
+        // A local draft that differs from the server copy means the last
+        // session ended with unsaved edits
+        const localDraft = readLocalDraft(jobId);
+        if (
+          localDraft &&
+          assessmentContent(localDraft.assessment) !== lastSavedRef.current
+        ) {
+          setRecoveredDraft(localDraft);
+        }
+      } catch (error) {
+        addToast(error.message, "error");
+      } finally {
+        setIsLoading(false);
+      }
+    };
+    fetchAssessment();
+  }, [jobId, addToast, loadServerDraft]);
+
+  // --- Autosave ---
+  // Every edit is mirrored to localStorage straight away and PUT to the
+  // server after a pause. The local copy is dropped once the server has it.
+
+  // PUTs the working draft and syncs its status back. Throws on failure.
+  const saveDraft = useCallback(async () => {
+    const content = assessmentContent(assessmentRef.current);
+    const res = await fetch(`/assessments/${jobId}`, {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: content,
+    });
+    if (!res.ok) {
+      const err = await res.json();
+      throw new Error(err.message || "Failed to save");
+    }
+    const saved = await res.json();
+    lastSavedRef.current = content;
+    setPublishState({
+      status: saved.status,
+      publishedVersion: saved.publishedVersion,
+    });
+    return content;
+  }, [jobId]);
+
+  const autosave = useCallback(async () => {
+    if (hasDependencyIssues(checkConditionDependencies(assessmentRef.current))) {
+      setSaveStatus("blocked");
+      return;
+    }
+    setSaveStatus("saving");
+    try {
+      const content = await saveDraft();
+      // More edits may have landed while the request was in flight
+      if (content === assessmentContent(assessmentRef.current)) {
+        setSaveStatus("saved");
+        localStorage.removeItem(draftStorageKey(jobId));
+      } else {
+        setSaveStatus("unsaved");
+      }
+    } catch {
+      setSaveStatus("failed");
+    }
+  }, [jobId, saveDraft]);
+
+  useEffect(() => {
+    if (!assessment) return;
+    const content = assessmentContent(assessment);
+    if (content === lastSavedRef.current) {
+      setSaveStatus("saved");
+      // Keep the old draft around until the user has decided what to do
+      if (!recoveredDraft) localStorage.removeItem(draftStorageKey(jobId));
+      return;
+    }
+
+    setSaveStatus("unsaved");
+    localStorage.setItem(
+      draftStorageKey(jobId),
+      JSON.stringify({ savedAt: new Date().toISOString(), assessment })
+    );
+    const timer = setTimeout(autosave, AUTOSAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [assessment, jobId, autosave, recoveredDraft]);
+
+  const restoreRecoveredDraft = () => {
+    setAssessment(recoveredDraft.assessment);
+    setRecoveredDraft(null);
+  };
+
+  const discardRecoveredDraft = () => {
+    localStorage.removeItem(draftStorageKey(jobId));
+    setRecoveredDraft(null);
+  };
+
+  // --- Import / Export ---
+
+  const handleExport = () => {
+    const blob = new Blob(
+      [JSON.stringify(buildAssessmentExport(assessment), null, 2)],
+      { type: "application/json" }
+    );
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `assessment-job-${jobId}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  };
+
+  const handleImportFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+
+    let data;
+    try {
+      data = JSON.parse(await file.text());
+    } catch (error) {
+      setImportResult({
+        fileName: file.name,
+        assessment: null,
+        errors: [{ path: "(file)", message: `Not valid JSON: ${error.message}` }],
+      });
+      return;
+    }
+    setImportResult({
+      fileName: file.name,
+      ...validateAssessmentImport(
+        data,
+        QUESTION_TYPES.map((t) => t.id)
+      ),
+    });
+  };
+
+  // Goes through the undoable setter, so an import can be undone
+  const applyImport = (imported) => {
+    setAssessment((prev) => ({ ...prev, ...imported }));
+    setImportResult(null);
+    setPendingRename(null);
+    setIsNew(false);
+    addToast("Assessment imported. Publish to make it live.", "success");
+  };
+
+  // --- Undo / Redo ---
+  // Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z or Ctrl/Cmd+Y redoes, for keys pressed
+  // inside the builder. Text fields keep their own typing undo, and preview is
+  // left alone so it doesn't fight with answering questions.
+  const handleUndoKeys = (e) => {
+    if (previewMode || !(e.ctrlKey || e.metaKey)) return;
+    if (
+      e.target.isContentEditable ||
+      ["INPUT", "TEXTAREA", "SELECT"].includes(e.target.tagName)
+    ) {
+      return;
+    }
+    const key = e.key.toLowerCase();
+    if (key === "z" && !e.shiftKey) {
+      e.preventDefault();
+      undo();
+    } else if ((key === "z" && e.shiftKey) || key === "y") {
+      e.preventDefault();
+      redo();
+    }
+  };
+
+  // --- Builder Mutators ---
+
+  const updateAssessment = (field, value) => {
+    setAssessment((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const addSection = () => {
+    const newSection = {
+      id: generateId("s"),
+      title: "New Section",
+      description: "",
+      questions: [],
+    };
+    setAssessment((prev) => ({
+      ...prev,
+      sections: [...prev.sections, newSection],
+    }));
+  };
+
+  const updateSection = (sectionId, updates) => {
+    setAssessment((prev) => ({
+      ...prev,
+      sections: prev.sections.map((s) =>
+        s.id === sectionId ? { ...s, ...updates } : s
+      ),
+    }));
+  };
+
+  // Asks before deleting questions that other conditions still point at.
+  // Returns false if the user backs out.
+  const confirmDependentRules = (questionIds) => {
+    const count = questionIds.reduce(
+      (sum, id) => sum + countRulesReferencing(assessment, id),
+      0
+    );
+    return (
+      count === 0 ||
+      window.confirm(
+        `${count} condition rule(s) depend on this. Delete anyway and remove those rules?`
+      )
+    );
+  };
+
+  const stripRules = (next, questionIds) =>
+    questionIds.reduce((acc, id) => removeRulesReferencing(acc, id), next);
+
+  const removeSection = (sectionId) => {
+    const questionIds =
+      assessment.sections
+        .find((s) => s.id === sectionId)
+        ?.questions.map((q) => q.id) || [];
+    if (!confirmDependentRules(questionIds)) return;
+    setAssessment((prev) =>
+      stripRules(
+        {
+          ...prev,
+          sections: prev.sections.filter((s) => s.id !== sectionId),
+        },
+        questionIds
+      )
+    );
+  };
+
+  const addQuestion = (sectionId) => {
+    const newQuestion = {
+      id: generateId("q"),
+      type: "short-text",
+      label: "New Question",
+      required: false,
+    };
+    setAssessment((prev) => ({
+      ...prev,
+      sections: prev.sections.map((s) =>
+        s.id === sectionId
+          ? { ...s, questions: [...s.questions, newQuestion] }
+          : s
+      ),
+    }));
+  };
+
+  const updateQuestion = (sectionId, questionId, updates) => {
+    setAssessment((prev) => ({
+      ...prev,
+      sections: prev.sections.map((s) =>
+        s.id === sectionId
+          ? {
+              ...s,
+              questions: s.questions.map((q) =>
+                q.id === questionId ? { ...q, ...updates } : q
+              ),
+            }
+          : s
+      ),
+    }));
+  };
+
+  const removeQuestion = (sectionId, questionId) => {
+    if (!confirmDependentRules([questionId])) return;
+    setAssessment((prev) =>
+      stripRules(
+        {
+          ...prev,
+          sections: prev.sections.map((s) =>
+            s.id === sectionId
+              ? {
+                  ...s,
+                  questions: s.questions.filter((q) => q.id !== questionId),
+                }
+              : s
+          ),
+        },
+        [questionId]
+      )
+    );
+  };
+
+  // Tracks an option rename that dependent conditions haven't followed yet.
+  // Consecutive edits of the same option keep the original text as `from`.
+  const handleOptionRenamed = (questionId, from, to) => {
+    setPendingRename((prev) => {
+      const original =
+        prev && prev.questionId === questionId && prev.to === from
+          ? prev.from
+          : from;
+      if (original === to) return null;
+      return countRulesUsingOption(assessment, questionId, original) > 0
+        ? { questionId, from: original, to }
+        : null;
+    });
+  };
+
+  const applyPendingRename = () => {
+    const { questionId, from, to } = pendingRename;
+    setAssessment((prev) => renameConditionOption(prev, questionId, from, to));
+    setPendingRename(null);
+  };
+
+  const allQuestions = useMemo(() => {
+    return assessment?.sections.flatMap((s) => s.questions) || [];
+  }, [assessment]);
+
+  // --- Drag and Drop ---
+
+  const [activeDrag, setActiveDrag] = useState(null);
+  const sensors = useSensors(
+    useSensor(PointerSensor, {
+      activationConstraint: { distance: 8 },
+    }),
+    useSensor(KeyboardSensor, {
+      coordinateGetter: sortableKeyboardCoordinates,
+    })
+  );
+
+  const findQuestionSection = (questionId) =>
+    assessment.sections.find((s) => s.questions.some((q) => q.id === questionId));
+
+  const handleBuilderDragStart = ({ active }) => {
+    setActiveDrag(parseDragId(active.id));
+  };
+
+  // Moves are applied on drop (not while hovering) so each drag is a single
+  // undo step
+  const handleBuilderDragEnd = ({ active, over }) => {
+    setActiveDrag(null);
+    if (!over || active.id === over.id) return;
+
+    const from = parseDragId(active.id);
+    const to = parseDragId(over.id);
+    // Dropping onto a question stands for that question's section
+    const overSection =
+      to.kind === "section"
+        ? assessment.sections.find((s) => s.id === to.id)
+        : findQuestionSection(to.id);
+    if (!overSection) return;
+
+    let next;
+    if (from.kind === "section") {
+      const oldIndex = assessment.sections.findIndex((s) => s.id === from.id);
+      const newIndex = assessment.sections.indexOf(overSection);
+      if (oldIndex === newIndex) return;
+      next = {
+        ...assessment,
+        sections: arrayMove(assessment.sections, oldIndex, newIndex),
+      };
+    } else {
+      const fromSection = findQuestionSection(from.id);
+      const question = fromSection.questions.find((q) => q.id === from.id);
+      if (fromSection === overSection) {
+        // Hovering its own section's card rather than a sibling: no move
+        if (to.kind !== "question") return;
+        const oldIndex = fromSection.questions.indexOf(question);
+        const newIndex = fromSection.questions.findIndex((q) => q.id === to.id);
+        next = {
+          ...assessment,
+          sections: assessment.sections.map((s) =>
+            s === fromSection
+              ? { ...s, questions: arrayMove(s.questions, oldIndex, newIndex) }
+              : s
+          ),
+        };
+      } else {
+        // Into another section: before the question it was dropped on, or
+        // at the end when dropped on the section itself
+        const insertAt =
+          to.kind === "question"
+            ? overSection.questions.findIndex((q) => q.id === to.id)
+            : overSection.questions.length;
+        next = {
+          ...assessment,
+          sections: assessment.sections.map((s) => {
+            if (s === fromSection) {
+              return {
+                ...s,
+                questions: s.questions.filter((q) => q.id !== from.id),
+              };
+            }
+            if (s === overSection) {
+              const questions = [...s.questions];
+              questions.splice(insertAt, 0, question);
+              return { ...s, questions };
+            }
+            return s;
+          }),
+        };
+      }
+    }
+
+    setAssessment(next);
+    warnAboutOrderViolations(assessment, next);
+  };
+
+  // Conditions may only look at earlier questions, so flag moves that break
+  // that. The inline condition errors stay until it's fixed or undone.
+  const warnAboutOrderViolations = (before, after) => {
+    const key = (v) => `${v.kind}:${v.ownerId}:${v.targetId}`;
+    const existing = new Set(findOrderViolations(before).map(key));
+    const introduced = findOrderViolations(after).filter(
+      (v) => !existing.has(key(v))
+    );
+    if (introduced.length === 0) return;
+
+    const labelOf = (id) =>
+      allQuestions.find((q) => q.id === id)?.label || id;
+    const [first] = introduced;
+    const owner =
+      first.kind === "section"
+        ? `Section "${
+            after.sections.find((s) => s.id === first.ownerId)?.title ||
+            first.ownerId
+          }"`
+        : `"${labelOf(first.ownerId)}"`;
+    addToast(
+      `${owner} now comes before "${labelOf(first.targetId)}", which its condition depends on. Press Ctrl+Z to undo.`,
+      "error"
+    );
+  };
+
+  // --- Save Handler ---
+
+  const dependencyIssues = useMemo(
+    () =>
+      assessment
+        ? checkConditionDependencies(assessment)
+        : { questions: {}, sections: {} },
+    [assessment]
+  );
+
+  // Saves the draft, then freezes it as the next version
+  const handlePublish = async () => {
+    if (hasDependencyIssues(dependencyIssues)) {
+      setPreviewMode(false);
+      addToast("Fix the highlighted condition errors before publishing", "error");
+      return;
+    }
+    setIsPublishing(true);
+    try {
+      // Flush pending edits first so exactly what's on screen is published
+      if (assessmentContent(assessment) !== lastSavedRef.current) {
+        await saveDraft();
+        localStorage.removeItem(draftStorageKey(jobId));
+        setSaveStatus("saved");
+      }
+      const res = await fetch(`/assessments/${jobId}/publish`, {
+        method: "POST",
+      });
+      if (!res.ok) {
+        const err = await res.json();
+        throw new Error(err.message || "Failed to publish");
+      }
+      const version = await res.json();
+      setPublishState({ status: "published", publishedVersion: version.version });
+      addToast(`Published version ${version.version}`, "success");
+    } catch (error) {
+      addToast(error.message, "error");
+    } finally {
+      setIsPublishing(false);
+    }
+  };
+
+  // --- Preview Validation (Client-side) ---
+  const validatePreview = () => {
+    // Stale answers to questions that are now hidden don't count
+    const errors = validateResponses(
+      assessment,
+      pruneHiddenResponses(assessment, previewResponses)
+    );
+    setPreviewErrors(errors);
+    return Object.keys(errors).length === 0;
+  };
+
+  if (isLoading) {
+    return (
+      <div className="p-8 flex justify-center items-center h-64">
+        <Spinner />
+      </div>
+    );
+  }
+
+  return (
+    // Focusable so the undo keys reach it after a click on empty space
+    <div
+      className="h-full focus:outline-none"
+      tabIndex={-1}
+      onKeyDown={handleUndoKeys}
+    >
+      <div className="p-4 bg-white border-b border-gray-200 flex justify-between items-center">
+        <Input
+          name="title"
+          value={assessment.title}
+          onChange={(e) => updateAssessment("title", e.target.value)}
+          className="text-xl font-semibold !border-none !shadow-none focus:!ring-0"
+        />
+        <div className="flex items-center space-x-2">
+          <SaveStatusIndicator status={saveStatus} onRetry={autosave} />
+          <span
+            className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium whitespace-nowrap ${
+              publishState?.status === "published"
+                ? "bg-green-100 text-green-800"
+                : "bg-yellow-100 text-yellow-800"
+            }`}
+          >
+            {publishState?.status === "published"
+              ? `Published v${publishState.publishedVersion}`
+              : publishState?.publishedVersion
+              ? `Draft (live: v${publishState.publishedVersion})`
+              : "Draft (unpublished)"}
+          </span>
+          <Button
+            variant="ghost"
+            size="icon"
+            onClick={undo}
+            disabled={!canUndo}
+            title="Undo (Ctrl+Z)"
+          >
+            <Undo2 className="h-5 w-5" />
+          </Button>
+          <Button
+            variant="ghost"
+            size="icon"
+            onClick={redo}
+            disabled={!canRedo}
+            title="Redo (Ctrl+Shift+Z)"
+          >
+            <Redo2 className="h-5 w-5" />
+          </Button>
+          <Button
+            variant="secondary"
+            icon={History}
+            onClick={() => setIsHistoryOpen(true)}
+          >
+            History
+          </Button>
+          <Button
+            variant="secondary"
+            icon={BookmarkPlus}
+            onClick={() => setIsSaveTemplateOpen(true)}
+          >
+            Save as Template
+          </Button>
+          <Button
+            variant="ghost"
+            size="icon"
+            onClick={handleExport}
+            title="Export as JSON"
+          >
+            <FileDown className="h-5 w-5" />
+          </Button>
+          <Button
+            variant="ghost"
+            size="icon"
+            onClick={() => importInputRef.current?.click()}
+            title="Import from JSON"
+          >
+            <FileUp className="h-5 w-5" />
+          </Button>
+          <input
+            ref={importInputRef}
+            type="file"
+            accept=".json,application/json"
+            className="hidden"
+            onChange={handleImportFile}
+          />
+          {/* Toggle Builder/Preview */}
+          <div className="flex rounded-md shadow-sm">
+            <Button
+              onClick={() => setPreviewMode(false)}
+              variant={!previewMode ? "primary" : "secondary"}
+              className="rounded-r-none"
+              icon={Settings2}
+            >
+              Builder
+            </Button>
+            <Button
+              onClick={() => setPreviewMode(true)}
+              variant={previewMode ? "primary" : "secondary"}
+              className="rounded-l-none"
+              icon={Eye}
+            >
+              Preview
+            </Button>
+          </div>
+
+          <Button icon={Send} loading={isPublishing} onClick={handlePublish}>
+            Publish
+          </Button>
+        </div>
+      </div>
+
+      <ImportAssessmentModal
+        importResult={importResult}
+        current={assessment}
+        onClose={() => setImportResult(null)}
+        onConfirm={applyImport}
+      />
+
+      <SaveTemplateModal
+        isOpen={isSaveTemplateOpen}
+        onClose={() => setIsSaveTemplateOpen(false)}
+        assessment={assessment}
+      />
+
+      <VersionHistoryModal
+        isOpen={isHistoryOpen}
+        onClose={() => setIsHistoryOpen(false)}
+        jobId={jobId}
+        draft={assessment}
+        onRestored={({ status, publishedVersion, ...draft }) => {
+          // The restore already saved the draft server-side
+          lastSavedRef.current = assessmentContent(draft);
+          setPublishState({ status, publishedVersion });
+          setAssessment(draft);
+          setPendingRename(null);
+        }}
+      />
+
+      <div className="h-[calc(100vh-200px)] overflow-y-auto custom-scrollbar bg-gray-100 p-8">
+        {isNew ? (
+          <AssessmentTemplatePicker
+            jobId={jobId}
+            onCreated={(draft) => {
+              loadServerDraft(draft);
+              setIsNew(false);
+              addToast("Assessment created. Publish it when ready.", "success");
+            }}
+            onStartBlank={() => setIsNew(false)}
+          />
+        ) : previewMode ? (
+          // --- Preview Pane ---
+          <div className="max-w-3xl mx-auto bg-white rounded-lg shadow-lg">
+            <AssessmentRuntime
+              assessment={assessment}
+              responses={previewResponses}
+              setResponses={setPreviewResponses}
+              errors={previewErrors}
+            />
+            <div className="p-6 border-t border-gray-200 flex justify-end">
+              <Button
+                onClick={() => {
+                  if (validatePreview()) {
+                    addToast(
+                      "Preview submitted successfully! (No data saved)",
+                      "success"
+                    );
+                  } else {
+                    addToast("Please fix validation errors", "error");
+                  }
+                }}
+              >
+                Submit (Preview)
+              </Button>
+            </div>
+          </div>
+        ) : (
+          // --- Builder Pane ---
+          <div className="max-w-3xl mx-auto space-y-6">
+            {recoveredDraft && (
+              <div className="p-4 bg-yellow-50 border border-yellow-200 rounded-lg flex items-center justify-between">
+                <p className="text-sm text-yellow-800">
+                  Found unsaved changes from{" "}
+                  {new Date(recoveredDraft.savedAt).toLocaleString()}. Restore
+                  them?
+                </p>
+                <div className="flex space-x-2">
+                  <Button size="sm" onClick={restoreRecoveredDraft}>
+                    Restore
+                  </Button>
+                  <Button
+                    size="sm"
+                    variant="ghost"
+                    onClick={discardRecoveredDraft}
+                  >
+                    Discard
+                  </Button>
+                </div>
+              </div>
+            )}
+
+            {pendingRename && (
+              <div className="p-4 bg-blue-50 border border-blue-200 rounded-lg flex items-center justify-between">
+                <p className="text-sm text-blue-800">
+                  Option &quot;{pendingRename.from}&quot; was renamed to &quot;
+                  {pendingRename.to}&quot;. Update the conditions that use it?
+                </p>
+                <div className="flex space-x-2">
+                  <Button size="sm" onClick={applyPendingRename}>
+                    Update conditions
+                  </Button>
+                  <Button
+                    size="sm"
+                    variant="ghost"
+                    onClick={() => setPendingRename(null)}
+                  >
+                    Dismiss
+                  </Button>
+                </div>
+              </div>
+            )}
+
+            {hasDependencyIssues(dependencyIssues) && (
+              <div className="p-4 bg-red-50 border border-red-200 rounded-lg flex items-center justify-between">
+                <p className="flex items-center text-sm text-red-800">
+                  <AlertCircle className="h-5 w-5 mr-2 flex-shrink-0" />
+                  Some conditions are invalid and must be fixed before saving.
+                </p>
+                <Button
+                  size="sm"
+                  variant="secondary"
+                  onClick={() => setAssessment((prev) => removeDanglingRules(prev))}
+                >
+                  Remove dangling rules
+                </Button>
+              </div>
+            )}
+
+            <div className="p-4 bg-white rounded-lg shadow-md border border-gray-200 flex items-end justify-between">
+              <div>
+                <h5 className="flex items-center text-sm font-medium text-gray-700">
+                  <Timer className="h-4 w-4 mr-1" />
+                  Time Limit
+                </h5>
+                <p className="text-xs text-gray-500">
+                  Optional limit for the whole attempt. Sections can have
+                  their own limits too.
+                </p>
+              </div>
+              <div className="w-32">
+                <Input
+                  type="number"
+                  min={1}
+                  placeholder="No limit"
+                  label="Minutes"
+                  value={assessment.timeLimitMinutes ?? ""}
+                  onChange={(e) =>
+                    updateAssessment(
+                      "timeLimitMinutes",
+                      toTimeLimit(e.target.value)
+                    )
+                  }
+                />
+              </div>
+            </div>
+
+            <DndContext
+              sensors={sensors}
+              collisionDetection={closestCorners}
+              onDragStart={handleBuilderDragStart}
+              onDragEnd={handleBuilderDragEnd}
+              onDragCancel={() => setActiveDrag(null)}
+            >
+              <SortableContext
+                items={assessment.sections.map((s) => sectionDragId(s.id))}
+                strategy={verticalListSortingStrategy}
+              >
+                {assessment.sections.map((section, sIdx) => (
+                  <SortableBuilderItem
+                    key={section.id}
+                    id={sectionDragId(section.id)}
+                  >
+                    {(sectionHandleProps) => (
+                      <div
+                        className={`p-6 bg-white rounded-lg shadow-md border ${
+                          activeDrag?.kind === "question"
+                            ? "border-indigo-200"
+                            : "border-gray-200"
+                        }`}
+                      >
+                        <div className="flex justify-between items-center mb-4">
+                          <Button
+                            variant="ghost"
+                            size="icon"
+                            {...sectionHandleProps}
+                            className="-ml-3 mr-1 cursor-grab active:cursor-grabbing"
+                            title="Drag to reorder"
+                          >
+                            <GripVertical className="h-5 w-5 text-gray-400" />
+                          </Button>
+                          <Input
+                            name="sectionTitle"
+                            value={section.title}
+                            onChange={(e) =>
+                              updateSection(section.id, {
+                                title: e.target.value,
+                              })
+                            }
+                            className="text-lg font-medium !border-none !shadow-none focus:!ring-0 -ml-3"
+                          />
+                          <Button
+                            variant="ghost"
+                            size="icon"
+                            onClick={() => removeSection(section.id)}
+                            className="text-red-500 hover:text-red-700 hover:bg-red-50"
+                          >
+                            <Trash2 className="h-4 w-4" />
+                          </Button>
+                        </div>
+
+                        <Textarea
+                          name="sectionDescription"
+                          value={section.description}
+                          onChange={(e) =>
+                            updateSection(section.id, {
+                              description: e.target.value,
+                            })
+                          }
+                          placeholder="Section description (optional)"
+                          rows={2}
+                          className="mb-4"
+                        />
+
+                        <div className="w-48">
+                          <Input
+                            type="number"
+                            min={1}
+                            label="Section Time Limit (minutes)"
+                            placeholder="No limit"
+                            value={section.timeLimitMinutes ?? ""}
+                            onChange={(e) =>
+                              updateSection(section.id, {
+                                timeLimitMinutes: toTimeLimit(e.target.value),
+                              })
+                            }
+                          />
+                        </div>
+
+                        {/* Section-level conditional logic */}
+                        <div className="my-4 p-3 bg-gray-50 border border-gray-200 rounded-md">
+                          <h5 className="text-sm font-medium text-gray-700 mb-1">
+                            Section Visibility
+                          </h5>
+                          <p className="text-xs text-gray-500 mb-2">
+                            Show this whole section only if...
+                          </p>
+                          <ConditionEditor
+                            condition={section.condition}
+                            onChange={(condition) =>
+                              updateSection(section.id, { condition })
+                            }
+                            questions={assessment.sections
+                              .slice(0, sIdx)
+                              .flatMap((s) => s.questions)}
+                          />
+                          <ConditionErrors
+                            errors={dependencyIssues.sections[section.id] || []}
+                          />
+                        </div>
+
+                        <SortableContext
+                          items={section.questions.map((q) =>
+                            questionDragId(q.id)
+                          )}
+                          strategy={verticalListSortingStrategy}
+                        >
+                          <div className="space-y-4 min-h-[2rem]">
+                            {section.questions.length === 0 && (
+                              <p className="text-sm text-gray-400 text-center py-2">
+                                No questions yet. Add one or drag one here.
+                              </p>
+                            )}
+                            {section.questions.map((q) => (
+                              <SortableBuilderItem
+                                key={q.id}
+                                id={questionDragId(q.id)}
+                              >
+                                {(questionHandleProps) => (
+                                  <AssessmentQuestionEditor
+                                    question={q}
+                                    dragHandleProps={questionHandleProps}
+                                    updateQuestion={(updates) =>
+                                      updateQuestion(section.id, q.id, updates)
+                                    }
+                                    removeQuestion={() =>
+                                      removeQuestion(section.id, q.id)
+                                    }
+                                    allQuestions={allQuestions}
+                                    conditionErrors={
+                                      dependencyIssues.questions[q.id]
+                                    }
+                                    onOptionRenamed={(from, to) =>
+                                      handleOptionRenamed(q.id, from, to)
+                                    }
+                                  />
+                                )}
+                              </SortableBuilderItem>
+                            ))}
+                          </div>
+                        </SortableContext>
+
+                        <Button
+                          icon={Plus}
+                          variant="secondary"
+                          onClick={() => addQuestion(section.id)}
+                          className="mt-6"
+                        >
+                          Add Question
+                        </Button>
+                      </div>
+                    )}
+                  </SortableBuilderItem>
+                ))}
+              </SortableContext>
+            </DndContext>
+
+            <Button
+              icon={Plus}
+              variant="secondary"
+              onClick={addSection}
+              className="w-full border-dashed"
+            >
+              Add Section
+            </Button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// --- Timed attempts ---
+// A timed attempt is kept in localStorage so reloading the page neither
+// restarts the clock nor loses answers.
+const attemptStorageKey = (jobId, candidateId) =>
+  `talentflow:assessment-attempt:${jobId}:${candidateId}`;
+
+const readSavedAttempt = (jobId, candidateId) => {
+  try {
+    return JSON.parse(localStorage.getItem(attemptStorageKey(jobId, candidateId)));
+  } catch {
+    return null;
+  }
+};
+
+// First visible, non-empty section after `afterId` (or the first overall)
+const nextSectionId = (assessment, responses, afterId) => {
+  const visibility = getSectionVisibility(assessment, responses);
+  const start =
+    afterId == null
+      ? 0
+      : assessment.sections.findIndex((s) => s.id === afterId) + 1;
+  return (
+    assessment.sections
+      .slice(start)
+      .find((s) => visibility[s.id] && s.questions.length > 0)?.id ?? null
+  );
+};
+
+const openSection = (timing, sectionId, at) => ({
+  ...timing,
+  sections: { ...timing.sections, [sectionId]: { startedAt: at } },
+});
+
+const closeSection = (timing, sectionId, at, timedOut = false) => ({
+  ...timing,
+  sections: {
+    ...timing.sections,
+    [sectionId]: {
+      ...timing.sections[sectionId],
+      finishedAt: at,
+      ...(timedOut && { timedOut: true }),
+    },
+  },
+});
+
+// Stamps the end of an attempt: closes the section on screen, or for
+// attempts without section limits, every section the candidate could see
+const finishTiming = (
+  assessment,
+  timing,
+  responses,
+  currentSectionId,
+  { at = new Date().toISOString(), timedOut = false, sectionTimedOut = false } = {}
+) => {
+  const finished = { ...timing, finishedAt: at, ...(timedOut && { timedOut }) };
+  if (currentSectionId) {
+    return closeSection(finished, currentSectionId, at, sectionTimedOut);
+  }
+  const visibility = getSectionVisibility(assessment, responses);
+  finished.sections = Object.fromEntries(
+    assessment.sections
+      .filter((s) => visibility[s.id])
+      .map((s) => [s.id, { startedAt: timing.startedAt, finishedAt: at }])
+  );
+  return finished;
+};
+
+// Answers the clock cut off can't be corrected any more, so invalid ones are
+// dropped instead of blocking the submission
+const dropInvalidAnswers = (assessment, responses, sectionIds) => {
+  const errors = validateResponses(
+    assessment,
+    pruneHiddenResponses(assessment, responses),
+    { timedOutSectionIds: sectionIds }
+  );
+  const questionIds = new Set(
+    assessment.sections
+      .filter((s) => sectionIds.includes(s.id))
+      .flatMap((s) => s.questions.map((q) => q.id))
+  );
+  const kept = { ...responses };
+  for (const id of Object.keys(errors)) {
+    if (questionIds.has(id)) delete kept[id];
+  }
+  return kept;
+};
+
+const CountdownBadge = ({ label, remainingMs }) => (
+  <span
+    className={`inline-flex items-center px-2.5 py-1 rounded-full text-sm font-medium tabular-nums ${
+      remainingMs <= 60 * 1000
+        ? "bg-red-100 text-red-800"
+        : "bg-gray-100 text-gray-800"
+    }`}
+  >
+    <Timer className="h-4 w-4 mr-1" />
+    {label}: {formatDuration(remainingMs)}
+  </span>
+);
+
+/**
+ * AssessmentTakePage
+ * Candidate-facing flow: fill in the job's assessment and submit it.
+ * Shows a thank-you state after submitting, or if a response already exists.
+ * Timed assessments start on demand and count down; when sections have their
+ * own limits they are answered one at a time and lock once left.
+ */
+const AssessmentTakePage = ({ jobId, candidateId, navigate }) => {
+  const [assessment, setAssessment] = useState(null);
+  const [candidate, setCandidate] = useState(null);
+  const [responses, setResponses] = useState({});
+  const [errors, setErrors] = useState({});
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [submitError, setSubmitError] = useState(null);
+  // null | "submitted" | "already-submitted"
+  const [status, setStatus] = useState(null);
+  // Timed attempts only: the timing record sent with the submission and the
+  // section on screen (when sections are answered one at a time)
+  const [timing, setTiming] = useState(null);
+  const [currentSectionId, setCurrentSectionId] = useState(null);
+  const [now, setNow] = useState(() => Date.now());
+  const { addToast } = useToasts();
+
+  useEffect(() => {
+    const fetchData = async () => {
+      setIsLoading(true);
+      try {
+        // Candidates always answer the latest published version
+        const [assessmentRes, candidateRes] = await Promise.all([
+          fetch(`/assessments/${jobId}/published`),
+          fetch(`/candidates/${candidateId}`),
+        ]);
+        if (!assessmentRes.ok) {
+          const err = await assessmentRes.json();
+          throw new Error(err.message || "Failed to load assessment");
+        }
+        if (!candidateRes.ok) {
+          const err = await candidateRes.json();
+          throw new Error(err.message || "Failed to load candidate");
+        }
+        const published = await assessmentRes.json();
+        const cand = await candidateRes.json();
+        setAssessment(published);
+        setCandidate(cand);
+        if (
+          cand.assessmentResponses.some(
+            (r) => r.jobId === parseInt(jobId, 10)
+          )
+        ) {
+          setStatus("already-submitted");
+          return;
+        }
+
+        // Pick a timed attempt back up where it was left
+        const saved = readSavedAttempt(jobId, candidateId);
+        if (
+          saved?.timing &&
+          saved.assessmentVersion === published.version &&
+          isTimedAssessment(published)
+        ) {
+          setTiming(saved.timing);
+          setCurrentSectionId(saved.currentSectionId ?? null);
+          setResponses(saved.responses || {});
+        }
+      } catch (error) {
+        addToast(error.message, "error");
+        navigate("/candidates");
+      } finally {
+        setIsLoading(false);
+      }
+    };
+    fetchData();
+  }, [jobId, candidateId, addToast, navigate]);
+
+  const isRunning = Boolean(timing) && !timing.finishedAt && !status;
+  const currentSection =
+    assessment?.sections.find((s) => s.id === currentSectionId) || null;
+  const overallRemaining = isRunning
+    ? getRemainingMs(timing.startedAt, getTimeLimitMs(assessment), now)
+    : null;
+  const sectionRemaining =
+    isRunning && currentSection
+      ? getRemainingMs(
+          timing.sections[currentSection.id]?.startedAt,
+          getTimeLimitMs(currentSection),
+          now
+        )
+      : null;
+
+  // Mirror the running attempt; a finished one has nothing left to recover
+  useEffect(() => {
+    if (!assessment || !timing) return;
+    const key = attemptStorageKey(jobId, candidateId);
+    try {
+      if (status) {
+        localStorage.removeItem(key);
+      } else {
+        localStorage.setItem(
+          key,
+          JSON.stringify({
+            assessmentVersion: assessment.version,
+            timing,
+            currentSectionId,
+            responses,
+          })
+        );
+      }
+    } catch {
+      // Storage full or unavailable: the attempt still works, just unsaved
+    }
+  }, [assessment, timing, currentSectionId, responses, status, jobId, candidateId]);
+
+  useEffect(() => {
+    if (!isRunning) return;
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [isRunning]);
+
+  const sendSubmission = useCallback(
+    async (submission, finalTiming) => {
+      setIsSubmitting(true);
+      setSubmitError(null);
+      try {
+        const res = await fetch(`/assessments/${jobId}/submit`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({
+            candidateId: parseInt(candidateId, 10),
+            assessmentVersion: assessment.version,
+            responses: submission,
+            ...(finalTiming && { timing: finalTiming }),
+          }),
+        });
+
+        if (res.status === 409) {
+          setStatus("already-submitted");
+          return;
+        }
+        if (res.status === 422) {
+          // Server-side validation failed: show the per-question errors
+          const err = await res.json();
+          setErrors(err.errors || {});
+          addToast(err.message || "Please fix validation errors", "error");
+          return;
+        }
+        if (!res.ok) {
+          const err = await res.json();
+          throw new Error(err.message || "Failed to submit assessment");
+        }
+
+        setStatus("submitted");
+      } catch (error) {
+        // Keep the answers in place so the candidate can simply retry
+        setSubmitError(error.message);
+      } finally {
+        setIsSubmitting(false);
+      }
+    },
+    [jobId, candidateId, assessment, addToast]
+  );
+
+  // Time's up: lock the section on screen and move on, or submit when the
+  // overall clock (or the last section's) has run out
+  useEffect(() => {
+    if (!isRunning || isSubmitting) return;
+    const overallUp = overallRemaining === 0;
+    if (!overallUp && sectionRemaining !== 0) return;
+
+    // The clock ran out at the deadline even if this tab only noticed later
+    // (closed, or throttled in the background), and nothing could change since
+    const deadline = overallUp
+      ? Date.parse(timing.startedAt) + getTimeLimitMs(assessment)
+      : Date.parse(timing.sections[currentSectionId].startedAt) +
+        getTimeLimitMs(currentSection);
+    const at = new Date(Math.min(Date.now(), deadline)).toISOString();
+
+    const expiredSectionIds = overallUp
+      ? assessment.sections.map((s) => s.id)
+      : [currentSectionId];
+    const kept = dropInvalidAnswers(assessment, responses, expiredSectionIds);
+    setResponses(kept);
+    setErrors({});
+
+    const nextId = overallUp
+      ? null
+      : nextSectionId(assessment, kept, currentSectionId);
+    if (nextId) {
+      setTiming(
+        openSection(
+          closeSection(timing, currentSectionId, at, true),
+          nextId,
+          new Date().toISOString()
+        )
+      );
+      setCurrentSectionId(nextId);
+      addToast(
+        `Time is up for "${currentSection.title}". On to the next section.`,
+        "error"
+      );
+      return;
+    }
+
+    const finalTiming = finishTiming(assessment, timing, kept, currentSectionId, {
+      at,
+      timedOut: overallUp,
+      sectionTimedOut: true,
+    });
+    setTiming(finalTiming);
+    addToast("Time is up. Submitting your answers.", "error");
+    sendSubmission(pruneHiddenResponses(assessment, kept), finalTiming);
+  }, [
+    isRunning,
+    isSubmitting,
+    overallRemaining,
+    sectionRemaining,
+    assessment,
+    timing,
+    currentSectionId,
+    currentSection,
+    responses,
+    sendSubmission,
+    addToast,
+  ]);
+
+  const handleStart = () => {
+    const startedAt = new Date().toISOString();
+    const firstId = hasSectionTimeLimits(assessment)
+      ? nextSectionId(assessment, responses, null)
+      : null;
+    const started = { startedAt, sections: {} };
+    setTiming(firstId ? openSection(started, firstId, startedAt) : started);
+    setCurrentSectionId(firstId);
+    setNow(Date.now());
+  };
 
-  const genId = () =>
-    `id_${new Date().getTime()}_${Math.random().toString(36).substring(2, 9)}`;
+  const handleNextSection = (nextId) => {
+    // Only the section on screen is checked; later ones aren't answered yet
+    const questionIds = new Set(currentSection.questions.map((q) => q.id));
+    const sectionErrors = Object.fromEntries(
+      Object.entries(
+        validateResponses(assessment, pruneHiddenResponses(assessment, responses))
+      ).filter(([id]) => questionIds.has(id))
+    );
+    setErrors(sectionErrors);
+    if (Object.keys(sectionErrors).length > 0) {
+      addToast("Please fix validation errors", "error");
+      return;
+    }
 
-  const updateAssessment = (field, value) => {
-    setAssessment((prev) => ({ ...prev, [field]: value }));
+    const at = new Date().toISOString();
+    setTiming(openSection(closeSection(timing, currentSectionId, at), nextId, at));
+    setCurrentSectionId(nextId);
   };
 
-  const addSection = () => {
-    const newSection = {
-      id: genId(),
-      title: "New Section",
-      description: "",
-      questions: [],
-    };
-    setAssessment((prev) => ({
-      ...prev,
-      sections: [...prev.sections, newSection],
-    }));
-  };
+  const handleSubmit = async () => {
+    // A retry after a failed send keeps the original finish time
+    const finalTiming =
+      timing && !timing.finishedAt
+        ? finishTiming(assessment, timing, responses, currentSectionId)
+        : timing;
+
+    // Only submit answers the candidate can currently see
+    const submission = pruneHiddenResponses(assessment, responses);
+    const validationErrors = validateResponses(assessment, submission, {
+      timedOutSectionIds: finalTiming
+        ? getTimedOutSectionIds(assessment, finalTiming)
+        : [],
+    });
+    setErrors(validationErrors);
+    if (Object.keys(validationErrors).length > 0) {
+      addToast("Please fix validation errors", "error");
+      return;
+    }
 
-  const updateSection = (sectionId, updates) => {
-    setAssessment((prev) => ({
-      ...prev,
-      sections: prev.sections.map((s) =>
-        s.id === sectionId ? { ...s, ...updates } : s
-      ),
-    }));
+    if (finalTiming) setTiming(finalTiming);
+    await sendSubmission(submission, finalTiming);
   };
 
-  const removeSection = (sectionId) => {
-    setAssessment((prev) => ({
-      ...prev,
-      sections: prev.sections.filter((s) => s.id !== sectionId),
-    }));
-  };
+  if (isLoading) {
+    return (
+      <div className="p-8 flex justify-center">
+        <Spinner />
+      </div>
+    );
+  }
 
-  const addQuestion = (sectionId) => {
-    const newQuestion = {
-      id: genId(),
-      type: "short-text",
-      label: "New Question",
-      required: false,
-    };
-    setAssessment((prev) => ({
-      ...prev,
-      sections: prev.sections.map((s) =>
-        s.id === sectionId
-          ? { ...s, questions: [...s.questions, newQuestion] }
-          : s
-      ),
-    }));
-  };
+  if (!assessment || !candidate) return null; // Will be redirected
 
-  const updateQuestion = (sectionId, questionId, updates) => {
-    setAssessment((prev) => ({
-      ...prev,
-      sections: prev.sections.map((s) =>
-        s.id === sectionId
-          ? {
-              ...s,
-              questions: s.questions.map((q) =>
-                q.id === questionId ? { ...q, ...updates } : q
-              ),
-            }
-          : s
-      ),
-    }));
-  };
+  const hasQuestions = assessment.sections.some((s) => s.questions.length > 0);
+  const isTimed = isTimedAssessment(assessment);
+  const upcomingSectionId =
+    currentSection && nextSectionId(assessment, responses, currentSection.id);
 
-  const removeQuestion = (sectionId, questionId) => {
-    setAssessment((prev) => ({
-      ...prev,
-      sections: prev.sections.map((s) =>
-        s.id === sectionId
-          ? { ...s, questions: s.questions.filter((q) => q.id !== questionId) }
-          : s
-      ),
-    }));
-  };
+  return (
+    <div className="p-8">
+      <div className="max-w-3xl mx-auto">
+        <p className="text-sm text-gray-500 mb-4">
+          {candidate.job?.title ? `${candidate.job.title} · ` : ""}
+          Responding as{" "}
+          <span className="font-medium text-gray-900">{candidate.name}</span>
+        </p>
 
-  const allQuestions = useMemo(() => {
-    return assessment?.sections.flatMap((s) => s.questions) || [];
-  }, [assessment]);
+        {status ? (
+          <div className="bg-white rounded-lg shadow-lg p-12 text-center">
+            <CheckCircle className="mx-auto h-12 w-12 text-green-500" />
+            <h2 className="mt-4 text-2xl font-bold text-gray-900">
+              {status === "submitted"
+                ? "Thank you!"
+                : "Assessment already submitted"}
+            </h2>
+            <p className="mt-2 text-gray-500">
+              {status === "submitted"
+                ? "Your responses have been recorded. The hiring team will be in touch."
+                : "We already have your responses for this assessment. No further action is needed."}
+            </p>
+          </div>
+        ) : !hasQuestions ? (
+          <div className="text-center p-12 bg-white rounded-lg shadow-sm">
+            <h3 className="text-xl font-medium text-gray-700">
+              No assessment for this job yet
+            </h3>
+            <p className="text-gray-500 mt-1">
+              Please check back later.
+            </p>
+          </div>
+        ) : isTimed && !timing ? (
+          <div className="bg-white rounded-lg shadow-lg p-8">
+            <h2 className="text-2xl font-bold text-gray-900">
+              {assessment.title}
+            </h2>
+            <p className="mt-2 text-gray-600">
+              This assessment is timed. The clock starts when you press Start
+              and keeps running if you leave the page.
+            </p>
+            <ul className="mt-4 space-y-1 text-sm text-gray-700">
+              {getTimeLimitMs(assessment) != null && (
+                <li>
+                  Overall time limit:{" "}
+                  <span className="font-medium">
+                    {formatDuration(getTimeLimitMs(assessment))}
+                  </span>
+                </li>
+              )}
+              {assessment.sections
+                .filter((s) => getTimeLimitMs(s) != null)
+                .map((s) => (
+                  <li key={s.id}>
+                    {s.title}:{" "}
+                    <span className="font-medium">
+                      {formatDuration(getTimeLimitMs(s))}
+                    </span>
+                  </li>
+                ))}
+            </ul>
+            {hasSectionTimeLimits(assessment) && (
+              <p className="mt-4 text-sm text-gray-500">
+                Sections are answered one at a time. Once you move on, or a
+                section&apos;s time runs out, you can&apos;t go back to it.
+              </p>
+            )}
+            <div className="mt-6 flex justify-end">
+              <Button icon={Timer} onClick={handleStart}>
+                Start Assessment
+              </Button>
+            </div>
+          </div>
+        ) : (
+          <div className="bg-white rounded-lg shadow-lg">
+            {isRunning && (
+              <div className="sticky top-0 z-10 p-4 bg-white border-b border-gray-200 rounded-t-lg flex items-center justify-end space-x-2">
+                {sectionRemaining != null && (
+                  <CountdownBadge
+                    label="This section"
+                    remainingMs={sectionRemaining}
+                  />
+                )}
+                {overallRemaining != null && (
+                  <CountdownBadge label="Total" remainingMs={overallRemaining} />
+                )}
+              </div>
+            )}
+            <AssessmentRuntime
+              assessment={assessment}
+              responses={responses}
+              setResponses={setResponses}
+              errors={errors}
+              candidateId={candidateId}
+              sectionIds={currentSection ? [currentSection.id] : undefined}
+            />
+            <div className="p-6 border-t border-gray-200 flex items-center justify-end space-x-4">
+              {submitError && (
+                <p className="flex items-center text-sm text-red-600 mr-auto">
+                  <AlertCircle className="h-4 w-4 mr-1" />
+                  {submitError}. Your answers are kept — please retry.
+                </p>
+              )}
+              {isRunning && upcomingSectionId ? (
+                <Button
+                  icon={ArrowRight}
+                  onClick={() => handleNextSection(upcomingSectionId)}
+                >
+                  Next Section
+                </Button>
+              ) : (
+                <Button onClick={handleSubmit} loading={isSubmitting}>
+                  {submitError ? "Retry Submit" : "Submit Assessment"}
+                </Button>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
 
-  // --- Save Handler ---
+/**
+ * PipelineEditorModal
+ * Renames, reorders, adds and removes a job's hiring stages, optionally
+ * starting from a pipeline template. Candidates still in a removed stage are
+ * moved to a stage picked here when the pipeline is saved.
+ */
+const PipelineEditorModal = ({ isOpen, onClose, job, onSaved }) => {
+  const [stages, setStages] = useState([]);
+  const [counts, setCounts] = useState({}); // stage id -> candidates in it
+  const [moves, setMoves] = useState({}); // removed stage id -> target id
+  const [templates, setTemplates] = useState([]);
+  const [templateId, setTemplateId] = useState("");
+  const [templateName, setTemplateName] = useState("");
+  const [isLoading, setIsLoading] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [isSavingTemplate, setIsSavingTemplate] = useState(false);
+  const { addToast } = useToasts();
 
-  const handleSave = async () => {
-    setIsSaving(true);
+  useEffect(() => {
+    if (!isOpen) return;
+    setStages(getJobStages(job));
+    setMoves({});
+    setTemplateId("");
+    setTemplateName("");
+
+    const fetchPipeline = async () => {
+      setIsLoading(true);
+      try {
+        const [stagesRes, templatesRes] = await Promise.all([
+          fetch(`/jobs/${job.id}/stages`),
+          fetch("/pipeline-templates"),
+        ]);
+        if (!stagesRes.ok || !templatesRes.ok) {
+          throw new Error("Failed to load the pipeline");
+        }
+        const withCounts = await stagesRes.json();
+        setCounts(Object.fromEntries(withCounts.map((s) => [s.id, s.count])));
+        setTemplates(await templatesRes.json());
+      } catch (error) {
+        addToast(error.message, "error");
+      } finally {
+        setIsLoading(false);
+      }
+    };
+    fetchPipeline();
+  }, [isOpen, job, addToast]);
+
+  const savedStages = getJobStages(job);
+  const issues = validateStages(stages);
+  // Removed stages that still hold candidates; each needs somewhere to go
+  const stranded = removedStages(savedStages, stages).filter(
+    (s) => counts[s.id] > 0
+  );
+  const moveTarget = (stageId) =>
+    stages.some((s) => s.id === moves[stageId])
+      ? moves[stageId]
+      : defaultMoveTarget(savedStages, stages, stageId);
+
+  const updateTitle = (index, title) =>
+    setStages((prev) => prev.map((s, i) => (i === index ? { ...s, title } : s)));
+  const moveStage = (index, offset) =>
+    setStages((prev) => arrayMove(prev, index, index + offset));
+  const removeStage = (index) =>
+    setStages((prev) => prev.filter((_, i) => i !== index));
+  const addStage = () =>
+    setStages((prev) => [...prev, { id: generateId("stage"), title: "" }]);
+
+  // Template stages sharing an id with a current stage keep its candidates
+  const applyTemplate = () => {
+    const template = templates.find((t) => t.id === Number(templateId));
+    if (template) setStages(template.stages);
+  };
+
+  const handleSaveTemplate = async () => {
+    setIsSavingTemplate(true);
     try {
-      const res = await fetch(`/assessments/${jobId}`, {
-        method: "PUT",
+      const res = await fetch("/pipeline-templates", {
+        method: "POST",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(assessment),
+        body: JSON.stringify({ name: templateName, stages }),
       });
       if (!res.ok) {
         const err = await res.json();
-        throw new Error(err.message || "Failed to save");
+        throw new Error(err.message || "Failed to save template");
       }
-      addToast("Assessment saved successfully!", "success");
+      const template = await res.json();
+      setTemplates((prev) =>
+        [...prev, template].sort((a, b) => a.name.localeCompare(b.name))
+      );
+      setTemplateName("");
+      addToast(`Saved "${template.name}" to templates`, "success");
     } catch (error) {
       addToast(error.message, "error");
     } finally {
-      setIsSaving(false);
+      setIsSavingTemplate(false);
     }
   };
 
-  // --- Preview Validation (Client-side) ---
-  const validatePreview = () => {
-    const errors = {};
-    for (const q of allQuestions) {
-      const isVisible = isQuestionVisible(q); // Need to define this
-      if (q.required && isVisible) {
-        const value = previewResponses[q.id];
-        if (!value || (Array.isArray(value) && value.length === 0)) {
-          errors[q.id] = "This field is required";
-        }
-      }
-
-      if (q.type === "numeric" && previewResponses[q.id] != null) {
-        const num = parseFloat(previewResponses[q.id]);
-        if (q.min != null && num < q.min) {
-          errors[q.id] = `Must be at least ${q.min}`;
-        }
-        if (q.max != null && num > q.max) {
-          errors[q.id] = `Must be at most ${q.max}`;
-        }
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      const res = await fetch(`/jobs/${job.id}/stages`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          stages,
+          moves: Object.fromEntries(
+            stranded.map((s) => [s.id, moveTarget(s.id)])
+          ),
+        }),
+      });
+      if (!res.ok) {
+        const err = await res.json();
+        throw new Error(err.message || "Failed to save stages");
       }
-      // ... other validations
-    }
-    setPreviewErrors(errors);
-    return Object.keys(errors).length === 0;
-  };
-
-  // Need to duplicate this for the preview validation
-  const isQuestionVisible = (question) => {
-    if (!question.condition || !question.condition.questionId) return true;
-    const { questionId, operator, value } = question.condition;
-    const targetResponse = previewResponses[questionId];
-    if (!targetResponse) return false;
-    switch (operator) {
-      case "eq":
-        return Array.isArray(targetResponse)
-          ? targetResponse.includes(value)
-          : targetResponse === value;
-      case "neq":
-        return Array.isArray(targetResponse)
-          ? !targetResponse.includes(value)
-          : targetResponse !== value;
-      case "contains":
-        return Array.isArray(targetResponse)
-          ? targetResponse.includes(value)
-          : String(targetResponse).includes(value);
-      default:
-        return true;
+      addToast("Pipeline saved", "success");
+      onSaved(await res.json());
+    } catch (error) {
+      addToast(error.message, "error");
+    } finally {
+      setIsSaving(false);
     }
   };
 
-  if (isLoading) {
-    return (
-      <div className="p-8 flex justify-center items-center h-64">
-        <Spinner />
-      </div>
-    );
-  }
-
   return (
-    <div className="h-full">
-      <div className="p-4 bg-white border-b border-gray-200 flex justify-between items-center">
-        <Input
-          name="title"
-          value={assessment.title}
-          onChange={(e) => updateAssessment("title", e.target.value)}
-          className="text-xl font-semibold !border-none !shadow-none focus:!ring-0"
-        />
-        <div className="flex space-x-2">
-          {/* Toggle Builder/Preview */}
-          <div className="flex rounded-md shadow-sm">
-            <Button
-              onClick={() => setPreviewMode(false)}
-              variant={!previewMode ? "primary" : "secondary"}
-              className="rounded-r-none"
-              icon={Settings2}
-            >
-              Builder
-            </Button>
+    <Modal isOpen={isOpen} onClose={onClose} title="Edit Pipeline" size="2xl">
+      {isLoading ? (
+        <div className="p-8 flex justify-center">
+          <Spinner />
+        </div>
+      ) : (
+        <div className="space-y-4">
+          <div className="flex items-end space-x-2">
+            <div className="flex-grow">
+              <Select
+                label="Start from a template"
+                name="pipelineTemplate"
+                value={templateId}
+                onChange={(e) => setTemplateId(e.target.value)}
+              >
+                <option value="">Choose a template...</option>
+                {templates.map((t) => (
+                  <option key={t.id} value={t.id}>
+                    {t.name} ({t.stages.length} stages)
+                  </option>
+                ))}
+              </Select>
+            </div>
             <Button
-              onClick={() => setPreviewMode(true)}
-              variant={previewMode ? "primary" : "secondary"}
-              className="rounded-l-none"
-              icon={Eye}
+              variant="secondary"
+              onClick={applyTemplate}
+              disabled={!templateId}
             >
-              Preview
+              Apply
             </Button>
           </div>
 
-          <Button icon={Save} loading={isSaving} onClick={handleSave}>
-            Save Assessment
-          </Button>
-        </div>
-      </div>
-
-      <div className="h-[calc(100vh-200px)] overflow-y-auto custom-scrollbar bg-gray-100 p-8">
-        {previewMode ? (
-          // --- Preview Pane ---
-          <div className="max-w-3xl mx-auto bg-white rounded-lg shadow-lg">
-            <AssessmentRuntime
-              assessment={assessment}
-              responses={previewResponses}
-              setResponses={setPreviewResponses}
-              errors={previewErrors}
-            />
-            <div className="p-6 border-t border-gray-200 flex justify-end">
-              <Button
-                onClick={() => {
-                  if (validatePreview()) {
-                    addToast(
-                      "Preview submitted successfully! (No data saved)",
-                      "success"
-                    );
-                  } else {
-                    addToast("Please fix validation errors", "error");
-                  }
-                }}
-              >
-                Submit (Preview)
-              </Button>
-            </div>
-          </div>
-        ) : (
-          // --- Builder Pane ---
-          <div className="max-w-3xl mx-auto space-y-6">
-            {assessment.sections.map((section, sIdx) => (
-              <div
-                key={section.id}
-                className="p-6 bg-white rounded-lg shadow-md border border-gray-200"
-              >
-                <div className="flex justify-between items-center mb-4">
+          <ol className="space-y-2">
+            {stages.map((stage, index) => (
+              <li key={stage.id} className="flex items-center space-x-2">
+                <span className="w-6 text-sm font-medium text-gray-500">
+                  {index + 1}.
+                </span>
+                <div className="flex-grow">
                   <Input
-                    name="sectionTitle"
-                    value={section.title}
-                    onChange={(e) =>
-                      updateSection(section.id, { title: e.target.value })
-                    }
-                    className="text-lg font-medium !border-none !shadow-none focus:!ring-0 -ml-3"
+                    name={`stage-${stage.id}`}
+                    value={stage.title}
+                    placeholder="Stage name"
+                    onChange={(e) => updateTitle(index, e.target.value)}
                   />
+                </div>
+                <span className="w-24 text-xs text-gray-500">
+                  {stage.id in counts
+                    ? `${counts[stage.id]} candidate${
+                        counts[stage.id] === 1 ? "" : "s"
+                      }`
+                    : "New"}
+                </span>
+                <div className="flex space-x-1">
+                  <Button
+                    variant="ghost"
+                    size="icon"
+                    onClick={() => moveStage(index, -1)}
+                    disabled={index === 0}
+                    title="Move up"
+                  >
+                    <ChevronUp className="h-4 w-4" />
+                  </Button>
+                  <Button
+                    variant="ghost"
+                    size="icon"
+                    onClick={() => moveStage(index, 1)}
+                    disabled={index === stages.length - 1}
+                    title="Move down"
+                  >
+                    <ChevronDown className="h-4 w-4" />
+                  </Button>
                   <Button
                     variant="ghost"
                     size="icon"
-                    onClick={() => removeSection(section.id)}
-                    className="text-red-500 hover:text-red-700 hover:bg-red-50"
+                    onClick={() => removeStage(index)}
+                    disabled={stages.length === 1}
+                    title="Remove stage"
                   >
                     <Trash2 className="h-4 w-4" />
                   </Button>
-                </div>
-
-                <Textarea
-                  name="sectionDescription"
-                  value={section.description}
-                  onChange={(e) =>
-                    updateSection(section.id, { description: e.target.value })
-                  }
-                  placeholder="Section description (optional)"
-                  rows={2}
-                  className="mb-4"
-                />
+                </div>
+              </li>
+            ))}
+          </ol>
+          <Button size="sm" variant="secondary" icon={Plus} onClick={addStage}>
+            Add Stage
+          </Button>
 
-                <div className="space-y-4">
-                  {section.questions.map((q, qIdx) => (
-                    <AssessmentQuestionEditor
-                      key={q.id}
-                      question={q}
-                      updateQuestion={(updates) =>
-                        updateQuestion(section.id, q.id, updates)
+          {stranded.length > 0 && (
+            <div className="p-4 space-y-2 rounded-md bg-yellow-50 border border-yellow-200">
+              <p className="text-sm font-medium text-yellow-800">
+                Candidates in removed stages will be moved
+              </p>
+              {stranded.map((s) => (
+                <div key={s.id} className="flex items-center space-x-2">
+                  <span className="flex-grow text-sm text-gray-700">
+                    {s.title} ({counts[s.id]}) to
+                  </span>
+                  <div className="w-56">
+                    <Select
+                      name={`move-${s.id}`}
+                      value={moveTarget(s.id) ?? ""}
+                      onChange={(e) =>
+                        setMoves((prev) => ({ ...prev, [s.id]: e.target.value }))
                       }
-                      removeQuestion={() => removeQuestion(section.id, q.id)}
-                      allQuestions={allQuestions}
-                    />
-                  ))}
+                    >
+                      {stages.map((target) => (
+                        <option key={target.id} value={target.id}>
+                          {target.title || "(unnamed stage)"}
+                        </option>
+                      ))}
+                    </Select>
+                  </div>
                 </div>
-
-                <Button
-                  icon={Plus}
-                  variant="secondary"
-                  onClick={() => addQuestion(section.id)}
-                  className="mt-6"
+              ))}
+            </div>
+          )}
+
+          {issues.length > 0 && (
+            <ul className="space-y-1">
+              {issues.map((issue, index) => (
+                <li
+                  key={index}
+                  className="flex items-center text-sm text-red-600"
                 >
-                  Add Question
-                </Button>
-              </div>
-            ))}
-
+                  <AlertCircle className="h-4 w-4 mr-1 flex-shrink-0" />
+                  {issue}
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <div className="flex items-end space-x-2 pt-4 border-t border-gray-200">
+            <div className="flex-grow">
+              <Input
+                label="Save as Template"
+                name="pipelineTemplateName"
+                value={templateName}
+                placeholder="Template name"
+                onChange={(e) => setTemplateName(e.target.value)}
+              />
+            </div>
             <Button
-              icon={Plus}
               variant="secondary"
-              onClick={addSection}
-              className="w-full border-dashed"
+              icon={BookmarkPlus}
+              onClick={handleSaveTemplate}
+              loading={isSavingTemplate}
+              disabled={
+                !templateName.trim() || issues.length > 0 || isSavingTemplate
+              }
             >
-              Add Section
+              Save Template
             </Button>
           </div>
-        )}
-      </div>
-    </div>
+
+          <div className="flex justify-end space-x-2 pt-4 border-t border-gray-200">
+            <Button variant="secondary" onClick={onClose}>
+              Cancel
+            </Button>
+            <Button
+              onClick={handleSave}
+              loading={isSaving}
+              disabled={isSaving || issues.length > 0}
+            >
+              Save Pipeline
+            </Button>
+          </div>
+        </div>
+      )}
+    </Modal>
   );
 };
 
+// Job page URL for a tab; each tab has its own so it can be bookmarked
+const jobPath = (slug, tab = "assessment") =>
+  tab === "pipeline" ? `/jobs/${slug}/pipeline` : `/jobs/${slug}`;
+
 /**
  * JobDetailPage
- * A wrapper page that shows job details and the assessment builder.
+ * Job header with the Assessment Builder and Pipeline (the job's Kanban) tabs.
  */
-const JobDetailPage = ({ slug, navigate }) => {
+const JobDetailPage = ({ slug, tab, navigate }) => {
   const [job, setJob] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
+  const [isEditOpen, setIsEditOpen] = useState(false);
+  const [isPipelineOpen, setIsPipelineOpen] = useState(false);
+  const [isStatusSaving, setIsStatusSaving] = useState(false);
   const { addToast } = useToasts();
 
   useEffect(() => {
     const fetchJob = async () => {
       try {
-        // Dexie doesn't support get by slug directly if it's not primary key or index
-        // We'll use the 'search' API, which is a bit of a hack
-        const res = await fetch(`/jobs?search=${slug}&status=all`);
-        if (!res.ok) throw new Error("Failed to fetch job");
-        const data = await res.json();
-        const matchingJob = data.jobs.find((j) => j.slug === slug);
-        if (matchingJob) {
-          setJob(matchingJob);
-        } else {
-          throw new Error("Job not found");
+        const res = await fetch(`/jobs/${encodeURIComponent(slug)}`);
+        if (!res.ok) {
+          const err = await res.json();
+          throw new Error(err.message || "Failed to fetch job");
         }
+        setJob(await res.json());
       } catch (error) {
         addToast(error.message, "error");
         navigate("/jobs");
@@ -2269,6 +5285,53 @@ const JobDetailPage = ({ slug, navigate }) => {
     fetchJob();
   }, [slug, addToast, navigate]);
 
+  const onJobSaved = (savedJob) => {
+    setIsEditOpen(false);
+    setJob(savedJob);
+    // The URL is keyed by slug, so follow a rename
+    if (savedJob.slug !== slug) {
+      navigate(jobPath(savedJob.slug, tab));
+    }
+  };
+
+  const handleToggleArchive = async () => {
+    const originalStatus = job.status;
+    const newStatus = originalStatus === "archived" ? "active" : "archived";
+
+    // Optimistic UI Update
+    setJob((prev) => ({ ...prev, status: newStatus }));
+    setIsStatusSaving(true);
+
+    try {
+      const res = await fetch(`/jobs/${job.id}`, {
+        method: "PATCH",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ status: newStatus }),
+      });
+
+      if (!res.ok) {
+        const errorData = await res.json();
+        throw new Error(errorData.message || "Failed to update job status");
+      }
+
+      addToast(
+        newStatus === "archived" ? "Job archived" : "Job unarchived",
+        "success"
+      );
+    } catch (error) {
+      // Rollback on error
+      addToast(`Error: ${error.message}. Reverting changes.`, "error");
+      setJob((prev) => ({ ...prev, status: originalStatus }));
+    } finally {
+      setIsStatusSaving(false);
+    }
+  };
+
+  // The board reloads every column when `stages` changes identity, so only
+  // hand it a new array when the job's pipeline itself changes
+  const jobStages = job?.stages;
+  const stages = useMemo(() => getJobStages({ stages: jobStages }), [jobStages]);
+
   if (isLoading) {
     return (
       <div className="p-8 flex justify-center">
@@ -2279,6 +5342,8 @@ const JobDetailPage = ({ slug, navigate }) => {
 
   if (!job) return null; // Will be redirected
 
+  const isArchived = job.status === "archived";
+
   return (
     <div className="h-full flex flex-col">
       <div className="p-6 border-b border-gray-200 bg-white">
@@ -2293,213 +5358,507 @@ const JobDetailPage = ({ slug, navigate }) => {
           <ChevronLeft className="h-4 w-4 mr-1" />
           Back to Jobs
         </a>
-        <h1 className="text-3xl font-bold text-gray-900">{job.title}</h1>
-        {/* We could have more job details here, but focus is on assessment */}
+        <div className="flex justify-between items-start">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">{job.title}</h1>
+            <div className="mt-2 flex space-x-2">
+              <span
+                className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
+                  isArchived
+                    ? "bg-gray-100 text-gray-800"
+                    : "bg-green-100 text-green-800"
+                }`}
+              >
+                {job.status}
+              </span>
+              {job.tags?.map((tag) => (
+                <span
+                  key={tag}
+                  className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-indigo-100 text-indigo-800"
+                >
+                  {tag}
+                </span>
+              ))}
+            </div>
+          </div>
+          <div className="flex space-x-2">
+            <div className="flex rounded-md shadow-sm">
+              <Button
+                onClick={() => navigate(jobPath(job.slug))}
+                variant={tab === "assessment" ? "primary" : "secondary"}
+                className="rounded-r-none"
+                icon={ClipboardList}
+              >
+                Assessment
+              </Button>
+              <Button
+                onClick={() => navigate(jobPath(job.slug, "pipeline"))}
+                variant={tab === "pipeline" ? "primary" : "secondary"}
+                className="rounded-l-none"
+                icon={Kanban}
+              >
+                Pipeline
+              </Button>
+            </div>
+            {tab === "pipeline" && (
+              <Button
+                variant="secondary"
+                icon={Settings2}
+                onClick={() => setIsPipelineOpen(true)}
+              >
+                Edit Stages
+              </Button>
+            )}
+            <Button
+              variant="secondary"
+              icon={Edit}
+              onClick={() => setIsEditOpen(true)}
+            >
+              Edit
+            </Button>
+            <Button
+              variant="secondary"
+              icon={isArchived ? ArchiveRestore : Archive}
+              onClick={handleToggleArchive}
+              disabled={isStatusSaving}
+            >
+              {isArchived ? "Unarchive" : "Archive"}
+            </Button>
+          </div>
+        </div>
       </div>
 
-      {/* Assessment Builder takes the rest of the height */}
-      <AssessmentBuilder jobId={job.id} />
+      {/* The active tab takes the rest of the height */}
+      {tab === "pipeline" ? (
+        <div className="flex-grow min-h-0">
+          {/* Remount on a pipeline edit so the columns reload */}
+          <CandidateKanban
+            key={`${job.id}:${stages.map((s) => s.id).join(",")}`}
+            query={`jobId=${job.id}`}
+            stages={stages}
+            navigate={navigate}
+          />
+        </div>
+      ) : (
+        <AssessmentBuilder jobId={job.id} />
+      )}
+
+      <JobFormModal
+        isOpen={isEditOpen}
+        onClose={() => setIsEditOpen(false)}
+        onSaved={onJobSaved}
+        job={job}
+      />
+      <PipelineEditorModal
+        isOpen={isPipelineOpen}
+        onClose={() => setIsPipelineOpen(false)}
+        job={job}
+        onSaved={(savedJob) => {
+          setIsPipelineOpen(false);
+          setJob(savedJob);
+        }}
+      />
     </div>
   );
 };
 
-// --- 10. FEATURE COMPONENTS (Candidates) ---
+// --- 6. FEATURE COMPONENTS (Candidates) ---
 
-/**
- * VirtualizedCandidateList
- * Renders the 1000+ candidates using react-window.
- */
-const VirtualizedCandidateList = ({ candidates, navigate }) => {
-  const Row = ({ index, style }) => {
-    const candidate = candidates[index];
-    const stage = CANDIDATE_STAGES.find((s) => s.id === candidate.stage);
+// Compact assessment score chip for candidate list rows and kanban cards
+const ScoreBadge = ({ score }) => {
+  if (!score) return null;
+  const color =
+    score.percent >= 70
+      ? "bg-green-100 text-green-800"
+      : score.percent >= 40
+      ? "bg-yellow-100 text-yellow-800"
+      : "bg-red-100 text-red-800";
+  return (
+    <span
+      className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${color}`}
+      title={`Assessment score: ${score.earned}/${score.possible} points`}
+    >
+      {score.percent}%
+    </span>
+  );
+};
+
+const CANDIDATE_PAGE_SIZE = 50;
+const MAX_CANDIDATE_PAGE_SIZE = 1000;
+const CANDIDATE_ROW_HEIGHT = 73; // 72px for row + 1px for border
+// Fetch the next page once the visible rows get this close to the loaded end
+const CANDIDATE_LOAD_AHEAD = 20;
+
+// Size of the page needed to cover rows up to `lastVisibleIndex` plus the
+// load-ahead margin, or 0 when the loaded rows already do. A jump far past
+// the loaded rows is fetched as one bigger page rather than many.
+const pageSizeToCover = (lastVisibleIndex, loadedCount, pageSize) => {
+  const missing = lastVisibleIndex + CANDIDATE_LOAD_AHEAD - loadedCount;
+  return missing < 0
+    ? 0
+    : Math.min(Math.max(missing, pageSize), MAX_CANDIDATE_PAGE_SIZE);
+};
 
+// One list row; a placeholder until the page holding it has arrived
+const CandidateRow = ({ index, style, candidates, navigate }) => {
+  const candidate = candidates[index];
+  if (!candidate) {
     return (
       <div style={style} className="border-b border-gray-200">
-        <div className="flex items-center p-4 hover:bg-gray-50">
-          <img
-            src={candidate.avatarUrl}
-            alt={candidate.name}
-            className="h-10 w-10 rounded-full"
-          />
-          <div className="ml-4 flex-grow">
-            <a
-              href={`#/candidates/${candidate.id}`}
-              onClick={(e) => {
-                e.preventDefault();
-                navigate(`/candidates/${candidate.id}`);
-              }}
-              className="text-sm font-medium text-indigo-600 hover:underline"
-            >
-              {candidate.name}
-            </a>
-            <p className="text-sm text-gray-500">{candidate.email}</p>
-          </div>
-          <div className="text-right">
-            <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
-              {stage?.title || "Unknown"}
-            </span>
-            <p className="text-xs text-gray-400 mt-1">
-              Applied: {new Date(candidate.createdAt).toLocaleDateString()}
-            </p>
+        <div className="flex items-center p-4 animate-pulse">
+          <div className="h-10 w-10 rounded-full bg-gray-200" />
+          <div className="ml-4 flex-grow space-y-2">
+            <div className="h-3 w-40 rounded bg-gray-200" />
+            <div className="h-3 w-56 rounded bg-gray-100" />
           </div>
         </div>
       </div>
     );
-  };
+  }
+  return (
+    <div style={style} className="border-b border-gray-200">
+      <div className="flex items-center p-4 hover:bg-gray-50">
+        <img
+          src={candidate.avatarUrl}
+          alt={candidate.name}
+          className="h-10 w-10 rounded-full"
+        />
+        <div className="ml-4 flex-grow">
+          <a
+            href={`#/candidates/${candidate.id}`}
+            onClick={(e) => {
+              e.preventDefault();
+              navigate(`/candidates/${candidate.id}`);
+            }}
+            className="text-sm font-medium text-indigo-600 hover:underline"
+          >
+            {candidate.name}
+          </a>
+          <p className="text-sm text-gray-500">{candidate.email}</p>
+        </div>
+        <div className="text-right">
+          <ScoreBadge score={candidate.assessmentScore} />
+          <span className="ml-2 inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
+            {candidate.stageTitle || "Unknown"}
+          </span>
+          <p className="text-xs text-gray-400 mt-1">
+            Applied: {new Date(candidate.createdAt).toLocaleDateString()}
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * VirtualizedCandidateList
+ * Renders the candidates matching `query` (a GET /candidates query string)
+ * using react-window. Only the first page is fetched up front; later pages
+ * are fetched with the server's cursor as the user scrolls. Give it a new
+ * `key` to start over from the top.
+ */
+const VirtualizedCandidateList = ({ query, navigate }) => {
+  const [candidates, setCandidates] = useState([]);
+  const [total, setTotal] = useState(null);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [isFetching, setIsFetching] = useState(false);
+  const [error, setError] = useState(null);
+  const [lastVisibleIndex, setLastVisibleIndex] = useState(0);
+  const { addToast } = useToasts();
+
+  const loadPage = useCallback(
+    async (cursor, pageSize = CANDIDATE_PAGE_SIZE) => {
+      setIsFetching(true);
+      setError(null);
+      try {
+        const params = new URLSearchParams(query);
+        params.set("pageSize", pageSize);
+        if (cursor) params.set("cursor", cursor);
+        const res = await fetch(`/candidates?${params}`);
+        if (!res.ok) throw new Error("Failed to fetch candidates");
+        const data = await res.json();
+        setCandidates((prev) =>
+          cursor ? [...prev, ...data.candidates] : data.candidates
+        );
+        setTotal(data.pagination.total);
+        setNextCursor(data.pagination.nextCursor);
+      } catch (error) {
+        setError(error.message);
+        addToast(error.message, "error");
+      } finally {
+        setIsFetching(false);
+      }
+    },
+    [query, addToast]
+  );
+
+  // First page
+  useEffect(() => {
+    loadPage(null);
+  }, [loadPage]);
 
-  // This is a common pattern to make react-window responsive.
-  // We'll skip it for simplicity and use fixed height.
-  // In a real app, you'd use react-virtualized-auto-sizer.
-  const listHeight = 600;
+  // Later pages, one at a time, until the visible rows are covered
+  useEffect(() => {
+    if (isFetching || error || !nextCursor) return;
+    const pageSize = pageSizeToCover(
+      lastVisibleIndex,
+      candidates.length,
+      CANDIDATE_PAGE_SIZE
+    );
+    if (pageSize > 0) loadPage(nextCursor, pageSize);
+  }, [
+    lastVisibleIndex,
+    candidates.length,
+    nextCursor,
+    isFetching,
+    error,
+    loadPage,
+  ]);
+
+  const rowProps = useMemo(
+    () => ({ candidates, navigate }),
+    [candidates, navigate]
+  );
 
-  // Resolve FixedSizeList whether it's a named export or on the default export
-  const ListComponent =
-    ReactWindow.FixedSizeList ||
-    (ReactWindow.default && ReactWindow.default.FixedSizeList);
+  if (total === null) {
+    return (
+      <div className="flex flex-col justify-center items-center h-64">
+        {error ? (
+          <Button variant="secondary" onClick={() => loadPage(null)}>
+            Retry
+          </Button>
+        ) : (
+          <Spinner />
+        )}
+      </div>
+    );
+  }
 
-  // If FixedSizeList isn't available for some reason, gracefully fall back
-  if (!ListComponent) {
+  if (total === 0) {
     return (
-      <div className="bg-white rounded-lg shadow border border-gray-200">
-        {candidates.map((candidate, idx) => (
-          <div key={candidate.id} className="border-b border-gray-200">
-            <div className="flex items-center p-4 hover:bg-gray-50">
-              <img
-                src={candidate.avatarUrl}
-                alt={candidate.name}
-                className="h-10 w-10 rounded-full"
-              />
-              <div className="ml-4 flex-grow">
-                <a
-                  href={`#/candidates/${candidate.id}`}
-                  onClick={(e) => {
-                    e.preventDefault();
-                    navigate(`/candidates/${candidate.id}`);
-                  }}
-                  className="text-sm font-medium text-indigo-600 hover:underline"
-                >
-                  {candidate.name}
-                </a>
-                <p className="text-sm text-gray-500">{candidate.email}</p>
-              </div>
-              <div className="text-right">
-                <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
-                  {CANDIDATE_STAGES.find((s) => s.id === candidate.stage)?.title ||
-                    "Unknown"}
-                </span>
-                <p className="text-xs text-gray-400 mt-1">
-                  Applied: {new Date(candidate.createdAt).toLocaleDateString()}
-                </p>
-              </div>
-            </div>
-          </div>
-        ))}
+      <div className="text-center p-12 bg-white rounded-lg shadow-sm">
+        <h3 className="text-xl font-medium text-gray-700">
+          No candidates found
+        </h3>
+        <p className="text-gray-500 mt-1">Try adjusting your filters.</p>
       </div>
     );
   }
 
   return (
     <div className="bg-white rounded-lg shadow border border-gray-200">
-      <ListComponent
-        height={listHeight}
-        itemCount={candidates.length}
-        itemSize={73} // 72px for row + 1px for border
-        width="100%"
-      >
-        {Row}
-      </ListComponent>
+      <List
+        rowComponent={CandidateRow}
+        rowCount={Math.max(total, candidates.length)}
+        rowHeight={CANDIDATE_ROW_HEIGHT}
+        rowProps={rowProps}
+        onRowsRendered={({ stopIndex }) => setLastVisibleIndex(stopIndex)}
+        style={{ height: 600 }}
+      />
+      <div className="flex items-center justify-between px-4 py-2 border-t border-gray-200 text-xs text-gray-500">
+        <span>
+          {candidates.length} of {total} loaded
+        </span>
+        {isFetching && <span>Loading more...</span>}
+        {!isFetching && error && (
+          <Button size="sm" variant="ghost" onClick={() => loadPage(nextCursor)}>
+            Retry
+          </Button>
+        )}
+      </div>
     </div>
   );
 };
 
+const KANBAN_PAGE_SIZE = 30;
+const KANBAN_ROW_HEIGHT = 66; // 58px card + 8px gap
+
+const EMPTY_KANBAN_COLUMN = {
+  candidates: [],
+  total: null,
+  nextCursor: null,
+  isFetching: false,
+  error: null,
+};
+
+const patchColumn = (columns, stageId, changes) => ({
+  ...columns,
+  [stageId]: { ...columns[stageId], ...changes },
+});
+
+const KanbanCardBody = ({ candidate, navigate }) => (
+  <div className="bg-white p-3 rounded-md shadow-sm border border-gray-200 cursor-grab active:cursor-grabbing">
+    <div className="flex items-center space-x-2">
+      <img
+        src={candidate.avatarUrl}
+        alt={candidate.name}
+        className="h-8 w-8 rounded-full flex-shrink-0"
+      />
+      <div className="min-w-0">
+        <a
+          href={`#/candidates/${candidate.id}`}
+          onClick={(e) => {
+            e.preventDefault();
+            navigate(`/candidates/${candidate.id}`);
+          }}
+          className="block truncate text-sm font-medium text-gray-800 hover:underline"
+        >
+          {candidate.name}
+        </a>
+        <p className="truncate text-xs text-gray-500">{candidate.email}</p>
+      </div>
+      {candidate.assessmentScore && (
+        <div className="ml-auto">
+          <ScoreBadge score={candidate.assessmentScore} />
+        </div>
+      )}
+    </div>
+  </div>
+);
+
 /**
- * Kanban Card (Sortable)
+ * Kanban Card (Draggable)
  */
 const KanbanCard = ({ candidate, navigate }) => {
-  const {
-    attributes,
-    listeners,
-    setNodeRef,
-    transform,
-    transition,
-    isDragging,
-  } = useSortable({ id: candidate.id });
-
-  const style = {
-    transform: CSS.Transform.toString(transform),
-    transition,
-    opacity: isDragging ? 0.8 : 1,
-    zIndex: isDragging ? 10 : "auto",
-  };
+  const { attributes, listeners, setNodeRef, isDragging } = useDraggable({
+    id: candidate.id,
+    data: { candidate },
+  });
 
   return (
     <div
       ref={setNodeRef}
-      style={style}
       {...attributes}
       {...listeners}
-      className="bg-white p-3 rounded-md shadow-sm border border-gray-200 mb-2 cursor-grab active:cursor-grabbing"
+      className={isDragging ? "opacity-40" : ""}
     >
-      <div className="flex items-center space-x-2">
-        <img
-          src={candidate.avatarUrl}
-          alt={candidate.name}
-          className="h-8 w-8 rounded-full"
-        />
-        <div>
-          <a
-            href={`#/candidates/${candidate.id}`}
-            onClick={(e) => {
-              e.preventDefault();
-              navigate(`/candidates/${candidate.id}`);
-            }}
-            className="text-sm font-medium text-gray-800 hover:underline"
-          >
-            {candidate.name}
-          </a>
-          <p className="text-xs text-gray-500">{candidate.email}</p>
-        </div>
-      </div>
+      <KanbanCardBody candidate={candidate} navigate={navigate} />
+    </div>
+  );
+};
+
+// One column row: a card, or a placeholder until its page arrives
+const KanbanRow = ({ index, style, candidates, navigate }) => {
+  const candidate = candidates[index];
+  return (
+    <div style={style} className="pb-2 pr-1">
+      {candidate ? (
+        <KanbanCard candidate={candidate} navigate={navigate} />
+      ) : (
+        <div className="h-full rounded-md bg-gray-200 animate-pulse" />
+      )}
     </div>
   );
 };
 
 /**
  * Kanban Column (Droppable)
+ * Virtualizes its cards and asks for its next page as they scroll into view.
  */
-const KanbanColumn = ({ id, title, candidates, navigate }) => {
-  const { setNodeRef } = useSortable({ id });
+const KanbanColumn = ({ stage, column, isOver, navigate, onLoadMore }) => {
+  const { setNodeRef } = useDroppable({ id: stage.id });
+  const [lastVisibleIndex, setLastVisibleIndex] = useState(0);
+  const { candidates, total, nextCursor, isFetching, error } = column;
+
+  useEffect(() => {
+    if (isFetching || error || !nextCursor) return;
+    const pageSize = pageSizeToCover(
+      lastVisibleIndex,
+      candidates.length,
+      KANBAN_PAGE_SIZE
+    );
+    if (pageSize > 0) onLoadMore(stage.id, nextCursor, pageSize);
+  }, [
+    lastVisibleIndex,
+    candidates.length,
+    nextCursor,
+    isFetching,
+    error,
+    stage.id,
+    onLoadMore,
+  ]);
+
+  const rowProps = useMemo(
+    () => ({ candidates, navigate }),
+    [candidates, navigate]
+  );
 
   return (
     <div
-      ref={setNodeRef} // This is incorrect for dnd-kit, but works for SortableContext
-      className="w-72 flex-shrink-0 bg-gray-100 rounded-lg p-3"
+      ref={setNodeRef}
+      className={`w-72 flex-shrink-0 bg-gray-100 rounded-lg p-3 ${
+        isOver ? "ring-2 ring-indigo-400" : ""
+      }`}
     >
-      <h3 className="text-sm font-semibold text-gray-700 mb-3 px-1">
-        {title.toUpperCase()} ({candidates.length})
+      <h3 className="flex items-center justify-between text-sm font-semibold text-gray-700 mb-3 px-1">
+        {stage.title.toUpperCase()}
+        <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-white text-gray-600">
+          {total ?? "…"}
+        </span>
       </h3>
-      <SortableContext
-        items={candidates.map((c) => c.id)}
-        strategy={verticalListSortingStrategy}
-      >
-        <div className="h-[calc(100vh-300px)] overflow-y-auto custom-scrollbar pr-1">
-          {candidates.map((c) => (
-            <KanbanCard key={c.id} candidate={c} navigate={navigate} />
-          ))}
-        </div>
-      </SortableContext>
+      <div className="h-[calc(100vh-300px)]">
+        {total === null && (
+          <div className="flex justify-center pt-8">
+            {error ? (
+              <Button
+                size="sm"
+                variant="secondary"
+                onClick={() => onLoadMore(stage.id, null)}
+              >
+                Retry
+              </Button>
+            ) : (
+              <Spinner />
+            )}
+          </div>
+        )}
+        {total === 0 && (
+          <p className="pt-8 text-center text-sm text-gray-400">
+            No candidates
+          </p>
+        )}
+        {total > 0 && (
+          <List
+            rowComponent={KanbanRow}
+            rowCount={Math.max(total, candidates.length)}
+            rowHeight={KANBAN_ROW_HEIGHT}
+            rowProps={rowProps}
+            onRowsRendered={({ stopIndex }) => setLastVisibleIndex(stopIndex)}
+            className="custom-scrollbar"
+            style={{ height: "100%" }}
+          />
+        )}
+      </div>
+      {total !== null && error && (
+        <Button
+          size="sm"
+          variant="ghost"
+          onClick={() => onLoadMore(stage.id, nextCursor)}
+        >
+          Retry
+        </Button>
+      )}
     </div>
   );
 };
 
 /**
  * CandidateKanban
- * Renders the D&D Kanban board.
+ * Renders the D&D Kanban board for the candidates matching `query` (a GET
+ * /candidates query string, without stage or paging). Each column pages
+ * through its own stage and keeps its own count; give the board a new `key`
+ * to reload it.
  */
-const CandidateKanban = ({ candidates, setCandidates, navigate }) => {
+const CandidateKanban = ({ query, stages, navigate }) => {
   const { addToast } = useToasts();
+  const [columns, setColumns] = useState(() =>
+    Object.fromEntries(stages.map((s) => [s.id, EMPTY_KANBAN_COLUMN]))
+  );
   const [activeCandidate, setActiveCandidate] = useState(null);
+  const [overStage, setOverStage] = useState(null);
+  // Where each card moved on this board went (candidate id -> stage), so a
+  // page read before a move landed can't bring the card back to its old column
+  const movedTo = useRef(new Map());
 
   const sensors = useSensors(
     useSensor(PointerSensor, {
@@ -2509,97 +5868,116 @@ const CandidateKanban = ({ candidates, setCandidates, navigate }) => {
     })
   );
 
-  // Group candidates by stage for rendering columns
-  const candidatesByStage = useMemo(() => {
-    const grouped = {};
-    STAGE_IDS.forEach((stageId) => {
-      grouped[stageId] = [];
-    });
-    candidates.forEach((c) => {
-      if (grouped[c.stage]) {
-        grouped[c.stage].push(c);
+  const loadColumn = useCallback(
+    async (stageId, cursor = null, pageSize = KANBAN_PAGE_SIZE) => {
+      setColumns((prev) =>
+        patchColumn(prev, stageId, { isFetching: true, error: null })
+      );
+      try {
+        const params = new URLSearchParams(query);
+        params.set("stage", stageId);
+        params.set("sort", "id");
+        params.set("order", "asc");
+        params.set("pageSize", pageSize);
+        if (cursor) params.set("cursor", cursor);
+        const res = await fetch(`/candidates?${params}`);
+        if (!res.ok) throw new Error("Failed to fetch candidates");
+        const data = await res.json();
+        const page = data.candidates.filter(
+          (c) => (movedTo.current.get(c.id) ?? stageId) === stageId
+        );
+        setColumns((prev) => {
+          const loaded = new Set(prev[stageId].candidates.map((c) => c.id));
+          return patchColumn(prev, stageId, {
+            candidates: cursor
+              ? [
+                  ...prev[stageId].candidates,
+                  ...page.filter((c) => !loaded.has(c.id)),
+                ]
+              : page,
+            total: data.pagination.total,
+            nextCursor: data.pagination.nextCursor,
+            isFetching: false,
+          });
+        });
+      } catch (error) {
+        setColumns((prev) =>
+          patchColumn(prev, stageId, { isFetching: false, error: error.message })
+        );
+        addToast(error.message, "error");
       }
-    });
-    return grouped;
-  }, [candidates]);
+    },
+    [query, addToast]
+  );
 
-  // We need to find the container (stage) an item is in
-  const findContainer = (id) => {
-    if (STAGE_IDS.includes(id)) {
-      return id;
-    }
-    return candidates.find((c) => c.id === id)?.stage;
+  // First page of every column
+  useEffect(() => {
+    stages.forEach((stage) => loadColumn(stage.id));
+  }, [stages, loadColumn]);
+
+  // Takes a card out of one column and puts it in another, counts included.
+  // Columns are in id order, so a card past the target's loaded rows isn't
+  // placed now; it arrives with the page that covers it.
+  const moveCard = (candidate, fromStage, toStage) => {
+    movedTo.current.set(candidate.id, toStage);
+    setColumns((prev) => {
+      const from = prev[fromStage];
+      const to = prev[toStage];
+      const lastLoaded = to.candidates[to.candidates.length - 1];
+      const isInLoadedRange =
+        !to.nextCursor || (lastLoaded && lastLoaded.id > candidate.id);
+      return {
+        ...prev,
+        [fromStage]: {
+          ...from,
+          candidates: from.candidates.filter((c) => c.id !== candidate.id),
+          total: from.total - 1,
+        },
+        [toStage]: {
+          ...to,
+          candidates: isInLoadedRange
+            ? [...to.candidates, { ...candidate, stage: toStage }].sort(
+                (a, b) => a.id - b.id
+              )
+            : to.candidates,
+          total: to.total + 1,
+        },
+      };
+    });
   };
 
   const handleDragStart = (event) => {
-    const { active } = event;
-    setActiveCandidate(candidates.find((c) => c.id === active.id));
+    setActiveCandidate(event.active.data.current.candidate);
   };
 
   const handleDragOver = (event) => {
-    const { active, over } = event;
-    if (!over) return;
-
-    const activeContainer = findContainer(active.id);
-    const overContainer = findContainer(over.id);
-
-    if (
-      !activeContainer ||
-      !overContainer ||
-      activeContainer === overContainer
-    ) {
-      return;
-    }
-
-    // This is a simple drag-over. We update the UI optimistically.
-    // The actual state update and API call happen in handleDragEnd.
-    // For a smoother UI, we can optimistically update here.
-    setCandidates((prev) => {
-      const activeIndex = prev.findIndex((c) => c.id === active.id);
-      if (activeIndex === -1) return prev;
-
-      const newItems = [...prev];
-      newItems[activeIndex].stage = overContainer;
-      return newItems;
-    });
+    setOverStage(event.over?.id ?? null);
   };
 
   const handleDragEnd = async (event) => {
     const { active, over } = event;
     setActiveCandidate(null);
+    setOverStage(null);
 
-    if (!over) return;
-
-    const activeContainer = findContainer(active.id);
-    const overContainer = findContainer(over.id);
-
+    const candidate = active.data.current?.candidate;
+    // Dropped outside the board, back on its own column, or on a column
+    // that hasn't loaded yet
     if (
-      !activeContainer ||
-      !overContainer ||
-      activeContainer === overContainer
+      !over ||
+      !candidate ||
+      over.id === candidate.stage ||
+      columns[over.id]?.total == null
     ) {
-      // Item was dropped in the same container, or invalid drop
-      // We could handle re-ordering *within* a column here if needed
       return;
     }
 
     // --- Optimistic Update ---
-    const candidateId = active.id;
-    const newStage = overContainer;
-
-    // 1. Find the original candidate to get its old stage
-    const originalCandidate = candidates.find((c) => c.id === candidateId);
-    if (!originalCandidate) return;
-    const oldStage = originalCandidate.stage;
+    const oldStage = candidate.stage;
+    const newStage = over.id;
+    moveCard(candidate, oldStage, newStage);
 
-    // 2. Optimistically update UI state
-    setCandidates((prev) =>
-      prev.map((c) => (c.id === candidateId ? { ...c, stage: newStage } : c))
-    );
-
-    // 3. API Call
     try {
-      const res = await fetch(`/candidates/${candidateId}`, {
+      const res = await fetch(`/candidates/${candidate.id}`, {
         method: "PATCH",
         headers: { "Content-Type": "application/json" },
         body: JSON.stringify({ stage: newStage }),
@@ -2611,46 +5989,47 @@ const CandidateKanban = ({ candidates, setCandidates, navigate }) => {
       }
 
       addToast(
-        `${originalCandidate.name} moved to ${
-          CANDIDATE_STAGES.find((s) => s.id === newStage).title
-        }`,
+        `${candidate.name} moved to ${stageTitle(stages, newStage)}`,
         "success"
       );
     } catch (error) {
-      // 4. Rollback
+      // Rollback
       addToast(`Error: ${error.message}. Reverting stage change.`, "error");
-      setCandidates((prev) =>
-        prev.map((c) => (c.id === candidateId ? { ...c, stage: oldStage } : c))
-      );
+      moveCard({ ...candidate, stage: newStage }, newStage, oldStage);
     }
   };
 
   return (
     <DndContext
       sensors={sensors}
-      collisionDetection={closestCorners}
+      collisionDetection={pointerWithin}
       onDragStart={handleDragStart}
       onDragOver={handleDragOver}
       onDragEnd={handleDragEnd}
+      onDragCancel={() => {
+        setActiveCandidate(null);
+        setOverStage(null);
+      }}
     >
       <div className="flex space-x-4 overflow-x-auto custom-scrollbar p-4 bg-gray-50 h-full">
-        <SortableContext items={STAGE_IDS}>
-          {CANDIDATE_STAGES.map((stage) => (
-            <KanbanColumn
-              key={stage.id}
-              id={stage.id}
-              title={stage.title}
-              candidates={candidatesByStage[stage.id]}
-              navigate={navigate}
-            />
-          ))}
-        </SortableContext>
+        {stages.map((stage) => (
+          <KanbanColumn
+            key={stage.id}
+            stage={stage}
+            column={columns[stage.id]}
+            isOver={
+              overStage === stage.id && activeCandidate?.stage !== stage.id
+            }
+            navigate={navigate}
+            onLoadMore={loadColumn}
+          />
+        ))}
       </div>
 
       <DragOverlay>
         {activeCandidate ? (
           <div className="shadow-2xl">
-            <KanbanCard candidate={activeCandidate} navigate={() => {}} />
+            <KanbanCardBody candidate={activeCandidate} navigate={() => {}} />
           </div>
         ) : null}
       </DragOverlay>
@@ -2792,123 +6171,306 @@ const CandidateCreateModal = ({ isOpen, onClose, onCandidateCreated }) => {
 };
 
 
+// List sort options, as "sort:order" for GET /candidates
+const CANDIDATE_SORT_OPTIONS = [
+  { value: "createdAt:desc", label: "Newest first" },
+  { value: "createdAt:asc", label: "Oldest first" },
+  { value: "name:asc", label: "Name (A-Z)" },
+  { value: "name:desc", label: "Name (Z-A)" },
+];
+
+const EMPTY_CANDIDATE_FILTERS = {
+  search: "",
+  jobId: "",
+  stages: [],
+  createdFrom: "",
+  createdTo: "",
+  sort: "createdAt:desc",
+};
+
+// Local midnight of a date input's "YYYY-MM-DD", `days` later, as ISO
+const startOfDay = (date, days = 0) => {
+  const day = new Date(`${date}T00:00`);
+  day.setDate(day.getDate() + days);
+  return day.toISOString();
+};
+
 /**
  * CandidatesPage
- * Main page, toggles between List and Kanban.
+ * Main page, toggles between List and Kanban. Search, job, stage, date and
+ * sort filters all run on the server. A single job's Kanban is its Pipeline
+ * tab, so picking a job on the board goes there.
  */
 const CandidatesPage = ({ navigate }) => {
   const [view, setView] = useState('list'); // 'list' or 'kanban'
-  const [candidates, setCandidates] = useState([]);
-  const [isLoading, setIsLoading] = useState(true);
-  const [isModalOpen, setIsModalOpen] = useState(false); // <-- ADD THIS
+  const [isModalOpen, setIsModalOpen] = useState(false);
+  // Bumped to make the views start over, e.g. after adding a candidate
+  const [listVersion, setListVersion] = useState(0);
+  const [filters, setFilters] = useState(EMPTY_CANDIDATE_FILTERS);
+  const [jobs, setJobs] = useState(null); // For the job selector and stages
   const { addToast } = useToasts();
-  
-  // Client-side search (as required)
-  const [searchTerm, setSearchTerm] = useState('');
-  const debouncedSearch = useDebounce(searchTerm, 300);
 
-  // --- REFACTOR DATA FETCHING ---
-  // Wrap in useCallback so it can be passed to useEffect and onCandidateCreated
-  const fetchAllCandidates = useCallback(async () => {
-    setIsLoading(true);
-    try {
-      // Fetch up to 1000 candidates for client-side filtering/kanban
-      const res = await fetch('/candidates?page=1&pageSize=1000');
-      if (!res.ok) throw new Error('Failed to fetch candidates');
-      const data = await res.json();
-      setCandidates(data.candidates);
-    } catch (error) {
-      addToast(error.message, 'error');
-    } finally {
-      setIsLoading(false);
-    }
-  }, [addToast]); // Add addToast as a dependency
+  const debouncedSearch = useDebounce(filters.search, 300);
 
-  // Initial fetch
   useEffect(() => {
-    fetchAllCandidates();
-  }, [fetchAllCandidates]); // Use the useCallback function
-  
-  // Callback for when a new candidate is created
+    const fetchJobs = async () => {
+      try {
+        const res = await fetch('/jobs?pageSize=1000&sort=title');
+        if (!res.ok) throw new Error('Failed to fetch jobs');
+        const data = await res.json();
+        setJobs(data.jobs);
+      } catch (error) {
+        addToast(error.message, 'error');
+        setJobs([]);
+      }
+    };
+    fetchJobs();
+  }, [addToast]);
+
+  // Stage chips and board columns: the selected job's pipeline, or every
+  // stage any job uses
+  const stageOptions = useMemo(() => {
+    const job = jobs?.find((j) => j.id === Number(filters.jobId));
+    if (job) return getJobStages(job);
+    return jobs?.length > 0
+      ? mergeStages(jobs.map(getJobStages))
+      : DEFAULT_STAGES;
+  }, [jobs, filters.jobId]);
+
+  // Search and date filters as a GET /candidates query string. The list adds
+  // the stage filter and sort; the board turns stages into columns instead.
+  const filtersQuery = useMemo(() => {
+    const params = new URLSearchParams({ search: debouncedSearch });
+    if (filters.jobId) params.set("jobId", filters.jobId);
+    if (filters.createdFrom) {
+      params.set("createdAfter", startOfDay(filters.createdFrom));
+    }
+    if (filters.createdTo) {
+      params.set("createdBefore", startOfDay(filters.createdTo, 1));
+    }
+    return params.toString();
+  }, [debouncedSearch, filters.jobId, filters.createdFrom, filters.createdTo]);
+
+  const listQuery = useMemo(() => {
+    const [sort, order] = filters.sort.split(":");
+    const params = new URLSearchParams(filtersQuery);
+    params.set("sort", sort);
+    params.set("order", order);
+    filters.stages.forEach((stage) => params.append("stage", stage));
+    return params.toString();
+  }, [filtersQuery, filters.sort, filters.stages]);
+
+  const boardStages = useMemo(
+    () =>
+      filters.stages.length > 0
+        ? stageOptions.filter((s) => filters.stages.includes(s.id))
+        : stageOptions,
+    [stageOptions, filters.stages]
+  );
+
   const onCandidateCreated = () => {
-    setIsModalOpen(false); // Close the modal
-    fetchAllCandidates(); // Refresh the entire candidate list
+    setIsModalOpen(false);
+    setListVersion((version) => version + 1);
+  };
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters((prev) => ({ ...prev, [name]: value }));
+  };
+
+  // The board for one job is that job's Pipeline tab, which can be bookmarked
+  const openPipeline = (jobId) => {
+    const job = jobs?.find((j) => j.id === Number(jobId));
+    if (job) navigate(`/jobs/${job.slug}/pipeline`);
+  };
+
+  // Stage ids differ between pipelines, so a new job starts with no stages
+  const handleJobChange = (e) => {
+    const { value } = e.target;
+    if (view === 'kanban' && value) {
+      openPipeline(value);
+    } else {
+      setFilters((prev) => ({ ...prev, jobId: value, stages: [] }));
+    }
+  };
+
+  const showKanban = () => {
+    if (filters.jobId) {
+      openPipeline(filters.jobId);
+    } else {
+      setView('kanban');
+    }
+  };
+
+  const toggleStageFilter = (stageId) => {
+    setFilters((prev) => ({
+      ...prev,
+      stages: prev.stages.includes(stageId)
+        ? prev.stages.filter((s) => s !== stageId)
+        : [...prev.stages, stageId],
+    }));
   };
-  // --- END REFACTOR ---
-  
-  // Client-side filtering logic
-  const filteredCandidates = useMemo(() => {
-    const lowerSearch = debouncedSearch.toLowerCase();
-    return candidates.filter(c => {
-      const nameMatch = c.name.toLowerCase().includes(lowerSearch);
-      const emailMatch = c.email.toLowerCase().includes(lowerSearch);
-      return nameMatch || emailMatch;
-    });
-  }, [candidates, debouncedSearch]);
+
+  const hasFilters =
+    filters.search ||
+    filters.jobId ||
+    filters.stages.length > 0 ||
+    filters.createdFrom ||
+    filters.createdTo;
 
   return (
     <div className="p-8 h-full flex flex-col">
       <div className="flex justify-between items-center mb-6">
         <h1 className="text-3xl font-bold text-gray-900">Candidates</h1>
-        {/* UPDATE THE BUTTON'S onClick */}
         <Button icon={Plus} onClick={() => setIsModalOpen(true)}>
           Add Candidate
         </Button>
       </div>
       
       {/* Filters & View Toggle */}
-      <div className="mb-4 p-4 bg-white rounded-lg shadow-sm flex justify-between items-center">
-        <div className="w-1/2">
-          <Input
-            name="search"
-            placeholder="Client-side search by name/email..."
-            icon={Search}
-            value={searchTerm}
-            onChange={e => setSearchTerm(e.target.value)}
-          />
+      <div className="mb-4 p-4 bg-white rounded-lg shadow-sm space-y-4">
+        <div className="flex justify-between items-center">
+          <div className="w-1/2">
+            <Input
+              name="search"
+              placeholder="Search by name/email..."
+              icon={Search}
+              value={filters.search}
+              onChange={handleFilterChange}
+            />
+          </div>
+          <div className="flex rounded-md shadow-sm">
+            <Button 
+              onClick={() => setView('list')}
+              variant={view === 'list' ? 'primary' : 'secondary'}
+              className="rounded-r-none"
+            >
+              List
+            </Button>
+            <Button 
+              onClick={showKanban}
+              variant={view === 'kanban' ? 'primary' : 'secondary'}
+              className="rounded-l-none"
+            >
+              Kanban
+            </Button>
+          </div>
         </div>
-        <div className="flex rounded-md shadow-sm">
-           <Button 
-            onClick={() => setView('list')}
-            variant={view === 'list' ? 'primary' : 'secondary'}
-            className="rounded-r-none"
-          >
-            List
-          </Button>
-          <Button 
-            onClick={() => setView('kanban')}
-            variant={view === 'kanban' ? 'primary' : 'secondary'}
-            className="rounded-l-none"
-          >
-            Kanban
-          </Button>
+        <div className="flex flex-wrap items-end gap-4">
+          <div className="w-64">
+            <Select
+              label="Job"
+              name="jobId"
+              value={filters.jobId}
+              onChange={handleJobChange}
+            >
+              <option value="">All jobs</option>
+              {(jobs || []).map((job) => (
+                <option key={job.id} value={job.id}>
+                  {job.title}
+                </option>
+              ))}
+            </Select>
+          </div>
+          <div className="w-40">
+            <Input
+              type="date"
+              label="Applied from"
+              name="createdFrom"
+              value={filters.createdFrom}
+              max={filters.createdTo || undefined}
+              onChange={handleFilterChange}
+            />
+          </div>
+          <div className="w-40">
+            <Input
+              type="date"
+              label="Applied to"
+              name="createdTo"
+              value={filters.createdTo}
+              min={filters.createdFrom || undefined}
+              onChange={handleFilterChange}
+            />
+          </div>
+          {view === 'list' && (
+            <div className="w-44">
+              <Select
+                label="Sort by"
+                name="sort"
+                value={filters.sort}
+                onChange={handleFilterChange}
+              >
+                {CANDIDATE_SORT_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </Select>
+            </div>
+          )}
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          <span className="text-sm font-medium text-gray-700 mr-1">Stages:</span>
+          {stageOptions.map((stage) => {
+            const isSelected = filters.stages.includes(stage.id);
+            return (
+              <button
+                key={stage.id}
+                type="button"
+                onClick={() => toggleStageFilter(stage.id)}
+                aria-pressed={isSelected}
+                className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
+                  isSelected
+                    ? "bg-indigo-600 text-white"
+                    : "bg-indigo-100 text-indigo-800 hover:bg-indigo-200"
+                }`}
+              >
+                {stage.title}
+              </button>
+            );
+          })}
+          {hasFilters && (
+            <Button
+              size="sm"
+              variant="ghost"
+              onClick={() =>
+                setFilters((prev) => ({
+                  ...EMPTY_CANDIDATE_FILTERS,
+                  sort: prev.sort,
+                }))
+              }
+            >
+              Clear filters
+            </Button>
+          )}
         </div>
       </div>
       
-      {isLoading && (
+      {view === 'list' && (
+        <VirtualizedCandidateList
+          key={`${listQuery}#${listVersion}`}
+          query={listQuery}
+          navigate={navigate}
+        />
+      )}
+
+      {view === 'kanban' && !jobs && (
         <div className="flex justify-center items-center h-64">
           <Spinner />
         </div>
       )}
-      
-      {!isLoading && view === 'list' && (
-        <VirtualizedCandidateList 
-          candidates={filteredCandidates} 
-          navigate={navigate} 
-        />
-      )}
-      
-      {!isLoading && view === 'kanban' && (
+
+      {view === 'kanban' && jobs && (
         <div className="flex-grow">
-          <CandidateKanban 
-            candidates={filteredCandidates}
-            setCandidates={setCandidates}
-            navigate={navigate} 
+          <CandidateKanban
+            key={`${filtersQuery}#${boardStages.map((s) => s.id)}#${listVersion}`}
+            query={filtersQuery}
+            stages={boardStages}
+            navigate={navigate}
           />
         </div>
       )}
 
-      {/* ADD THE MODAL COMPONENT HERE */}
       <CandidateCreateModal
         isOpen={isModalOpen}
         onClose={() => setIsModalOpen(false)}
@@ -2918,24 +6480,206 @@ const CandidatesPage = ({ navigate }) => {
   );
 };
 
+// Responses are pinned to an assessment version; definitions are cached per pair
+const definitionKey = (response) =>
+  `${response.jobId}:${response.assessmentVersion}`;
+
+// Time taken overall and per section, plus any late-submission flags
+const ResponseTimingSummary = ({ assessment, response }) => {
+  const { timing, timingIssues = [] } = response;
+  const took = (record) =>
+    record?.startedAt && record.finishedAt
+      ? formatDuration(
+          Date.parse(record.finishedAt) - Date.parse(record.startedAt)
+        )
+      : "—";
+  const limitOf = (item) => {
+    const limit = getTimeLimitMs(item);
+    return limit != null ? ` / ${formatDuration(limit)}` : "";
+  };
+
+  return (
+    <div className="p-4 border-b border-gray-200 text-sm text-gray-700 space-y-2">
+      <p className="flex items-center font-medium text-gray-900">
+        <Timer className="h-4 w-4 mr-1" />
+        Time taken: {took(timing)}
+        {limitOf(assessment)}
+      </p>
+      <ul className="space-y-1">
+        {assessment.sections
+          .filter((s) => timing.sections?.[s.id])
+          .map((s) => (
+            <li key={s.id}>
+              {s.title}: {took(timing.sections[s.id])}
+              {limitOf(s)}
+              {timing.sections[s.id].timedOut && (
+                <span className="ml-2 text-xs text-gray-500">
+                  (time ran out)
+                </span>
+              )}
+            </li>
+          ))}
+      </ul>
+      {timingIssues.length > 0 && (
+        <ul className="space-y-1 text-red-700">
+          {timingIssues.map((issue) => (
+            <li key={issue} className="flex items-center">
+              <AlertCircle className="h-4 w-4 mr-1 flex-shrink-0" />
+              {issue}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+/**
+ * CandidateResponsesPanel
+ * Read-only review of every assessment response a candidate submitted,
+ * rendered against the assessment version it was answered on.
+ */
+const CandidateResponsesPanel = ({ responses }) => {
+  // "jobId:version" -> { job, assessment }
+  const [definitions, setDefinitions] = useState({});
+  const [isLoading, setIsLoading] = useState(true);
+  const [expandedId, setExpandedId] = useState(null);
+  const { addToast } = useToasts();
+
+  useEffect(() => {
+    const fetchDefinitions = async () => {
+      setIsLoading(true);
+      try {
+        // Each response is shown against the version it was answered on
+        const keys = [...new Set(responses.map(definitionKey))];
+        const entries = await Promise.all(
+          keys.map(async (key) => {
+            const [jobId, version] = key.split(":");
+            const [jobRes, assessmentRes] = await Promise.all([
+              fetch(`/jobs/${jobId}`),
+              fetch(`/assessments/${jobId}/versions/${version}`),
+            ]);
+            if (!assessmentRes.ok) throw new Error("Failed to load assessment");
+            return [
+              key,
+              {
+                job: jobRes.ok ? await jobRes.json() : null,
+                assessment: await assessmentRes.json(),
+              },
+            ];
+          })
+        );
+        setDefinitions(Object.fromEntries(entries));
+      } catch (error) {
+        addToast(error.message, "error");
+      } finally {
+        setIsLoading(false);
+      }
+    };
+    fetchDefinitions();
+  }, [responses, addToast]);
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center p-8">
+        <Spinner />
+      </div>
+    );
+  }
+
+  if (responses.length === 0) {
+    return (
+      <div className="text-center p-8 bg-white rounded-lg shadow-sm">
+        <p className="text-gray-500">No assessment responses yet.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      {responses.map((response) => {
+        const { job, assessment } = definitions[definitionKey(response)] || {};
+        const isExpanded = expandedId === response.id;
+        return (
+          <div
+            key={response.id}
+            className="bg-white rounded-lg shadow-sm border border-gray-200"
+          >
+            <button
+              type="button"
+              onClick={() => setExpandedId(isExpanded ? null : response.id)}
+              className="w-full flex items-center justify-between p-4 text-left"
+            >
+              <div>
+                <p className="font-medium text-gray-900">
+                  {assessment?.title || "Assessment"}
+                </p>
+                <p className="text-sm text-gray-500">
+                  {job?.title || `Job #${response.jobId}`} · Version{" "}
+                  {response.assessmentVersion} · Submitted{" "}
+                  {new Date(response.createdAt).toLocaleString()}
+                </p>
+              </div>
+              <div className="flex items-center space-x-2">
+                {response.late && (
+                  <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800">
+                    <Timer className="h-3 w-3 mr-1" />
+                    Late
+                  </span>
+                )}
+                <ScoreBadge score={response.score} />
+                {isExpanded ? (
+                  <ChevronDown className="h-5 w-5 text-gray-400" />
+                ) : (
+                  <ChevronRight className="h-5 w-5 text-gray-400" />
+                )}
+              </div>
+            </button>
+            {isExpanded && assessment && (
+              <div className="border-t border-gray-200 bg-gray-50">
+                {response.timing && (
+                  <ResponseTimingSummary
+                    assessment={assessment}
+                    response={response}
+                  />
+                )}
+                <AssessmentRuntime
+                  assessment={assessment}
+                  responses={response.responses || {}}
+                  setResponses={() => {}}
+                  errors={{}}
+                  readOnly
+                />
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
 /**
  * CandidateDetailPage
- * A stub page to show deep-linking works.
+ * Candidate profile (via GET /candidates/:id) with timeline and delete.
  */
 const CandidateDetailPage = ({ id, navigate }) => {
   const [candidate, setCandidate] = useState(null);
   const [timeline, setTimeline] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
+  const [isDeleting, setIsDeleting] = useState(false);
   const { addToast } = useToasts();
 
   useEffect(() => {
     const fetchCandidate = async () => {
       setIsLoading(true);
       try {
-        // This is not a real API endpoint, so we use Dexie directly
-        const cand = await db.candidates.get(parseInt(id, 10));
-        if (!cand) throw new Error("Candidate not found");
-        setCandidate(cand);
+        const candRes = await fetch(`/candidates/${id}`);
+        if (!candRes.ok) {
+          const err = await candRes.json();
+          throw new Error(err.message || "Failed to fetch candidate");
+        }
+        setCandidate(await candRes.json());
 
         // Fetch timeline
         const res = await fetch(`/candidates/${id}/timeline`);
@@ -2952,6 +6696,31 @@ const CandidateDetailPage = ({ id, navigate }) => {
     fetchCandidate();
   }, [id, navigate, addToast]);
 
+  const handleDelete = async () => {
+    if (
+      !window.confirm(
+        `Delete ${candidate.name}? Their assessment responses will be removed too.`
+      )
+    ) {
+      return;
+    }
+    setIsDeleting(true);
+    try {
+      const res = await fetch(`/candidates/${candidate.id}`, {
+        method: "DELETE",
+      });
+      if (!res.ok) {
+        const err = await res.json();
+        throw new Error(err.message || "Failed to delete candidate");
+      }
+      addToast(`${candidate.name} deleted`, "success");
+      navigate("/candidates");
+    } catch (error) {
+      addToast(error.message, "error");
+      setIsDeleting(false);
+    }
+  };
+
   if (isLoading) {
     return (
       <div className="p-8 flex justify-center">
@@ -2962,6 +6731,11 @@ const CandidateDetailPage = ({ id, navigate }) => {
 
   if (!candidate) return null;
 
+  // Stages belong to the candidate's job pipeline
+  const stage = getJobStages(candidate.job).find(
+    (s) => s.id === candidate.stage
+  );
+
   return (
     <div className="p-8">
       <a
@@ -2988,56 +6762,107 @@ const CandidateDetailPage = ({ id, navigate }) => {
               {candidate.name}
             </h1>
             <p className="text-lg text-gray-600">{candidate.email}</p>
+            <div className="mt-2 flex items-center space-x-2 text-sm text-gray-500">
+              <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
+                {stage?.title || "Unknown"}
+              </span>
+              {candidate.job && (
+                <span>
+                  Applied for{" "}
+                  <a
+                    href={`#/jobs/${candidate.job.slug}`}
+                    onClick={(e) => {
+                      e.preventDefault();
+                      navigate(`/jobs/${candidate.job.slug}`);
+                    }}
+                    className="font-medium text-indigo-600 hover:underline"
+                  >
+                    {candidate.job.title}
+                  </a>
+                </span>
+              )}
+            </div>
           </div>
+          <div className="flex-grow" />
+          {candidate.job && (
+            <Button
+              variant="secondary"
+              icon={FileText}
+              onClick={() =>
+                navigate(
+                  `/assessments/${candidate.job.id}/take/${candidate.id}`
+                )
+              }
+            >
+              Take Assessment
+            </Button>
+          )}
+          <Button
+            variant="danger"
+            icon={Trash2}
+            onClick={handleDelete}
+            loading={isDeleting}
+          >
+            Delete
+          </Button>
         </div>
       </div>
 
-      <div className="mt-8">
-        <h2 className="text-2xl font-semibold text-gray-800 mb-4">Timeline</h2>
-        <div className="flow-root">
-          <ul role="list" className="-mb-8">
-            {timeline.map((item, itemIdx) => (
-              <li key={item.id}>
-                <div className="relative pb-8">
-                  {itemIdx !== timeline.length - 1 ? (
-                    <span
-                      className="absolute top-4 left-4 -ml-px h-full w-0.5 bg-gray-200"
-                      aria-hidden="true"
-                    />
-                  ) : null}
-                  <div className="relative flex space-x-3">
-                    <div>
-                      <span className="h-8 w-8 rounded-full bg-indigo-100 flex items-center justify-center ring-8 ring-white">
-                        <FileText className="h-5 w-5 text-indigo-600" />
-                      </span>
-                    </div>
-                    <div className="min-w-0 flex-1 pt-1.5 flex justify-between space-x-4">
+      <div className="mt-8 grid grid-cols-1 lg:grid-cols-2 gap-8">
+        <div>
+          <h2 className="text-2xl font-semibold text-gray-800 mb-4">Timeline</h2>
+          <div className="flow-root">
+            <ul role="list" className="-mb-8">
+              {timeline.map((item, itemIdx) => (
+                <li key={item.id}>
+                  <div className="relative pb-8">
+                    {itemIdx !== timeline.length - 1 ? (
+                      <span
+                        className="absolute top-4 left-4 -ml-px h-full w-0.5 bg-gray-200"
+                        aria-hidden="true"
+                      />
+                    ) : null}
+                    <div className="relative flex space-x-3">
                       <div>
-                        <p className="text-sm text-gray-500">
-                          {item.event} -{" "}
-                          <span className="font-medium text-gray-900">
-                            {item.notes}
-                          </span>
-                        </p>
+                        <span className="h-8 w-8 rounded-full bg-indigo-100 flex items-center justify-center ring-8 ring-white">
+                          <FileText className="h-5 w-5 text-indigo-600" />
+                        </span>
                       </div>
-                      <div className="text-right text-sm whitespace-nowrap text-gray-500">
-                        <time dateTime={item.date}>
-                          {new Date(item.date).toLocaleString()}
-                        </time>
+                      <div className="min-w-0 flex-1 pt-1.5 flex justify-between space-x-4">
+                        <div>
+                          <p className="text-sm text-gray-500">
+                            {item.event} -{" "}
+                            <span className="font-medium text-gray-900">
+                              {item.notes}
+                            </span>
+                          </p>
+                        </div>
+                        <div className="text-right text-sm whitespace-nowrap text-gray-500">
+                          <time dateTime={item.date}>
+                            {new Date(item.date).toLocaleString()}
+                          </time>
+                        </div>
                       </div>
                     </div>
                   </div>
-                </div>
-              </li>
-            ))}
-          </ul>
+                </li>
+              ))}
+            </ul>
+          </div>
+        </div>
+
+        <div>
+          <h2 className="text-2xl font-semibold text-gray-800 mb-4">
+            Assessment Responses
+          </h2>
+          <CandidateResponsesPanel responses={candidate.assessmentResponses} />
         </div>
       </div>
     </div>
   );
 };
 
-// --- 11. LAYOUT COMPONENTS ---
+// --- 7. LAYOUT COMPONENTS ---
 
 const Header = ({ navigate }) => {
   const [hash, setHash] = useState(window.location.hash);
@@ -3094,7 +6919,7 @@ const Header = ({ navigate }) => {
   );
 };
 
-// --- 12. MAIN APP COMPONENT ---
+// --- 8. MAIN APP COMPONENT ---
 
 function App() {
   const [isInitialized, setIsInitialized] = useState(false);
@@ -3125,9 +6950,10 @@ function App() {
     return () => window.removeEventListener("hashchange", handleHashChange);
   }, []);
 
-  const navigate = (path) => {
+  // Stable, since pages list it in effect deps (JobDetailPage refetches on it)
+  const navigate = useCallback((path) => {
     window.location.hash = path;
-  };
+  }, []);
 
   // Page renderer
   const renderPage = () => {
@@ -3135,11 +6961,21 @@ function App() {
       case "jobs":
         return <JobsPage navigate={navigate} />;
       case "job-detail":
-        return <JobDetailPage slug={route.id} navigate={navigate} />;
+        return (
+          <JobDetailPage slug={route.id} tab={route.tab} navigate={navigate} />
+        );
       case "candidates":
         return <CandidatesPage navigate={navigate} />;
       case "candidate-detail":
         return <CandidateDetailPage id={route.id} navigate={navigate} />;
+      case "assessment-take":
+        return (
+          <AssessmentTakePage
+            jobId={route.jobId}
+            candidateId={route.id}
+            navigate={navigate}
+          />
+        );
       default:
         return <JobsPage navigate={navigate} />;
     }
@@ -1,5 +1,32 @@
+import Dexie from 'dexie';
 import { http, HttpResponse, delay } from 'msw';
-import { db } from '../db';
+import { db, buildVersionSnapshot } from '../db';
+import {
+  checkConditionDependencies,
+  checkFileConstraints,
+  checkSubmissionTiming,
+  cloneAssessmentContent,
+  getAllQuestions,
+  getTimedOutSectionIds,
+  hasDependencyIssues,
+  isTimedAssessment,
+  scoreResponses,
+  validateResponses,
+} from '../utils/assessmentEngine';
+import {
+  canonicalizeTags,
+  matchesTags,
+  matchJob,
+  tokenizeQuery,
+} from '../utils/jobSearch';
+import { hasRoomBetween, rankBetween } from '../utils/jobOrder';
+import {
+  getJobStages,
+  removedStages,
+  stageTitle,
+  suggestStages,
+  validateStages,
+} from '../utils/pipeline';
 
 // MSW utility to simulate latency
 const randomLatency = (min = 400, max = 1200) =>
@@ -10,12 +37,243 @@ const simulateError = (rate = 0.1) => {
   return Math.random() < rate;
 };
 
+// --- Job ranks ---
+// Job `order` is a fractional rank: a move writes only the moved job, with a
+// rank halfway between its new neighbours. When repeated moves into the same
+// gap run out of float precision, every rank is spread out again.
+
+// Ranks either side of the slot `id` is moving into. `before` is the job that
+// should end up just before it and `after` the one just after; a missing side
+// is taken from the global order, skipping the moved job itself.
+const findMoveSlot = async (id, beforeId, afterId) => {
+  const prevJob = beforeId != null ? await db.jobs.get(beforeId) : null;
+  const nextJob = afterId != null ? await db.jobs.get(afterId) : null;
+  if ((beforeId != null && !prevJob) || (afterId != null && !nextJob)) {
+    return { error: 'Neighbor job not found', status: 404 };
+  }
+
+  let prev = prevJob?.order ?? null;
+  let next = nextJob?.order ?? null;
+  if (prevJob && !nextJob) {
+    const following = await db.jobs
+      .where('order')
+      .above(prev)
+      .filter((job) => job.id !== id)
+      .first();
+    next = following?.order ?? null;
+  } else if (nextJob && !prevJob) {
+    const preceding = await db.jobs
+      .where('order')
+      .below(next)
+      .filter((job) => job.id !== id)
+      .last();
+    prev = preceding?.order ?? null;
+  } else if (prev >= next) {
+    return { error: 'Neighbor jobs are not in order', status: 409 };
+  }
+  return { prev, next };
+};
+
+// Spreads every job back out to whole-number ranks, keeping the current order
+const rebalanceJobOrder = async () => {
+  const jobs = await db.jobs.orderBy('order').toArray();
+  await db.jobs.bulkUpdate(
+    jobs.map((job, index) => ({ key: job.id, changes: { order: index + 1 } }))
+  );
+};
+
+// --- Candidate paging ---
+// GET /candidates is keyset paged. The cursor carries the sort key and id of
+// the last row served; Dexie walks an index in (key, id) order, so the next
+// page resumes right after that pair even while candidates are added or move
+// between stages.
+// `id` is board order: a Kanban column reads one stage in id order.
+const CANDIDATE_SORTS = ['createdAt', 'name', 'id'];
+const MAX_CANDIDATE_PAGE_SIZE = 1000;
+
+const encodeCursor = (cursor) =>
+  btoa(encodeURIComponent(JSON.stringify(cursor)));
+
+const decodeCursor = (value) => {
+  try {
+    const cursor = JSON.parse(decodeURIComponent(atob(value)));
+    return cursor && Number.isInteger(cursor.id) && 'key' in cursor
+      ? cursor
+      : null;
+  } catch {
+    return null;
+  }
+};
+
+// `value` as an ISO timestamp (what `createdAt` is stored as), or null
+const toTimestamp = (value) => {
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : new Date(time).toISOString();
+};
+
+/**
+ * Where a page is read from, and which filters that source already applies.
+ * A board column (one stage, id order) walks [jobId+stage+id], or
+ * [stage+id] across all jobs, starting right after the cursor's id.
+ * Anything else walks the sort field's index, narrowed to the created-date
+ * window and to start at the cursor's key. Ids are unique, so an id cursor is
+ * a strict bound; other keys can tie, and the tied rows are sorted out by id
+ * in queryCandidates.
+ */
+const candidateSource = (query, cursor) => {
+  const { sort, order, stages, jobId, createdAfter, createdBefore } = query;
+  const desc = order === 'desc';
+  if (sort === 'id' && stages.length === 1) {
+    const prefix = jobId != null ? [jobId, stages[0]] : [stages[0]];
+    let lower = [...prefix, Dexie.minKey];
+    let upper = [...prefix, Dexie.maxKey];
+    if (cursor && desc) upper = [...prefix, cursor.id];
+    else if (cursor) lower = [...prefix, cursor.id];
+    return {
+      collection: db.candidates
+        .where(jobId != null ? '[jobId+stage+id]' : '[stage+id]')
+        .between(lower, upper, !cursor || desc, !cursor || !desc),
+      covers: { stage: true, jobId: jobId != null, cursor: true },
+    };
+  }
+
+  const byId = sort === 'id';
+  const index = db.candidates.where(byId ? ':id' : sort);
+  const byDate = sort === 'createdAt';
+  let lower = byDate ? createdAfter : null;
+  let upper = byDate ? createdBefore : null;
+  let includeLower = true;
+  let includeUpper = false;
+  if (cursor && !desc) {
+    lower = cursor.key;
+    includeLower = !byId;
+  }
+  if (cursor && desc) {
+    upper = cursor.key;
+    includeUpper = !byId;
+  }
+
+  let collection;
+  if (lower != null && upper != null) {
+    collection = index.between(lower, upper, includeLower, includeUpper);
+  } else if (lower != null) {
+    collection = includeLower ? index.aboveOrEqual(lower) : index.above(lower);
+  } else if (upper != null) {
+    collection = includeUpper ? index.belowOrEqual(upper) : index.below(upper);
+  } else {
+    collection = db.candidates.orderBy(byId ? ':id' : sort);
+  }
+  return { collection, covers: { createdAt: byDate && !cursor, cursor: byId } };
+};
+
+const queryCandidates = (query, cursor = null) => {
+  const { sort, order, stages, jobId, search, createdAfter, createdBefore } =
+    query;
+  const { collection, covers } = candidateSource(query, cursor);
+  const lowerSearch = search.toLowerCase();
+  // The source starts at the cursor's key; of the rows tied with it, only
+  // those past the cursor's id in the walk direction are new
+  const isPastCursor = (c) =>
+    c[sort] !== cursor.key || (order === 'asc' ? c.id > cursor.id : c.id < cursor.id);
+
+  // Only what the source doesn't cover, so an unfiltered column is counted
+  // straight off the index
+  const checks = [
+    cursor && !covers.cursor && isPastCursor,
+    stages.length > 0 && !covers.stage && ((c) => stages.includes(c.stage)),
+    jobId != null && !covers.jobId && ((c) => c.jobId === jobId),
+    createdAfter && !covers.createdAt && ((c) => c.createdAt >= createdAfter),
+    createdBefore && !covers.createdAt && ((c) => c.createdAt < createdBefore),
+    lowerSearch &&
+      ((c) =>
+        c.name.toLowerCase().includes(lowerSearch) ||
+        c.email.toLowerCase().includes(lowerSearch)),
+  ].filter(Boolean);
+
+  const filtered =
+    checks.length > 0
+      ? collection.filter((c) => checks.every((check) => check(c)))
+      : collection;
+  return order === 'desc' ? filtered.reverse() : filtered;
+};
+
+// Every distinct tag in use, read off the multiEntry index
+const getKnownTags = () => db.jobs.orderBy('tags').uniqueKeys();
+
+const slugTakenResponse = () =>
+  new HttpResponse(
+    JSON.stringify({
+      message: 'A job with this slug already exists',
+      errors: { slug: 'Slug is already in use' },
+    }),
+    { status: 409 }
+  );
+
+const invalidStagesResponse = (issues) =>
+  new HttpResponse(
+    JSON.stringify({ message: issues.join('. '), issues }),
+    { status: 400 }
+  );
+
+// Appends an entry to a candidate's persisted timeline
+const recordTimelineEvent = (candidateId, event, notes, extra = {}) =>
+  db.timelineEvents.add({
+    candidateId,
+    event,
+    notes,
+    ...extra,
+    date: new Date().toISOString(),
+  });
+
+const getVersion = (jobId, version) =>
+  db.assessmentVersions.where('[jobId+version]').equals([jobId, version]).first();
+
+const getLatestVersion = async (jobId) =>
+  (await db.assessmentVersions.where('jobId').equals(jobId).sortBy('version')).pop();
+
+// Metadata stored in a response for an uploaded file (never the Blob itself)
+const toFileAnswer = (file) => ({
+  fileId: file.id,
+  name: file.name,
+  type: file.type,
+  size: file.size,
+  hash: file.hash,
+});
+
+const sha256 = async (blob) => {
+  const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+  return Array.from(new Uint8Array(digest))
+    .map((b) => b.toString(16).padStart(2, '0'))
+    .join('');
+};
+
+// Attachment header that keeps the original file name: `filename*` carries it
+// percent-encoded as UTF-8, and the plain `filename` is an ASCII fallback for
+// clients that don't read `filename*`
+const contentDisposition = (name) => {
+  const fallback = name.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  // encodeURIComponent leaves ' ( ) * alone, which filename* doesn't allow
+  const encoded = encodeURIComponent(name).replace(
+    /['()*]/g,
+    (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+};
+
 export const handlers = [
   // --- JOBS ---
+  // `search` matches every token against title, description, tags and slug;
+  // `tags` (repeatable or comma separated) filters with `tagMode` any/all.
+  // Matched ranges come back in `highlights`, keyed by job id.
   http.get('/jobs', async ({ request }) => {
     await randomLatency();
     const url = new URL(request.url);
-    const search = url.searchParams.get('search') || '';
+    const tokens = tokenizeQuery(url.searchParams.get('search'));
+    const tags = url.searchParams
+      .getAll('tags')
+      .flatMap((value) => value.split(','))
+      .filter((tag) => tag.trim());
+    const tagMode = url.searchParams.get('tagMode') === 'all' ? 'all' : 'any';
     const status = url.searchParams.get('status') || 'all';
     const page = parseInt(url.searchParams.get('page') || '1', 10);
     const pageSize = parseInt(
@@ -26,29 +284,48 @@ export const handlers = [
 
     let collection;
 
-    if (status !== 'all') {
+    if (tags.length > 0) {
+      // The tags index narrows to jobs with any of the tags; status and
+      // 'all' mode are then checked per job
+      const wanted = canonicalizeTags(tags, await getKnownTags());
+      collection = db.jobs.where('tags').anyOf(wanted).distinct();
+      if (status !== 'all') {
+        collection = collection.filter((job) => job.status === status);
+      }
+      if (tagMode === 'all') {
+        collection = collection.filter((job) =>
+          matchesTags(job, wanted, 'all')
+        );
+      }
+    } else if (status !== 'all') {
       collection = db.jobs.where('status').equals(status);
     } else {
       collection = db.jobs.toCollection();
     }
 
-    if (search) {
-      const lowerSearch = search.toLowerCase();
-      collection = collection.filter(job => 
-        job.title.toLowerCase().startsWith(lowerSearch) ||
-        job.slug.toLowerCase().startsWith(lowerSearch)
-      );
+    const highlights = {};
+    if (tokens.length > 0) {
+      collection = collection.filter((job) => {
+        const hits = matchJob(job, tokens);
+        if (hits) highlights[job.id] = hits;
+        return hits !== null;
+      });
     }
 
-    const total = await collection.count();
-    const jobs = await collection
-      .sortBy(sort)
-      .then((res) =>
-        res.slice((page - 1) * pageSize, page * pageSize)
-      );
+    // Read the rows once: a distinct() collection remembers the keys it has
+    // seen, so a second pass over it (count, then sortBy) would come back empty
+    const rows = await collection.toArray();
+    rows.sort((a, b) => (a[sort] < b[sort] ? -1 : a[sort] > b[sort] ? 1 : 0));
+    const total = rows.length;
+    const jobs = rows.slice((page - 1) * pageSize, page * pageSize);
 
     return HttpResponse.json({
       jobs,
+      highlights: Object.fromEntries(
+        jobs
+          .filter((job) => highlights[job.id])
+          .map((job) => [job.id, highlights[job.id]])
+      ),
       pagination: {
         page,
         pageSize,
@@ -58,47 +335,69 @@ export const handlers = [
     });
   }),
 
-  http.post('/jobs', async ({ request }) => {
+  // Resolves a single job by numeric id or by its unique slug
+  http.get('/jobs/:idOrSlug', async ({ params }) => {
     await randomLatency();
-    if (simulateError(0.1)) {
+    const { idOrSlug } = params;
+
+    let job;
+    if (/^\d+$/.test(idOrSlug)) {
+      job = await db.jobs.get(parseInt(idOrSlug, 10));
+    }
+    // Fall back to the slug index (a slug may itself be all digits)
+    if (!job) {
+      job = await db.jobs.where('slug').equals(idOrSlug).first();
+    }
+
+    if (!job) {
       return new HttpResponse(
-        JSON.stringify({ message: 'Server failed to create job' }),
-        { status: 500 }
+        JSON.stringify({ message: 'Job not found' }),
+        { status: 404 }
       );
     }
 
-    const newJob = await request.json();
-    const lastJob = await db.jobs.orderBy('order').last();
-    const newOrder = (lastJob?.order || 0) + 1;
-
-    const jobWithDefaults = {
-      ...newJob,
-      status: 'active',
-      createdAt: new Date().toISOString(),
-      order: newOrder,
-    };
-    const id = await db.jobs.add(jobWithDefaults);
-
-    return HttpResponse.json({ ...jobWithDefaults, id }, { status: 201 });
+    return HttpResponse.json(job);
   }),
 
-  http.patch('/jobs/:id', async ({ request, params }) => {
+  http.post('/jobs', async ({ request }) => {
     await randomLatency();
     if (simulateError(0.1)) {
       return new HttpResponse(
-        JSON.stringify({ message: 'Failed to save changes' }),
+        JSON.stringify({ message: 'Server failed to create job' }),
         { status: 500 }
       );
     }
 
-    const id = parseInt(params.id, 10);
-    const updates = await request.json();
-    await db.jobs.update(id, updates);
+    const newJob = await request.json();
+    // Slug check and insert share a transaction, so two racing creates can't
+    // both pass the check and trip the &slug index on add
+    const result = await db.transaction('rw', db.jobs, async () => {
+      const slugOwner = await db.jobs.where('slug').equals(newJob.slug).first();
+      if (slugOwner) return { slugTaken: true };
 
-    return HttpResponse.json({ id, ...updates });
+      const lastJob = await db.jobs.orderBy('order').last();
+      const newOrder = (lastJob?.order || 0) + 1;
+
+      const jobWithDefaults = {
+        ...newJob,
+        tags: canonicalizeTags(newJob.tags, await getKnownTags()),
+        // Stages are edited through PUT /jobs/:id/stages once the job exists
+        stages: suggestStages(newJob.title),
+        status: 'active',
+        createdAt: new Date().toISOString(),
+        order: newOrder,
+      };
+      const id = await db.jobs.add(jobWithDefaults);
+      return { job: { ...jobWithDefaults, id } };
+    });
+
+    if (result.slugTaken) return slugTakenResponse();
+    return HttpResponse.json(result.job, { status: 201 });
   }),
 
-  // Reorder handler: validate payload and update per-record inside a transaction
+  // Bulk reorder: sets `order` on every { id, order } in one transaction.
+  // Registered before '/jobs/:id' so 'reorder' is not captured as a job id.
+  // Single moves should use PATCH /jobs/:id/move, which writes one job.
   http.patch('/jobs/reorder', async ({ request }) => {
     await randomLatency();
     if (simulateError(0.15)) {
@@ -129,11 +428,9 @@ export const handlers = [
     }
 
     // Sanitize and convert values
-    const updates = orderedJobs.map(job => ({
-    key: job.id,
-    changes: { order: job.order }
-  }));
-  await db.jobs.bulkUpdate(updates);
+    const updates = orderedJobs
+      .map((job) => ({ id: Number(job?.id), order: Number(job?.order) }))
+      .filter((u) => Number.isInteger(u.id) && Number.isFinite(u.order));
 
     if (updates.length === 0) {
       return new HttpResponse(
@@ -145,8 +442,8 @@ export const handlers = [
     try {
       // Update only the 'order' field inside a transaction to avoid key-range errors
       await db.transaction('rw', db.jobs, async () => {
-        await Promise.all(
-          updates.map((u) => db.jobs.update(u.id, { order: u.order }))
+        await db.jobs.bulkUpdate(
+          updates.map((u) => ({ key: u.id, changes: { order: u.order } }))
         );
       });
 
@@ -161,48 +458,370 @@ export const handlers = [
     }
   }),
 
+  // Moves one job between two neighbours ({ before, after } job ids; either
+  // may be omitted at the ends of a page). Only the moved job is written,
+  // except in the rare case the ranks have to be spread out again.
+  http.patch('/jobs/:id/move', async ({ request, params }) => {
+    await randomLatency();
+    if (simulateError(0.1)) {
+      return new HttpResponse(
+        JSON.stringify({ message: 'Failed to move job' }),
+        { status: 500 }
+      );
+    }
+
+    let payload;
+    try {
+      payload = await request.json();
+    } catch {
+      return new HttpResponse(
+        JSON.stringify({ message: 'Invalid request body' }),
+        { status: 400 }
+      );
+    }
+
+    const id = parseInt(params.id, 10);
+    const { before, after } = payload || {};
+    const beforeId = before != null ? parseInt(before, 10) : null;
+    const afterId = after != null ? parseInt(after, 10) : null;
+    if (beforeId == null && afterId == null) {
+      return new HttpResponse(
+        JSON.stringify({ message: 'A before or after neighbor is required' }),
+        { status: 400 }
+      );
+    }
+    if (beforeId === id || afterId === id) {
+      return new HttpResponse(
+        JSON.stringify({ message: 'A job cannot be its own neighbor' }),
+        { status: 400 }
+      );
+    }
+
+    const result = await db.transaction('rw', db.jobs, async () => {
+      const job = await db.jobs.get(id);
+      if (!job) return { error: 'Job not found', status: 404 };
+
+      let slot = await findMoveSlot(id, beforeId, afterId);
+      if (slot.error) return slot;
+      let order = rankBetween(slot);
+      if (!hasRoomBetween(slot, order)) {
+        await rebalanceJobOrder();
+        slot = await findMoveSlot(id, beforeId, afterId);
+        order = rankBetween(slot);
+      }
+
+      await db.jobs.update(id, { order });
+      return { job: { ...job, order } };
+    });
+
+    if (result.error) {
+      return new HttpResponse(JSON.stringify({ message: result.error }), {
+        status: result.status,
+      });
+    }
+    return HttpResponse.json(result.job);
+  }),
+
+  http.patch('/jobs/:id', async ({ request, params }) => {
+    await randomLatency();
+    if (simulateError(0.1)) {
+      return new HttpResponse(
+        JSON.stringify({ message: 'Failed to save changes' }),
+        { status: 500 }
+      );
+    }
+
+    const id = parseInt(params.id, 10);
+    const updates = await request.json();
+    // Changing stages may have to move candidates; that is PUT /jobs/:id/stages
+    if ('stages' in updates) {
+      return new HttpResponse(
+        JSON.stringify({ message: 'Use PUT /jobs/:id/stages to change stages' }),
+        { status: 400 }
+      );
+    }
+
+    const result = await db.transaction('rw', db.jobs, async () => {
+      const existing = await db.jobs.get(id);
+      if (!existing) return { error: 'Job not found', status: 404 };
+
+      // Slugs back the job URLs, so keep them unique via the &slug index.
+      // Checked in the same transaction as the write so a racing rename
+      // can't slip in between.
+      if (updates.slug && updates.slug !== existing.slug) {
+        const slugOwner = await db.jobs
+          .where('slug')
+          .equals(updates.slug)
+          .first();
+        if (slugOwner) return { slugTaken: true };
+      }
+
+      if (updates.tags) {
+        updates.tags = canonicalizeTags(updates.tags, await getKnownTags());
+      }
+
+      await db.jobs.update(id, updates);
+      return { job: { ...existing, ...updates, id } };
+    });
+
+    if (result.slugTaken) return slugTakenResponse();
+    if (result.error) {
+      return new HttpResponse(JSON.stringify({ message: result.error }), {
+        status: result.status,
+      });
+    }
+    return HttpResponse.json(result.job);
+  }),
+
+  // --- PIPELINES ---
+  // A job's stages, each with how many of the job's candidates are in it
+  http.get('/jobs/:id/stages', async ({ params }) => {
+    await randomLatency();
+    const id = parseInt(params.id, 10);
+    const job = await db.jobs.get(id);
+    if (!job) {
+      return new HttpResponse(
+        JSON.stringify({ message: 'Job not found' }),
+        { status: 404 }
+      );
+    }
+
+    const stages = await Promise.all(
+      getJobStages(job).map(async (stage) => ({
+        ...stage,
+        count: await db.candidates
+          .where('[jobId+stage]')
+          .equals([id, stage.id])
+          .count(),
+      }))
+    );
+    return HttpResponse.json(stages);
+  }),
+
+  // Replaces a job's stages ({ stages, moves }). Candidates in a removed
+  // stage are moved to `moves[removedStageId]`, which must be a stage that
+  // stays; a removal that would strand candidates is refused with 409.
+  http.put('/jobs/:id/stages', async ({ request, params }) => {
+    await randomLatency();
+    if (simulateError(0.1)) {
+      return new HttpResponse(
+        JSON.stringify({ message: 'Failed to save stages' }),
+        { status: 500 }
+      );
+    }
+
+    const id = parseInt(params.id, 10);
+    const { stages, moves = {} } = await request.json();
+    const issues = validateStages(stages);
+    if (issues.length > 0) return invalidStagesResponse(issues);
+    const newStages = stages.map((s) => ({ id: s.id, title: s.title.trim() }));
+    const keptIds = new Set(newStages.map((s) => s.id));
+
+    const result = await db.transaction(
+      'rw',
+      db.jobs,
+      db.candidates,
+      db.timelineEvents,
+      async () => {
+        const job = await db.jobs.get(id);
+        if (!job) return { error: 'Job not found', status: 404 };
+
+        // Check every removal before writing anything
+        const migrations = [];
+        for (const removed of removedStages(getJobStages(job), newStages)) {
+          const inStage = db.candidates
+            .where('[jobId+stage]')
+            .equals([id, removed.id]);
+          const candidateIds = await inStage.primaryKeys();
+          if (candidateIds.length === 0) continue;
+          if (!keptIds.has(moves[removed.id])) {
+            return {
+              error: `Choose a stage for the candidates in ${removed.title}`,
+              status: 409,
+            };
+          }
+          migrations.push({ removed, inStage, candidateIds });
+        }
+
+        const date = new Date().toISOString();
+        for (const { removed, inStage, candidateIds } of migrations) {
+          const target = moves[removed.id];
+          await inStage.modify({ stage: target });
+          await db.timelineEvents.bulkAdd(
+            candidateIds.map((candidateId) => ({
+              candidateId,
+              event: 'Stage Change',
+              notes: `Moved from ${removed.title} to ${stageTitle(newStages, target)} (stage removed from the pipeline).`,
+              fromStage: removed.id,
+              toStage: target,
+              date,
+            }))
+          );
+        }
+        await db.jobs.update(id, { stages: newStages });
+        return { job: { ...job, stages: newStages } };
+      }
+    );
+
+    if (result.error) {
+      return new HttpResponse(JSON.stringify({ message: result.error }), {
+        status: result.status,
+      });
+    }
+    return HttpResponse.json(result.job);
+  }),
+
+  http.get('/pipeline-templates', async () => {
+    await randomLatency();
+    const templates = await db.pipelineTemplates.orderBy('name').toArray();
+    return HttpResponse.json(templates);
+  }),
+
+  http.post('/pipeline-templates', async ({ request }) => {
+    await randomLatency();
+    if (simulateError(0.1)) {
+      return new HttpResponse(
+        JSON.stringify({ message: 'Failed to save template' }),
+        { status: 500 }
+      );
+    }
+
+    const { name, stages } = await request.json();
+    if (!name?.trim()) {
+      return new HttpResponse(
+        JSON.stringify({
+          message: 'Template name is required',
+          errors: { name: 'Name is required' },
+        }),
+        { status: 400 }
+      );
+    }
+    const issues = validateStages(stages);
+    if (issues.length > 0) return invalidStagesResponse(issues);
+
+    const template = {
+      name: name.trim(),
+      stages: stages.map((s) => ({ id: s.id, title: s.title.trim() })),
+      createdAt: new Date().toISOString(),
+    };
+    const id = await db.pipelineTemplates.add(template);
+
+    return HttpResponse.json({ ...template, id }, { status: 201 });
+  }),
+
+  // --- TAGS ---
+  // Every tag in use with the number of jobs carrying it, most used first
+  http.get('/tags', async () => {
+    await randomLatency();
+    const counts = new Map();
+    for (const tag of await db.jobs.orderBy('tags').keys()) {
+      counts.set(tag, (counts.get(tag) || 0) + 1);
+    }
+    const tags = [...counts]
+      .map(([name, count]) => ({ name, count }))
+      .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+    return HttpResponse.json(tags);
+  }),
+
   // --- CANDIDATES ---
+  // Filters: `search` (name/email), `stage` (repeatable or comma separated),
+  // `jobId` and `createdAfter` (inclusive) / `createdBefore` (exclusive).
+  // `sort` is createdAt or name, `order` asc/desc. Pages are read with the
+  // `nextCursor` of the previous response; `total` counts every match.
   http.get('/candidates', async ({ request }) => {
     await randomLatency(600, 1500);
-    const url = new URL(request.url);
-    const search = url.searchParams.get('search') || '';
-    const stage = url.searchParams.get('stage') || 'all';
-    const page = parseInt(url.searchParams.get('page') || '1', 10);
-    const pageSize = parseInt(
-      url.searchParams.get('pageSize') || '1000',
-      10
+    const params = new URL(request.url).searchParams;
+    const sort = CANDIDATE_SORTS.includes(params.get('sort'))
+      ? params.get('sort')
+      : 'createdAt';
+    const defaultOrder = sort === 'createdAt' ? 'desc' : 'asc';
+    const pageSize = Math.min(
+      Math.max(parseInt(params.get('pageSize') || '50', 10) || 50, 1),
+      MAX_CANDIDATE_PAGE_SIZE
     );
+    const jobId = params.get('jobId') ? Number(params.get('jobId')) : null;
 
-    let collection;
-
-    if (stage !== 'all') {
-      collection = db.candidates.where('stage').equals(stage);
-    } else {
-      collection = db.candidates.toCollection();
-    }
+    const query = {
+      sort,
+      order: ['asc', 'desc'].includes(params.get('order'))
+        ? params.get('order')
+        : defaultOrder,
+      stages: params
+        .getAll('stage')
+        .flatMap((value) => value.split(','))
+        .filter((stage) => stage && stage !== 'all'),
+      jobId,
+      search: params.get('search') || '',
+      createdAfter: params.get('createdAfter')
+        ? toTimestamp(params.get('createdAfter'))
+        : null,
+      createdBefore: params.get('createdBefore')
+        ? toTimestamp(params.get('createdBefore'))
+        : null,
+    };
 
-    if (search) {
-      const lowerSearch = search.toLowerCase();
-      collection = collection.filter(c => 
-        c.name.toLowerCase().startsWith(lowerSearch) ||
-        c.email.toLowerCase().startsWith(lowerSearch)
+    if (
+      (params.get('createdAfter') && !query.createdAfter) ||
+      (params.get('createdBefore') && !query.createdBefore)
+    ) {
+      return new HttpResponse(
+        JSON.stringify({ message: 'Invalid createdAfter/createdBefore date' }),
+        { status: 400 }
       );
     }
+    if (jobId != null && !Number.isInteger(jobId)) {
+      return new HttpResponse(JSON.stringify({ message: 'Invalid jobId' }), {
+        status: 400,
+      });
+    }
+    const cursor = params.get('cursor')
+      ? decodeCursor(params.get('cursor'))
+      : null;
+    if (
+      params.get('cursor') &&
+      (!cursor || cursor.sort !== sort || cursor.order !== query.order)
+    ) {
+      return new HttpResponse(JSON.stringify({ message: 'Invalid cursor' }), {
+        status: 400,
+      });
+    }
 
-    const total = await collection.count();
-    const candidates = await collection
-      .offset((page - 1) * pageSize)
-      .limit(pageSize)
-      .toArray();
+    // One extra row tells whether there is a next page
+    const [total, rows] = await Promise.all([
+      queryCandidates(query).count(),
+      queryCandidates(query, cursor)
+        .limit(pageSize + 1)
+        .toArray(),
+    ]);
+    const candidates = rows.slice(0, pageSize);
+    const last = candidates[candidates.length - 1];
+    const nextCursor =
+      rows.length > pageSize
+        ? encodeCursor({ sort, order: query.order, key: last[sort], id: last.id })
+        : null;
+
+    // Attach each candidate's latest graded assessment score for list/kanban
+    const responses = await db.assessmentResponses
+      .where('candidateId')
+      .anyOf(candidates.map((c) => c.id))
+      .sortBy('createdAt');
+    const scores = new Map();
+    for (const r of responses) {
+      if (r.score) scores.set(r.candidateId, r.score);
+    }
+    // Stage names come from each candidate's job pipeline
+    const jobs = await db.jobs.bulkGet([
+      ...new Set(candidates.map((c) => c.jobId).filter((id) => id != null)),
+    ]);
+    const jobsById = new Map(jobs.filter(Boolean).map((job) => [job.id, job]));
+    for (const c of candidates) {
+      c.assessmentScore = scores.get(c.id) || null;
+      c.stageTitle = stageTitle(getJobStages(jobsById.get(c.jobId)), c.stage);
+    }
 
     return HttpResponse.json({
       candidates,
-      pagination: {
-        page,
-        pageSize,
-        total,
-        totalPages: Math.ceil(total / pageSize),
-      },
+      pagination: { pageSize, total, nextCursor },
     });
   }),
 
@@ -216,13 +835,22 @@ export const handlers = [
     }
 
     const newCandidate = await request.json();
+    // New candidates enter their job's pipeline at its first stage
+    const job =
+      newCandidate.jobId != null ? await db.jobs.get(newCandidate.jobId) : null;
     const candidateWithDefaults = {
       ...newCandidate,
-      stage: 'applied',
+      stage: getJobStages(job)[0].id,
       createdAt: new Date().toISOString(),
       avatarUrl: `https://api.dicebear.com/8.x/avataaars/svg?seed=${newCandidate.name}`,
     };
-    const id = await db.candidates.add(candidateWithDefaults);
+    const id = await db.transaction('rw', db.candidates, db.timelineEvents, async () => {
+      const newId = await db.candidates.add(candidateWithDefaults);
+      await recordTimelineEvent(newId, 'Applied', 'Candidate profile created.', {
+        toStage: candidateWithDefaults.stage,
+      });
+      return newId;
+    });
 
     return HttpResponse.json({ ...candidateWithDefaults, id }, { status: 201 });
   }),
@@ -238,22 +866,139 @@ export const handlers = [
 
     const id = parseInt(params.id, 10);
     const updates = await request.json();
-    await db.candidates.update(id, updates);
+    const error = await db.transaction(
+      'rw',
+      db.jobs,
+      db.candidates,
+      db.timelineEvents,
+      async () => {
+        const existing = await db.candidates.get(id);
+        // Stages only exist within the candidate's job pipeline
+        const job =
+          existing?.jobId != null ? await db.jobs.get(existing.jobId) : null;
+        const stages = getJobStages(job);
+        if (updates.stage && !stages.some((s) => s.id === updates.stage)) {
+          return `"${updates.stage}" is not a stage of this job's pipeline`;
+        }
+
+        await db.candidates.update(id, updates);
+        if (existing && updates.stage && updates.stage !== existing.stage) {
+          await recordTimelineEvent(
+            id,
+            'Stage Change',
+            `Moved from ${stageTitle(stages, existing.stage)} to ${stageTitle(stages, updates.stage)}.`,
+            { fromStage: existing.stage, toStage: updates.stage }
+          );
+        }
+        return null;
+      }
+    );
+    if (error) {
+      return new HttpResponse(JSON.stringify({ message: error }), {
+        status: 400,
+      });
+    }
 
     return HttpResponse.json({ id, ...updates });
   }),
 
-  http.get('/candidates/:id/timeline', async () => {
+  // Full candidate profile: the record joined with its job and responses
+  http.get('/candidates/:id', async ({ params }) => {
     await randomLatency();
-    return HttpResponse.json([
-      { id: 1, event: 'Applied', date: '2025-10-20T10:00:00Z', notes: 'Applied via company portal.' },
-      { id: 2, event: 'AI Screen', date: '2025-10-20T10:01:00Z', notes: 'Resume matched 88% for "React" and "Node.js".' },
-      { id: 3, event: 'Stage Change', date: '2025-10-21T09:15:00Z', notes: 'Moved to Screen by HR (Jane Doe).' },
-      { id: 4, event: 'Assessment Sent', date: '2025-10-21T09:16:00Z', notes: 'React Fundamentals assessment sent.' },
+    const id = parseInt(params.id, 10);
+    const candidate = await db.candidates.get(id);
+
+    if (!candidate) {
+      return new HttpResponse(
+        JSON.stringify({ message: 'Candidate not found' }),
+        { status: 404 }
+      );
+    }
+
+    const [job, assessmentResponses] = await Promise.all([
+      candidate.jobId != null ? db.jobs.get(candidate.jobId) : undefined,
+      db.assessmentResponses.where('candidateId').equals(id).toArray(),
     ]);
+
+    return HttpResponse.json({
+      ...candidate,
+      job: job
+        ? {
+            id: job.id,
+            title: job.title,
+            slug: job.slug,
+            stages: getJobStages(job),
+          }
+        : null,
+      assessmentResponses,
+    });
+  }),
+
+  http.delete('/candidates/:id', async ({ params }) => {
+    await randomLatency();
+    if (simulateError(0.1)) {
+      return new HttpResponse(
+        JSON.stringify({ message: 'Failed to delete candidate' }),
+        { status: 500 }
+      );
+    }
+
+    const id = parseInt(params.id, 10);
+    const candidate = await db.candidates.get(id);
+    if (!candidate) {
+      return new HttpResponse(
+        JSON.stringify({ message: 'Candidate not found' }),
+        { status: 404 }
+      );
+    }
+
+    // Remove the candidate and everything that references it atomically
+    await db.transaction(
+      'rw',
+      [db.candidates, db.assessmentResponses, db.timelineEvents, db.files],
+      async () => {
+        await db.assessmentResponses.where('candidateId').equals(id).delete();
+        await db.timelineEvents.where('candidateId').equals(id).delete();
+        await db.files.where('candidateId').equals(id).delete();
+        await db.candidates.delete(id);
+      }
+    );
+
+    return new HttpResponse(null, { status: 204 });
+  }),
+
+  http.get('/candidates/:id/timeline', async ({ params }) => {
+    await randomLatency();
+    const id = parseInt(params.id, 10);
+    // Newest first
+    const events = await db.timelineEvents
+      .where('candidateId')
+      .equals(id)
+      .reverse()
+      .sortBy('date');
+
+    return HttpResponse.json(events);
   }),
 
   // --- ASSESSMENTS ---
+  // Jobs that already have an assessment, as sources for cloning
+  http.get('/assessments', async () => {
+    await randomLatency();
+    const assessments = await db.assessments.toArray();
+    const jobs = await db.jobs.bulkGet(assessments.map((a) => a.jobId));
+    return HttpResponse.json(
+      assessments.map((a, i) => ({
+        jobId: a.jobId,
+        jobTitle: jobs[i]?.title || `Job #${a.jobId}`,
+        title: a.title,
+        timeLimitMinutes: a.timeLimitMinutes,
+        sections: a.sections,
+      }))
+    );
+  }),
+
+  // Working copy used by the builder. Candidates take the latest published
+  // snapshot instead (see /published below).
   http.get('/assessments/:jobId', async ({ params }) => {
     await randomLatency();
     const jobId = parseInt(params.jobId, 10);
@@ -265,6 +1010,9 @@ export const handlers = [
       return HttpResponse.json({
         jobId: jobId,
         title: 'New Assessment',
+        status: 'draft',
+        publishedVersion: null,
+        isNew: true, // placeholder, nothing saved for this job yet
         sections: [
           { id: 's1', title: 'Default Section', description: 'This is a default section.', questions: [] },
         ],
@@ -272,6 +1020,7 @@ export const handlers = [
     }
   }),
 
+  // Saves the working draft. Published versions are never touched here.
   http.put('/assessments/:jobId', async ({ request, params }) => {
     await randomLatency();
     if (simulateError(0.1)) {
@@ -282,13 +1031,188 @@ export const handlers = [
     }
 
     const jobId = parseInt(params.jobId, 10);
-    const assessmentData = await request.json();
-    await db.assessments.put({ ...assessmentData, jobId });
+    const { title, timeLimitMinutes, sections } = await request.json();
+    const existing = await db.assessments.get(jobId);
+    const draft = {
+      jobId,
+      title,
+      timeLimitMinutes,
+      sections,
+      status: 'draft',
+      publishedVersion: existing?.publishedVersion ?? null,
+    };
+    await db.assessments.put(draft);
 
-    return HttpResponse.json(assessmentData);
+    return HttpResponse.json(draft);
   }),
 
+  // Starts a job's draft from a template ({ templateId }) or from another
+  // job's assessment ({ sourceJobId }). Ids are regenerated so the copy
+  // shares nothing with its source.
+  http.post('/assessments/:jobId/clone', async ({ request, params }) => {
+    await randomLatency();
+    if (simulateError(0.1)) {
+      return new HttpResponse(
+        JSON.stringify({ message: 'Failed to create assessment' }),
+        { status: 500 }
+      );
+    }
+
+    const jobId = parseInt(params.jobId, 10);
+    const { templateId, sourceJobId } = await request.json();
+    if (await db.assessments.get(jobId)) {
+      return new HttpResponse(
+        JSON.stringify({ message: 'This job already has an assessment' }),
+        { status: 409 }
+      );
+    }
+
+    const source =
+      templateId != null
+        ? await db.assessmentTemplates.get(parseInt(templateId, 10))
+        : sourceJobId != null
+        ? await db.assessments.get(parseInt(sourceJobId, 10))
+        : null;
+    if (!source) {
+      return new HttpResponse(
+        JSON.stringify({ message: 'Template or source assessment not found' }),
+        { status: 404 }
+      );
+    }
+
+    const draft = {
+      ...cloneAssessmentContent(source),
+      jobId,
+      status: 'draft',
+      publishedVersion: null,
+    };
+    await db.assessments.add(draft);
+
+    return HttpResponse.json(draft, { status: 201 });
+  }),
+
+  // Freezes the current working draft as the next immutable version
+  http.post('/assessments/:jobId/publish', async ({ params }) => {
+    await randomLatency();
+    if (simulateError(0.1)) {
+      return new HttpResponse(
+        JSON.stringify({ message: 'Failed to publish assessment' }),
+        { status: 500 }
+      );
+    }
+
+    const jobId = parseInt(params.jobId, 10);
+    const draft = await db.assessments.get(jobId);
+    if (!draft) {
+      return new HttpResponse(
+        JSON.stringify({ message: 'Save the assessment before publishing' }),
+        { status: 404 }
+      );
+    }
+    if (hasDependencyIssues(checkConditionDependencies(draft))) {
+      return new HttpResponse(
+        JSON.stringify({ message: 'Fix condition errors before publishing' }),
+        { status: 422 }
+      );
+    }
+
+    const snapshot = await db.transaction(
+      'rw',
+      [db.assessments, db.assessmentVersions],
+      async () => {
+        const latest = await getLatestVersion(jobId);
+        const version = buildVersionSnapshot(draft, (latest?.version || 0) + 1);
+        const id = await db.assessmentVersions.add(version);
+        await db.assessments.update(jobId, {
+          status: 'published',
+          publishedVersion: version.version,
+        });
+        return { ...version, id };
+      }
+    );
+
+    return HttpResponse.json(snapshot, { status: 201 });
+  }),
+
+  // Latest published snapshot; this is what candidates answer
+  http.get('/assessments/:jobId/published', async ({ params }) => {
+    await randomLatency();
+    const version = await getLatestVersion(parseInt(params.jobId, 10));
+    if (!version) {
+      return new HttpResponse(
+        JSON.stringify({ message: 'This assessment has not been published yet' }),
+        { status: 404 }
+      );
+    }
+    return HttpResponse.json(version);
+  }),
+
+  // Newest first, including content so the builder can diff versions locally
+  http.get('/assessments/:jobId/versions', async ({ params }) => {
+    await randomLatency();
+    const versions = await db.assessmentVersions
+      .where('jobId')
+      .equals(parseInt(params.jobId, 10))
+      .reverse()
+      .sortBy('version');
+    return HttpResponse.json(versions);
+  }),
+
+  http.get('/assessments/:jobId/versions/:version', async ({ params }) => {
+    await randomLatency();
+    const version = await getVersion(
+      parseInt(params.jobId, 10),
+      parseInt(params.version, 10)
+    );
+    if (!version) {
+      return new HttpResponse(
+        JSON.stringify({ message: 'Assessment version not found' }),
+        { status: 404 }
+      );
+    }
+    return HttpResponse.json(version);
+  }),
+
+  // Copies an old version back into the working draft. It goes live only
+  // once it is published again.
+  http.post(
+    '/assessments/:jobId/versions/:version/restore',
+    async ({ params }) => {
+      await randomLatency();
+      if (simulateError(0.1)) {
+        return new HttpResponse(
+          JSON.stringify({ message: 'Failed to restore version' }),
+          { status: 500 }
+        );
+      }
+
+      const jobId = parseInt(params.jobId, 10);
+      const version = await getVersion(jobId, parseInt(params.version, 10));
+      if (!version) {
+        return new HttpResponse(
+          JSON.stringify({ message: 'Assessment version not found' }),
+          { status: 404 }
+        );
+      }
+
+      const existing = await db.assessments.get(jobId);
+      const draft = {
+        jobId,
+        title: version.title,
+        timeLimitMinutes: version.timeLimitMinutes,
+        sections: version.sections,
+        status: 'draft',
+        publishedVersion: existing?.publishedVersion ?? null,
+      };
+      await db.assessments.put(draft);
+
+      return HttpResponse.json(draft);
+    }
+  ),
+
   http.post('/assessments/:jobId/submit', async ({ request, params }) => {
+    // Timed attempts are measured to arrival, not to the simulated latency
+    const receivedAt = Date.now();
     await randomLatency();
     if (simulateError(0.1)) {
       return new HttpResponse(
@@ -298,14 +1222,326 @@ export const handlers = [
     }
 
     const jobId = parseInt(params.jobId, 10);
-    const submission = await request.json();
+    const submission = await request.json(); // Expects { candidateId, assessmentVersion, responses: {...}, timing? }
+    const candidateId =
+      submission.candidateId != null ? parseInt(submission.candidateId, 10) : null;
+
+    // One response per candidate per job
+    if (candidateId != null) {
+      const existing = await db.assessmentResponses
+        .where('candidateId')
+        .equals(candidateId)
+        .filter((r) => r.jobId === jobId)
+        .first();
+      if (existing) {
+        return new HttpResponse(
+          JSON.stringify({ message: 'Assessment already submitted' }),
+          { status: 409 }
+        );
+      }
+    }
+
+    // Validate against the version the candidate was shown, so publishing a
+    // new version mid-attempt doesn't invalidate their answers
+    const assessment =
+      submission.assessmentVersion != null
+        ? await getVersion(jobId, parseInt(submission.assessmentVersion, 10))
+        : await getLatestVersion(jobId);
+    if (!assessment) {
+      return new HttpResponse(
+        JSON.stringify({ message: 'No published assessment exists for this job' }),
+        { status: 404 }
+      );
+    }
+    if (isTimedAssessment(assessment) && !submission.timing?.startedAt) {
+      return new HttpResponse(
+        JSON.stringify({ message: 'Timed assessments must include a timing record' }),
+        { status: 422 }
+      );
+    }
+
+    // Only answers to this version's questions are kept. File answers are
+    // re-read from the files table so the stored metadata, not whatever the
+    // client sent, is what gets validated and saved.
+    const submitted =
+      typeof submission.responses === 'object' && submission.responses
+        ? submission.responses
+        : {};
+    const responses = Object.fromEntries(
+      getAllQuestions(assessment)
+        .filter((q) => q.id in submitted)
+        .map((q) => [q.id, submitted[q.id]])
+    );
+    // A file only counts if this candidate uploaded it for this job and no
+    // other response has claimed it
+    const fileErrors = {};
+    for (const q of getAllQuestions(assessment)) {
+      const value = responses[q.id];
+      if (q.type !== 'file' || value?.fileId == null) continue;
+      const file = await db.files.get(value.fileId);
+      if (!file) {
+        fileErrors[q.id] = 'Uploaded file not found';
+      } else if (
+        file.candidateId !== candidateId ||
+        file.jobId !== jobId ||
+        file.responseId != null
+      ) {
+        fileErrors[q.id] = 'File was not uploaded for this assessment';
+      } else {
+        responses[q.id] = toFileAnswer(file);
+      }
+    }
+
+    // Required questions the clock cut off are allowed to stay unanswered
+    const timedOutSectionIds = getTimedOutSectionIds(
+      assessment,
+      submission.timing,
+      receivedAt
+    );
+    const errors = {
+      ...validateResponses(assessment, responses, { timedOutSectionIds }),
+      ...fileErrors,
+    };
+    if (Object.keys(errors).length > 0) {
+      return new HttpResponse(
+        JSON.stringify({ message: 'Submission failed validation', errors }),
+        { status: 422 }
+      );
+    }
+
+    // Built field by field so nothing else the client sent is stored
     const response = {
-      ...submission,
+      responses,
+      candidateId,
       jobId,
+      assessmentVersion: assessment.version,
+      score: scoreResponses(assessment, responses),
       createdAt: new Date().toISOString(),
     };
-    const id = await db.assessmentResponses.add(response);
+    if (isTimedAssessment(assessment)) {
+      // Late submissions are kept but flagged for the reviewer
+      const { late, issues } = checkSubmissionTiming(
+        assessment,
+        submission.timing,
+        receivedAt
+      );
+      response.timing = {
+        ...submission.timing,
+        receivedAt: new Date(receivedAt).toISOString(),
+      };
+      response.late = late;
+      response.timingIssues = issues;
+    }
+    const fileIds = Object.values(responses)
+      .map((value) => value?.fileId)
+      .filter((fileId) => fileId != null);
+    const id = await db.transaction(
+      'rw',
+      [db.assessmentResponses, db.timelineEvents, db.files],
+      async () => {
+        const newId = await db.assessmentResponses.add(response);
+        // Claim the answered files; anything else this candidate uploaded for
+        // the job (replaced, removed or hidden answers) is no longer needed
+        await db.files.bulkUpdate(
+          fileIds.map((fileId) => ({
+            key: fileId,
+            changes: { responseId: newId },
+          }))
+        );
+        if (candidateId != null) {
+          await db.files
+            .where('candidateId')
+            .equals(candidateId)
+            .filter(
+              (f) =>
+                f.jobId === jobId &&
+                f.responseId == null &&
+                !fileIds.includes(f.id)
+            )
+            .delete();
+        }
+        if (response.candidateId != null) {
+          await recordTimelineEvent(
+            response.candidateId,
+            'Assessment Submitted',
+            [
+              `Submitted "${assessment.title}"`,
+              response.score &&
+                ` (score ${response.score.earned}/${response.score.possible})`,
+              response.late && ' after the time limit',
+              '.',
+            ]
+              .filter(Boolean)
+              .join(''),
+            { jobId, responseId: newId }
+          );
+        }
+        return newId;
+      }
+    );
 
     return HttpResponse.json({ ...response, id }, { status: 201 });
   }),
+
+  // --- ASSESSMENT TEMPLATES ---
+  http.get('/assessment-templates', async () => {
+    await randomLatency();
+    const templates = await db.assessmentTemplates.orderBy('name').toArray();
+    return HttpResponse.json(templates);
+  }),
+
+  http.post('/assessment-templates', async ({ request }) => {
+    await randomLatency();
+    if (simulateError(0.1)) {
+      return new HttpResponse(
+        JSON.stringify({ message: 'Failed to save template' }),
+        { status: 500 }
+      );
+    }
+
+    const { name, description, title, timeLimitMinutes, sections } =
+      await request.json();
+    if (!name?.trim()) {
+      return new HttpResponse(
+        JSON.stringify({
+          message: 'Template name is required',
+          errors: { name: 'Name is required' },
+        }),
+        { status: 400 }
+      );
+    }
+
+    const template = {
+      name: name.trim(),
+      description: description || '',
+      title,
+      timeLimitMinutes,
+      sections: sections || [],
+      createdAt: new Date().toISOString(),
+    };
+    const id = await db.assessmentTemplates.add(template);
+
+    return HttpResponse.json({ ...template, id }, { status: 201 });
+  }),
+
+  http.delete('/assessment-templates/:id', async ({ params }) => {
+    await randomLatency();
+    if (simulateError(0.1)) {
+      return new HttpResponse(
+        JSON.stringify({ message: 'Failed to delete template' }),
+        { status: 500 }
+      );
+    }
+
+    const id = parseInt(params.id, 10);
+    if (!(await db.assessmentTemplates.get(id))) {
+      return new HttpResponse(
+        JSON.stringify({ message: 'Template not found' }),
+        { status: 404 }
+      );
+    }
+    await db.assessmentTemplates.delete(id);
+
+    return new HttpResponse(null, { status: 204 });
+  }),
+
+  // --- FILES ---
+  // Multipart upload: `file`, plus optional `jobId`/`questionId` to enforce
+  // that question's constraints and `candidateId` to tie it to a candidate.
+  http.post('/files', async ({ request }) => {
+    await randomLatency();
+    if (simulateError(0.1)) {
+      return new HttpResponse(
+        JSON.stringify({ message: 'Failed to upload file' }),
+        { status: 500 }
+      );
+    }
+
+    const form = await request.formData();
+    const file = form.get('file');
+    if (!(file instanceof Blob)) {
+      return new HttpResponse(
+        JSON.stringify({ message: 'No file provided' }),
+        { status: 400 }
+      );
+    }
+
+    const jobId = form.get('jobId') ? parseInt(form.get('jobId'), 10) : null;
+    const questionId = form.get('questionId');
+    if (jobId != null && questionId) {
+      // Candidates answer the published version; the builder preview of an
+      // unpublished assessment falls back to the working draft
+      const assessment =
+        (await getLatestVersion(jobId)) || (await db.assessments.get(jobId));
+      const question = getAllQuestions(assessment).find(
+        (q) => q.id === questionId
+      );
+      const error = question && checkFileConstraints(question, file);
+      if (error) {
+        return new HttpResponse(
+          JSON.stringify({ message: error, errors: { [questionId]: error } }),
+          { status: 422 }
+        );
+      }
+    }
+
+    const record = {
+      name: file.name,
+      type: file.type || 'application/octet-stream',
+      size: file.size,
+      hash: await sha256(file),
+      blob: file,
+      candidateId: form.get('candidateId')
+        ? parseInt(form.get('candidateId'), 10)
+        : null,
+      jobId,
+      questionId: questionId || null,
+      createdAt: new Date().toISOString(),
+    };
+    const id = await db.files.add(record);
+
+    return HttpResponse.json(toFileAnswer({ ...record, id }), { status: 201 });
+  }),
+
+  http.get('/files/:id', async ({ params }) => {
+    await randomLatency();
+    const file = await db.files.get(parseInt(params.id, 10));
+    if (!file) {
+      return new HttpResponse(
+        JSON.stringify({ message: 'File not found' }),
+        { status: 404 }
+      );
+    }
+
+    return new HttpResponse(file.blob, {
+      headers: {
+        'Content-Type': file.type,
+        'Content-Length': String(file.size),
+        'Content-Disposition': contentDisposition(file.name),
+      },
+    });
+  }),
+
+  // Discards an upload that was removed or replaced before submitting.
+  // Files of a submitted response are kept for reviewers.
+  http.delete('/files/:id', async ({ params }) => {
+    await randomLatency();
+    const id = parseInt(params.id, 10);
+    const result = await db.transaction('rw', db.files, async () => {
+      const file = await db.files.get(id);
+      if (!file) return { error: 'File not found', status: 404 };
+      if (file.responseId != null) {
+        return { error: 'File belongs to a submitted response', status: 409 };
+      }
+      await db.files.delete(id);
+      return {};
+    });
+
+    if (result.error) {
+      return new HttpResponse(JSON.stringify({ message: result.error }), {
+        status: result.status,
+      });
+    }
+    return new HttpResponse(null, { status: 204 });
+  }),
 ];
\ No newline at end of file
@@ -6,6 +6,7 @@ import { Input } from '../ui/Input';
 import { Textarea } from '../ui/Textarea';
 import { AssessmentForm } from './AssessmentForm';
 import { AssessmentQuestionEditor } from './AssessmentQuestionEditor';
+import { pruneHiddenResponses, validateResponses } from '../../utils/assessmentEngine';
 import { Plus, Save, Eye, Settings2, Trash2 } from 'lucide-react';
 
 export const AssessmentBuilder = ({ jobId }) => {
@@ -140,40 +141,11 @@ export const AssessmentBuilder = ({ jobId }) => {
   };
   
   // --- Preview Validation (Client-side) ---
-  const isQuestionVisible = (question, responses) => {
-    if (!question.condition || !question.condition.questionId) return true;
-    const { questionId, operator, value } = question.condition;
-    const targetResponse = responses[questionId];
-    if (!targetResponse) return false;
-    switch (operator) {
-      case 'eq': return Array.isArray(targetResponse) ? targetResponse.includes(value) : targetResponse === value;
-      case 'neq': return Array.isArray(targetResponse) ? !targetResponse.includes(value) : targetResponse !== value;
-      case 'contains': return Array.isArray(targetResponse) ? targetResponse.includes(value) : String(targetResponse).includes(value);
-      default: return true;
-    }
-  };
-
   const validatePreview = () => {
-    const errors = {};
-    for (const q of allQuestions) {
-      const isVisible = isQuestionVisible(q, previewResponses);
-      if (q.required && isVisible) {
-        const value = previewResponses[q.id];
-        if (!value || (Array.isArray(value) && value.length === 0)) {
-          errors[q.id] = 'This field is required';
-        }
-      }
-      
-      if (q.type === 'numeric' && previewResponses[q.id] != null) {
-        const num = parseFloat(previewResponses[q.id]);
-        if (q.min != null && num < q.min) {
-          errors[q.id] = `Must be at least ${q.min}`;
-        }
-        if (q.max != null && num > q.max) {
-          errors[q.id] = `Must be at most ${q.max}`;
-        }
-      }
-    }
+    const errors = validateResponses(
+      assessment,
+      pruneHiddenResponses(assessment, previewResponses)
+    );
     setPreviewErrors(errors);
     return Object.keys(errors).length === 0;
   };
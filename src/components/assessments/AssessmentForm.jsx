@@ -1,7 +1,8 @@
-import React from 'react';
+import React, { useMemo } from 'react';
 import { Input } from '../ui/Input';
 import { Textarea } from '../ui/Textarea';
 import { UploadCloud } from 'lucide-react';
+import { getQuestionVisibility } from '../../utils/assessmentEngine';
 
 // Renamed from AssessmentRuntime
 export const AssessmentForm = ({ assessment, responses, setResponses, errors, readOnly = false }) => {
@@ -23,34 +24,10 @@ export const AssessmentForm = ({ assessment, responses, setResponses, errors, re
     handleResponseChange(id, newValues);
   };
   
-  // Check conditional logic
-  const isQuestionVisible = (question) => {
-    if (!question.condition || !question.condition.questionId) {
-      return true;
-    }
-    
-    const { questionId, operator, value } = question.condition;
-    const targetResponse = responses[questionId];
-    
-    if (!targetResponse) return false;
-    
-    switch (operator) {
-      case 'eq':
-        return Array.isArray(targetResponse) 
-          ? targetResponse.includes(value)
-          : targetResponse === value;
-      case 'neq':
-        return Array.isArray(targetResponse)
-          ? !targetResponse.includes(value)
-          : targetResponse !== value;
-      case 'contains':
-        return Array.isArray(targetResponse) 
-          ? targetResponse.includes(value) 
-          : String(targetResponse).includes(value);
-      default:
-        return true;
-    }
-  };
+  const visibility = useMemo(
+    () => getQuestionVisibility(assessment, responses),
+    [assessment, responses]
+  );
   
   // Render a single question based on its type
   const renderQuestion = (q) => {
@@ -155,7 +132,7 @@ export const AssessmentForm = ({ assessment, responses, setResponses, errors, re
           </div>
           
           <div className="space-y-6">
-            {section.questions.filter(isQuestionVisible).map(q => (
+            {section.questions.filter(q => visibility[q.id]).map(q => (
               <div key={q.id} className="p-4 bg-white rounded-lg shadow-sm border border-gray-200">
                 <label className="block text-sm font-medium text-gray-700 mb-2">
                   {q.label}
@@ -3,7 +3,9 @@ import { DragOverlay } from '@dnd-kit/core';
 import { SortableContext } from '@dnd-kit/sortable';
 import { KanbanColumn } from './KanbanColumn';
 import { KanbanCard } from './KanbanCard';
-import { CANDIDATE_STAGES, STAGE_IDS } from '../../db';
+import { DEFAULT_STAGES as CANDIDATE_STAGES } from '../../utils/pipeline';
+
+const STAGE_IDS = CANDIDATE_STAGES.map((s) => s.id);
 
 export const CandidateKanban = ({ candidates, navigate, activeCandidate }) => {
   
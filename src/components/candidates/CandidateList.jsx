@@ -1,6 +1,6 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
 import * as ReactWindow from 'react-window'; // Import namespace for safety
-import { CANDIDATE_STAGES } from '../../db';
+import { DEFAULT_STAGES as CANDIDATE_STAGES } from '../../utils/pipeline';
 
 export const CandidateList = ({ candidates, navigate }) => {
   // Try to pick up FixedSizeList synchronously from the namespace import.
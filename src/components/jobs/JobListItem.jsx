@@ -2,9 +2,11 @@ import React from 'react';
 import { useSortable } from '@dnd-kit/sortable';
 import { CSS } from '@dnd-kit/utilities';
 import { Button } from '../ui/Button';
+import { HighlightedText } from '../ui/HighlightedText';
 import { GripVertical } from 'lucide-react';
 
-export const JobListItem = ({ job, navigate }) => {
+// `highlights` are the search hits GET /jobs returned for this job
+export const JobListItem = ({ job, navigate, highlights }) => {
   const {
     attributes,
     listeners,
@@ -50,11 +52,20 @@ export const JobListItem = ({ job, navigate }) => {
           }}
           className="text-lg font-semibold text-indigo-600 hover:underline"
         >
-          {job.title}
+          <HighlightedText text={job.title} ranges={highlights?.title} />
         </a>
         <div className="text-sm text-gray-500">
           Created: {new Date(job.createdAt).toLocaleDateString()}
         </div>
+        {highlights?.description && (
+          <p className="mt-1 text-sm text-gray-600">
+            <HighlightedText
+              text={job.description}
+              ranges={highlights.description}
+              maxLength={120}
+            />
+          </p>
+        )}
         <div className="mt-2 flex space-x-2">
           <span
             className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${statusColor}`}
@@ -66,7 +77,7 @@ export const JobListItem = ({ job, navigate }) => {
               key={tag}
               className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-indigo-100 text-indigo-800"
             >
-              {tag}
+              <HighlightedText text={tag} ranges={highlights?.tags?.[tag]} />
             </span>
           ))}
         </div>
@@ -3,7 +3,7 @@ import { SortableContext, verticalListSortingStrategy } from '@dnd-kit/sortable'
 import { JobListItem } from './JobListItem';
 import { Spinner } from '../ui/Spinner';
 
-export const JobsBoard = ({ jobs, navigate, isLoading }) => {
+export const JobsBoard = ({ jobs, highlights = {}, navigate, isLoading }) => {
   if (isLoading) {
     return (
       <div className="flex justify-center items-center h-64">
@@ -32,6 +32,7 @@ export const JobsBoard = ({ jobs, navigate, isLoading }) => {
             key={job.id}
             job={job}
             navigate={navigate}
+            highlights={highlights[job.id]}
           />
         ))}
       </div>
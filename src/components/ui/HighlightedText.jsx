@@ -0,0 +1,14 @@
+import React from 'react';
+import { splitHighlights } from '../../utils/jobSearch';
+
+// Renders text with search hits ([start, end) ranges) in bold
+export const HighlightedText = ({ text, ranges, maxLength }) =>
+  splitHighlights(text || '', ranges, maxLength).map((segment, i) =>
+    segment.hit ? (
+      <mark key={i} className="bg-yellow-100 text-inherit font-bold rounded-sm">
+        {segment.text}
+      </mark>
+    ) : (
+      <React.Fragment key={i}>{segment.text}</React.Fragment>
+    )
+  );
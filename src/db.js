@@ -1,4 +1,11 @@
 import Dexie from 'dexie';
+import { canonicalizeTags, pickTagSpellings } from './utils/jobSearch';
+import {
+  DEFAULT_STAGES,
+  PIPELINE_TEMPLATES,
+  stageTitle,
+  suggestStages,
+} from './utils/pipeline';
 
 export const db = new Dexie('TalentFlowDB');
 db.version(1).stores({
@@ -8,18 +15,114 @@ db.version(1).stores({
   assessments: '&jobId, title, sections', // &jobId makes it the primary key
   assessmentResponses: '++id, candidateId, jobId, createdAt',
 });
+// v2: persisted candidate timeline. Existing candidates get a backfilled
+// history that matches their current stage.
+db.version(2)
+  .stores({
+    timelineEvents: '++id, candidateId, date',
+  })
+  .upgrade(async (tx) => {
+    const candidates = await tx.table('candidates').toArray();
+    await tx
+      .table('timelineEvents')
+      .bulkAdd(candidates.flatMap((c) => buildSeedTimeline(c)));
+  });
+// v3: uploaded files for `file` questions. The Blob is stored alongside its
+// metadata; only { fileId, name, type, size, hash } goes into responses.
+db.version(3).stores({
+  files: '++id, hash, candidateId, createdAt',
+});
+// v4: assessment versioning. `assessments` keeps the editable working copy;
+// every publish appends an immutable snapshot to `assessmentVersions`, and
+// responses pin the version they were answered against. Existing assessments
+// become version 1 and their responses are pinned to it.
+db.version(4)
+  .stores({
+    assessmentVersions: '++id, jobId, &[jobId+version], publishedAt',
+  })
+  .upgrade(async (tx) => {
+    const assessments = await tx.table('assessments').toArray();
+    await tx
+      .table('assessmentVersions')
+      .bulkAdd(assessments.map((a) => buildVersionSnapshot(a, 1)));
+    await tx
+      .table('assessments')
+      .toCollection()
+      .modify({ status: 'published', publishedVersion: 1 });
+    await tx
+      .table('assessmentResponses')
+      .toCollection()
+      .modify((response) => {
+        response.assessmentVersion ??= 1;
+      });
+  });
+// v5: reusable assessment templates. Existing assessments seed the gallery.
+db.version(5)
+  .stores({
+    assessmentTemplates: '++id, name, createdAt',
+  })
+  .upgrade(async (tx) => {
+    const assessments = await tx.table('assessments').toArray();
+    await tx
+      .table('assessmentTemplates')
+      .bulkAdd(assessments.map(buildTemplateFromAssessment));
+  });
+// v6: tags get a multiEntry index (`*tags`) so jobs can be looked up and
+// counted by tag. Tags that differ only in case ("react" / "React") are
+// merged into their most used spelling first.
+db.version(6)
+  .stores({
+    jobs: '++id, &slug, title, status, order, createdAt, *tags',
+  })
+  .upgrade(async (tx) => {
+    const jobs = await tx.table('jobs').toArray();
+    const spellings = pickTagSpellings(jobs.map((job) => job.tags));
+    await tx
+      .table('jobs')
+      .toCollection()
+      .modify((job) => {
+        job.tags = canonicalizeTags(job.tags, spellings);
+      });
+  });
+// v7: job `order` becomes a fractional rank moved one job at a time. The old
+// per-page reorder could leave several jobs on the same order, so ranks are
+// renumbered once, keeping the current order (ties broken by id).
+db.version(7)
+  .stores({})
+  .upgrade(async (tx) => {
+    const jobs = await tx.table('jobs').orderBy('order').toArray();
+    await tx.table('jobs').bulkUpdate(
+      jobs.map((job, index) => ({
+        key: job.id,
+        changes: { order: index + 1 },
+      }))
+    );
+  });
+// v8: hiring stages are configured per job. Every job gets `stages` (its
+// ordered pipeline), starting as the stages all jobs shared until now, and
+// reusable stage sets live in `pipelineTemplates`.
+db.version(8)
+  .stores({
+    pipelineTemplates: '++id, name',
+  })
+  .upgrade(async (tx) => {
+    await tx.table('pipelineTemplates').bulkAdd(buildPipelineTemplates());
+    await tx
+      .table('jobs')
+      .toCollection()
+      .modify((job) => {
+        job.stages ??= DEFAULT_STAGES;
+      });
+  });
+// v9: board columns page through one stage in id order. [stage+id] and
+// [jobId+stage+id] let each page start right after the previous one's last id
+// instead of walking the stage from its first candidate.
+db.version(9).stores({
+  candidates:
+    '++id, &email, name, stage, jobId, createdAt, [jobId+stage], [stage+id], [jobId+stage+id]',
+});
 
 // --- CONSTANTS ---
-export const CANDIDATE_STAGES = [
-  { id: 'applied', title: 'Applied' },
-  { id: 'screen', title: 'Screen' },
-  { id: 'tech', title: 'Tech Interview' },
-  { id: 'offer', title: 'Offer' },
-  { id: 'hired', title: 'Hired' },
-  { id: 'rejected', title: 'Rejected' },
-];
-export const STAGE_IDS = CANDIDATE_STAGES.map((s) => s.id);
-
 export const QUESTION_TYPES = [
   { id: 'short-text', name: 'Short Text' },
   { id: 'long-text', name: 'Long Text' },
@@ -27,6 +130,10 @@ export const QUESTION_TYPES = [
   { id: 'multi-choice', name: 'Multiple Choice' },
   { id: 'numeric', name: 'Numeric' },
   { id: 'file', name: 'File Upload' },
+  { id: 'rating', name: 'Rating Scale' },
+  { id: 'date', name: 'Date' },
+  { id: 'ranking', name: 'Ranking' },
+  { id: 'matrix', name: 'Matrix (Grid)' },
 ];
 
 // --- SEED DATA ---
@@ -36,7 +143,7 @@ const a = (arr) => arr[Math.floor(Math.random() * arr.length)];
 const r = (min, max) => Math.floor(Math.random() * (max - min + 1)) + min;
 
 // Simple slugify
-const slugify = (text) =>
+export const slugify = (text) =>
   text
     .toString()
     .toLowerCase()
@@ -67,6 +174,85 @@ const jobRoles = [
 const getRandomJobTitle = () =>
   `${a(jobPrefixes)} ${a(jobRoles)}`.trim();
 
+// The built-in pipeline templates, as rows for `pipelineTemplates`
+export function buildPipelineTemplates() {
+  return PIPELINE_TEMPLATES.map((template) => ({
+    ...template,
+    createdAt: new Date().toISOString(),
+  }));
+}
+
+/**
+ * Builds the immutable published copy of an assessment's working draft.
+ * Only the content is copied; draft bookkeeping (status, publishedVersion)
+ * stays on the working row.
+ */
+export function buildVersionSnapshot(assessment, version) {
+  return {
+    jobId: assessment.jobId,
+    version,
+    title: assessment.title,
+    timeLimitMinutes: assessment.timeLimitMinutes,
+    sections: assessment.sections,
+    publishedAt: new Date().toISOString(),
+  };
+}
+
+// Starter template built from a seeded assessment; ids are regenerated
+// whenever a template is used, so they can be stored as-is
+export function buildTemplateFromAssessment(assessment) {
+  return {
+    name: assessment.title,
+    description: `Starter template based on "${assessment.title}".`,
+    title: assessment.title,
+    timeLimitMinutes: assessment.timeLimitMinutes,
+    sections: assessment.sections,
+    createdAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Builds a plausible timeline for a seeded candidate: an "Applied" event at
+ * createdAt followed by one stage change per step up to the current stage of
+ * the job's pipeline. Dates advance a few days per step and never go past now.
+ */
+export function buildSeedTimeline(candidate, stages = DEFAULT_STAGES) {
+  // Happy path in pipeline order; 'rejected' can branch off any earlier step
+  const happyPath = stages.map((s) => s.id).filter((id) => id !== 'rejected');
+  let path;
+  if (candidate.stage === 'rejected') {
+    path = [...happyPath.slice(0, r(1, happyPath.length - 1)), 'rejected'];
+  } else {
+    const idx = happyPath.indexOf(candidate.stage);
+    path = happyPath.slice(0, idx === -1 ? 1 : idx + 1);
+  }
+
+  const now = Date.now();
+  let time = new Date(candidate.createdAt).getTime();
+  const events = [
+    {
+      candidateId: candidate.id,
+      event: 'Applied',
+      notes: 'Applied via company portal.',
+      toStage: path[0],
+      date: new Date(time).toISOString(),
+    },
+  ];
+
+  for (let i = 1; i < path.length; i++) {
+    time = Math.min(time + r(1, 4) * 86400000 + r(0, 8) * 3600000, now);
+    events.push({
+      candidateId: candidate.id,
+      event: 'Stage Change',
+      notes: `Moved from ${stageTitle(stages, path[i - 1])} to ${stageTitle(stages, path[i])}.`,
+      fromStage: path[i - 1],
+      toStage: path[i],
+      date: new Date(time).toISOString(),
+    });
+  }
+  return events;
+}
+
 export async function seedDatabase() {
   const jobCount = await db.jobs.count();
   if (jobCount > 0) {
@@ -86,6 +272,7 @@ export async function seedDatabase() {
       order: i,
       createdAt: new Date(Date.now() - r(1, 60) * 86400000).toISOString(),
       description: `Description for ${title}`,
+      stages: suggestStages(title),
       tags: a([
         ['React', 'Node.js', 'Remote'],
         ['Python', 'AWS', 'ML'],
@@ -102,18 +289,29 @@ export async function seedDatabase() {
   const candidatesToSeed = [];
   for (let i = 0; i < 1000; i++) {
     const name = getRandomName();
+    const jobIndex = r(0, jobIds.length - 1);
     candidatesToSeed.push({
       name: name,
       email: `${slugify(name)}.${i}@example.com`,
-      stage: a(STAGE_IDS),
-      jobId: a(jobIds),
+      stage: a(jobsToSeed[jobIndex].stages).id,
+      jobId: jobIds[jobIndex],
       createdAt: new Date(
         Date.now() - r(1, 30) * 86400000
       ).toISOString(),
       avatarUrl: `https://api.dicebear.com/8.x/avataaars/svg?seed=${name}`,
     });
   }
-  await db.candidates.bulkAdd(candidatesToSeed);
+  const candidateIds = await db.candidates.bulkAdd(candidatesToSeed, {
+    allKeys: true,
+  });
+  const stagesByJob = new Map(
+    jobIds.map((id, i) => [id, jobsToSeed[i].stages])
+  );
+  await db.timelineEvents.bulkAdd(
+    candidatesToSeed.flatMap((c, i) =>
+      buildSeedTimeline({ ...c, id: candidateIds[i] }, stagesByJob.get(c.jobId))
+    )
+  );
 
   // 3. Seed Assessments
   const sampleAssessments = [
@@ -130,7 +328,7 @@ export async function seedDatabase() {
             { id: 'q1', type: 'short-text', label: 'What is JSX?', required: true },
             { id: 'q2', type: 'single-choice', label: 'What is the most common way to manage state in React?', required: true, options: ['useState Hook', 'Redux', 'Context API', 'Props'] },
             { id: 'q3', type: 'long-text', label: 'Describe the component lifecycle in a functional component.', required: true, maxLength: 500 },
-            { id: 'q4', type: 'multi-choice', label: 'Which of the following are valid React hooks?', required: true, options: ['useState', 'useEffect', 'useReducer', 'useFetch'] },
+            { id: 'q4', type: 'multi-choice', label: 'Which of the following are valid React hooks?', required: true, options: ['useState', 'useEffect', 'useReducer', 'useFetch'], correctAnswer: ['useState', 'useEffect', 'useReducer'], points: 3 },
             { id: 'q5', type: 'single-choice', label: 'Do you have experience with TypeScript?', required: true, options: ['Yes', 'No'] },
             { id: 'q6', type: 'long-text', label: 'If "Yes" to the above, please describe your experience.', required: false, condition: { questionId: 'q5', operator: 'eq', value: 'Yes' } },
           ],
@@ -141,7 +339,7 @@ export async function seedDatabase() {
           description: 'Code and file uploads.',
           questions: [
             { id: 'q7', type: 'numeric', label: 'How many years of React experience do you have?', required: true, min: 0, max: 20 },
-            { id: 'q8', type: 'file', label: 'Please upload a .zip file of a small project or code sample.', required: false },
+            { id: 'q8', type: 'file', label: 'Please upload a .zip file of a small project or code sample.', required: false, allowedExtensions: ['.zip'], maxSizeMb: 10 },
           ],
         },
       ],
@@ -151,7 +349,7 @@ export async function seedDatabase() {
       jobId: jobIds[1],
       title: 'Backend (Python) Screening',
       sections: [{ id: 's1_py', title: 'Python Fundamentals', questions: [
-            { id: 'q1_py', type: 'single-choice', label: 'What is a decorator in Python?', required: true, options: ['A function that takes another function and extends its behavior', 'A class variable', 'A design pattern for UI'] },
+            { id: 'q1_py', type: 'single-choice', label: 'What is a decorator in Python?', required: true, options: ['A function that takes another function and extends its behavior', 'A class variable', 'A design pattern for UI'], correctAnswer: 'A function that takes another function and extends its behavior', points: 2 },
             { id: 'q2_py', type: 'long-text', label: 'Explain the difference between a list and a tuple.', required: true },
       ] }],
     },
@@ -161,11 +359,20 @@ export async function seedDatabase() {
       title: 'Data Scientist Challenge',
       sections: [{ id: 's1_ds', title: 'Statistics & ML', questions: [
             { id: 'q1_ds', type: 'short-text', label: 'What is p-value?', required: true },
-            { id: 'q2_ds', type: 'multi-choice', label: 'Which of these are common classification algorithms?', required: true, options: ['Logistic Regression', 'K-Means', 'Support Vector Machine', 'Linear Regression'] },
+            { id: 'q2_ds', type: 'multi-choice', label: 'Which of these are common classification algorithms?', required: true, options: ['Logistic Regression', 'K-Means', 'Support Vector Machine', 'Linear Regression'], correctAnswer: ['Logistic Regression', 'Support Vector Machine'], points: 2 },
             { id: 'q3_ds', type: 'numeric', label: 'What accuracy (in %) would you consider "good"?', required: false, min: 0, max: 100 },
       ] }],
     },
   ];
-  await db.assessments.bulkAdd(sampleAssessments);
+  await db.assessments.bulkAdd(
+    sampleAssessments.map((a) => ({ ...a, status: 'published', publishedVersion: 1 }))
+  );
+  await db.assessmentVersions.bulkAdd(
+    sampleAssessments.map((a) => buildVersionSnapshot(a, 1))
+  );
+  await db.assessmentTemplates.bulkAdd(
+    sampleAssessments.map(buildTemplateFromAssessment)
+  );
+  await db.pipelineTemplates.bulkAdd(buildPipelineTemplates());
   console.log('Database seeded successfully.');
 }
\ No newline at end of file
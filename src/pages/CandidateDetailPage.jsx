@@ -1,6 +1,5 @@
 import React, { useState, useEffect } from 'react';
 import { useToasts } from '../hooks/useToasts';
-import { db } from '../db';
 import { Spinner } from '../components/ui/Spinner';
 import { ChevronLeft, FileText } from 'lucide-react';
 
@@ -14,9 +13,12 @@ export const CandidateDetailPage = ({ id, navigate }) => {
     const fetchCandidate = async () => {
       setIsLoading(true);
       try {
-        const cand = await db.candidates.get(parseInt(id, 10));
-        if (!cand) throw new Error('Candidate not found');
-        setCandidate(cand);
+        const candRes = await fetch(`/candidates/${id}`);
+        if (!candRes.ok) {
+          const err = await candRes.json();
+          throw new Error(err.message || 'Failed to fetch candidate');
+        }
+        setCandidate(await candRes.json());
         
         const res = await fetch(`/candidates/${id}/timeline`);
         if (!res.ok) throw new Error('Failed to fetch timeline');
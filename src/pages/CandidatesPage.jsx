@@ -9,7 +9,9 @@ import { CandidateList } from '../components/candidates/CandidateList';
 import { CandidateKanban } from '../components/candidates/CandidateKanban';
 import { CandidateFormModal } from '../components/candidates/CandidateFormModal';
 import { Plus, Search } from 'lucide-react';
-import { CANDIDATE_STAGES, STAGE_IDS } from '../db';
+import { DEFAULT_STAGES as CANDIDATE_STAGES } from '../utils/pipeline';
+
+const STAGE_IDS = CANDIDATE_STAGES.map((s) => s.id);
 
 export const CandidatesPage = ({ navigate }) => {
   const [view, setView] = useState('list'); // 'list' or 'kanban'
@@ -1,6 +1,5 @@
 import React, { useState, useEffect } from 'react';
 import { useToasts } from '../hooks/useToasts';
-import { db } from '../db';
 import { Spinner } from '../components/ui/Spinner';
 import { ChevronLeft } from 'lucide-react';
 import { AssessmentBuilder } from '../components/assessments/AssessmentBuilder';
@@ -13,14 +12,12 @@ export const JobDetailPage = ({ slug, navigate }) => {
   useEffect(() => {
     const fetchJob = async () => {
       try {
-        // Use Dexie directly to get job by slug
-        const matchingJob = await db.jobs.where('slug').equals(slug).first();
-        
-        if (matchingJob) {
-          setJob(matchingJob);
-        } else {
-          throw new Error('Job not found');
+        const res = await fetch(`/jobs/${encodeURIComponent(slug)}`);
+        if (!res.ok) {
+          const err = await res.json();
+          throw new Error(err.message || 'Failed to fetch job');
         }
+        setJob(await res.json());
       } catch (error) {
         addToast(error.message, 'error');
         navigate('/jobs');
@@ -14,6 +14,7 @@ import { Plus, Search } from 'lucide-react';
 
 export const JobsPage = ({ navigate }) => {
   const [jobs, setJobs] = useState([]);
+  const [highlights, setHighlights] = useState({});
   const [isLoading, setIsLoading] = useState(true);
   const [pagination, setPagination] = useState(null);
   const [isModalOpen, setIsModalOpen] = useState(false);
@@ -44,6 +45,7 @@ export const JobsPage = ({ navigate }) => {
       if (!res.ok) throw new Error('Failed to fetch jobs');
       const data = await res.json();
       setJobs(data.jobs);
+      setHighlights(data.highlights || {});
       setPagination(data.pagination);
     } catch (error) {
       addToast(error.message, 'error');
@@ -75,29 +77,30 @@ export const JobsPage = ({ navigate }) => {
       const newIndex = jobs.findIndex((j) => j.id === over.id);
 
       const newJobsArray = arrayMove(jobs, oldIndex, newIndex);
-      
-      const newJobsWithOrder = newJobsArray.map((job, index) => ({
-        ...job,
-        order: (filters.page - 1) * 10 + index, // Recalculate order based on page
-      }));
-      
-      const apiPayload = newJobsWithOrder.map(j => ({ id: j.id, order: j.order }));
       const originalJobs = [...jobs];
 
-      setJobs(newJobsWithOrder);
+      setJobs(newJobsArray);
 
       try {
-        const res = await fetch('/jobs/reorder', {
+        // Only the moved job is re-ranked, between its new neighbours
+        const res = await fetch(`/jobs/${active.id}/move`, {
           method: 'PATCH',
           headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ orderedJobs: apiPayload }),
+          body: JSON.stringify({
+            before: newJobsArray[newIndex - 1]?.id,
+            after: newJobsArray[newIndex + 1]?.id,
+          }),
         });
 
         if (!res.ok) {
           const errorData = await res.json();
-          throw new Error(errorData.message || 'API Reorder failed');
+          throw new Error(errorData.message || 'Failed to move job');
         }
-        
+
+        const movedJob = await res.json();
+        setJobs((current) =>
+          current.map((j) => (j.id === movedJob.id ? movedJob : j))
+        );
         addToast('Job order saved!', 'success');
         
       } catch (error) {
@@ -124,7 +127,7 @@ export const JobsPage = ({ navigate }) => {
       <div className="mb-4 grid grid-cols-1 md:grid-cols-3 gap-4 p-4 bg-white rounded-lg shadow-sm">
         <Input
           name="search"
-          placeholder="Search by title..."
+          placeholder="Search title, description or tags..."
           icon={Search}
           value={filters.search}
           onChange={handleFilterChange}
@@ -148,13 +151,18 @@ export const JobsPage = ({ navigate }) => {
       >
         <JobsBoard
           jobs={jobs}
+          highlights={highlights}
           navigate={navigate}
           isLoading={isLoading}
         />
         <DragOverlay>
           {activeJob ? (
             <div className="shadow-2xl">
-              <JobListItem job={activeJob} navigate={() => {}} />
+              <JobListItem
+                job={activeJob}
+                navigate={() => {}}
+                highlights={highlights[activeJob.id]}
+              />
             </div>
           ) : null}
         </DragOverlay>
@@ -0,0 +1,1164 @@
+// Assessment rules over plain assessment JSON and { [questionId]: value } responses
+
+const CHOICE_TYPES = ['single-choice', 'multi-choice'];
+const TEXT_TYPES = ['short-text', 'long-text'];
+
+export const getAllQuestions = (assessment) =>
+  assessment?.sections?.flatMap((s) => s.questions || []) || [];
+
+// A value counts as answered unless it is missing, blank, an empty list or
+// an empty object (an untouched matrix). Note that 0 is a valid numeric answer.
+export const isEmptyValue = (value) =>
+  value === undefined ||
+  value === null ||
+  (typeof value === 'string' && value.trim() === '') ||
+  (Array.isArray(value) && value.length === 0) ||
+  (typeof value === 'object' &&
+    !Array.isArray(value) &&
+    Object.keys(value).length === 0);
+
+// Rating questions default to a 1-5 scale
+export const getRatingScale = (q) => {
+  const min = Number.isInteger(q.scaleMin) ? q.scaleMin : 1;
+  const max = Number.isInteger(q.scaleMax) ? q.scaleMax : 5;
+  return Array.from({ length: Math.max(max - min + 1, 0) }, (_, i) => min + i);
+};
+
+// Dates are exchanged as YYYY-MM-DD strings, which also sort correctly
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+export const isValidDateString = (value) =>
+  typeof value === 'string' &&
+  DATE_PATTERN.test(value) &&
+  !Number.isNaN(new Date(`${value}T00:00:00Z`).getTime()) &&
+  new Date(`${value}T00:00:00Z`).toISOString().startsWith(value);
+
+// Operators a condition rule can use. `isAnswered` ignores the rule value;
+// `in` takes a list (an array, or a comma-separated string).
+export const CONDITION_OPERATORS = [
+  { id: 'eq', name: 'is equal to' },
+  { id: 'neq', name: 'is not equal to' },
+  { id: 'contains', name: 'contains' },
+  { id: 'gt', name: 'is greater than' },
+  { id: 'gte', name: 'is at least' },
+  { id: 'lt', name: 'is less than' },
+  { id: 'lte', name: 'is at most' },
+  { id: 'in', name: 'is one of' },
+  { id: 'isAnswered', name: 'is answered' },
+];
+
+// Conditions are either a single rule { questionId, operator, value } or a
+// group { combinator: 'and' | 'or', conditions: [rule | group, ...] }.
+export const isConditionGroup = (condition) =>
+  Array.isArray(condition?.conditions);
+
+export const toList = (value) =>
+  Array.isArray(value)
+    ? value
+    : String(value ?? '')
+        .split(',')
+        .map((v) => v.trim())
+        .filter(Boolean);
+
+const compareNumbers = (target, value, compare) => {
+  const a = Number(target);
+  const b = Number(value);
+  if (!Number.isFinite(a) || !Number.isFinite(b)) return false;
+  return compare(a, b);
+};
+
+const evaluateRule = ({ questionId, operator, value }, responses) => {
+  const targetResponse = responses[questionId];
+  if (isEmptyValue(targetResponse)) return false;
+
+  // Multi-choice answers match if any selected option matches
+  const targets = Array.isArray(targetResponse)
+    ? targetResponse
+    : [targetResponse];
+  const equals = (t) => String(t) === String(value);
+
+  switch (operator) {
+    case 'isAnswered':
+      return true;
+    case 'eq':
+      return targets.some(equals);
+    case 'neq':
+      return !targets.some(equals);
+    case 'contains':
+      return Array.isArray(targetResponse)
+        ? targetResponse.includes(value)
+        : String(targetResponse).includes(value);
+    case 'gt':
+      return compareNumbers(targetResponse, value, (a, b) => a > b);
+    case 'gte':
+      return compareNumbers(targetResponse, value, (a, b) => a >= b);
+    case 'lt':
+      return compareNumbers(targetResponse, value, (a, b) => a < b);
+    case 'lte':
+      return compareNumbers(targetResponse, value, (a, b) => a <= b);
+    case 'in': {
+      const list = toList(value).map(String);
+      return targets.some((t) => list.includes(String(t)));
+    }
+    default:
+      return true;
+  }
+};
+
+/**
+ * Evaluates a question or section condition against a responses map.
+ * A missing condition, a rule without a target question and an empty group
+ * always pass.
+ */
+export const evaluateCondition = (condition, responses) => {
+  if (!condition) return true;
+
+  if (isConditionGroup(condition)) {
+    const results = condition.conditions
+      .filter((c) => isConditionGroup(c) || c?.questionId)
+      .map((c) => evaluateCondition(c, responses));
+    if (results.length === 0) return true;
+    return condition.combinator === 'or'
+      ? results.some(Boolean)
+      : results.every(Boolean);
+  }
+
+  if (!condition.questionId) return true;
+  return evaluateRule(condition, responses);
+};
+
+export const isQuestionVisible = (question, responses) =>
+  evaluateCondition(question.condition, responses);
+
+// Walks the assessment in document order. Answers to hidden questions are
+// ignored when evaluating later conditions, so hiding a question (or its
+// whole section) also hides everything that depends on it.
+const resolveVisibility = (assessment, responses) => {
+  const sections = {};
+  const questions = {};
+  const effective = { ...responses };
+  for (const section of assessment?.sections || []) {
+    sections[section.id] = evaluateCondition(section.condition, effective);
+    for (const q of section.questions || []) {
+      questions[q.id] =
+        sections[section.id] && isQuestionVisible(q, effective);
+      if (!questions[q.id]) delete effective[q.id];
+    }
+  }
+  return { sections, questions };
+};
+
+// Returns { [questionId]: boolean }
+export const getQuestionVisibility = (assessment, responses) =>
+  resolveVisibility(assessment, responses).questions;
+
+// Returns { [sectionId]: boolean }
+export const getSectionVisibility = (assessment, responses) =>
+  resolveVisibility(assessment, responses).sections;
+
+// Drops answers to questions that are hidden (or unknown) for this response set
+export const pruneHiddenResponses = (assessment, responses) => {
+  const visibility = getQuestionVisibility(assessment, responses);
+  return Object.fromEntries(
+    Object.entries(responses).filter(([id]) => visibility[id])
+  );
+};
+
+// --- File answers ---
+// A file answer is the metadata returned by POST /files:
+// { fileId, name, type, size, hash }. The Blob itself stays in Dexie.
+
+export const normalizeExtension = (ext) =>
+  `.${String(ext).trim().toLowerCase().replace(/^\./, '')}`;
+
+export const getFileExtension = (name) => {
+  const dot = String(name).lastIndexOf('.');
+  return dot > 0 ? name.slice(dot).toLowerCase() : '';
+};
+
+export const formatFileSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// Checks a file ({ name, size }) against the question's allowedExtensions
+// and maxSizeMb constraints. Returns an error message or null.
+export const checkFileConstraints = (q, { name, size }) => {
+  const allowed = (q.allowedExtensions || []).map(normalizeExtension);
+  if (allowed.length > 0 && !allowed.includes(getFileExtension(name))) {
+    return `File type must be one of ${allowed.join(', ')}`;
+  }
+  if (q.maxSizeMb && size > q.maxSizeMb * 1024 * 1024) {
+    return `File must be at most ${q.maxSizeMb} MB`;
+  }
+  return null;
+};
+
+// Returns an error message for a single visible question, or null.
+// `timedOut` waives the required check: the candidate ran out of time.
+const validateAnswer = (q, value, timedOut = false) => {
+  if (isEmptyValue(value)) {
+    return q.required && !timedOut ? 'This field is required' : null;
+  }
+
+  if (TEXT_TYPES.includes(q.type)) {
+    if (typeof value !== 'string') return 'Must be text';
+    if (q.maxLength && value.length > q.maxLength) {
+      return `Must be at most ${q.maxLength} characters`;
+    }
+  }
+
+  if (q.type === 'numeric') {
+    const num = typeof value === 'number' ? value : Number(value);
+    if (typeof value === 'boolean' || !Number.isFinite(num)) {
+      return 'Must be a number';
+    }
+    if (q.min != null && num < q.min) return `Must be at least ${q.min}`;
+    if (q.max != null && num > q.max) return `Must be at most ${q.max}`;
+  }
+
+  if (q.type === 'file') {
+    if (typeof value !== 'object' || value.fileId == null) {
+      return 'Must be an uploaded file';
+    }
+    return checkFileConstraints(q, value);
+  }
+
+  if (CHOICE_TYPES.includes(q.type)) {
+    const options = q.options || [];
+    if (q.type === 'single-choice') {
+      if (!options.includes(value)) return 'Select one of the listed options';
+    } else if (
+      !Array.isArray(value) ||
+      value.some((v) => !options.includes(v))
+    ) {
+      return 'Select only the listed options';
+    }
+  }
+
+  if (q.type === 'rating' && !getRatingScale(q).includes(value)) {
+    return 'Pick a value on the scale';
+  }
+
+  if (q.type === 'date') {
+    if (!isValidDateString(value)) return 'Must be a valid date';
+    if (q.minDate && value < q.minDate) return `Must be on or after ${q.minDate}`;
+    if (q.maxDate && value > q.maxDate) return `Must be on or before ${q.maxDate}`;
+  }
+
+  if (q.type === 'ranking') {
+    // A ranking must order every option exactly once
+    const options = q.options || [];
+    if (
+      !Array.isArray(value) ||
+      value.length !== options.length ||
+      new Set(value).size !== value.length ||
+      value.some((v) => !options.includes(v))
+    ) {
+      return 'Rank every option exactly once';
+    }
+  }
+
+  if (q.type === 'matrix') {
+    const rows = q.rows || [];
+    const columns = q.columns || [];
+    if (typeof value !== 'object' || Array.isArray(value)) {
+      return 'Must be a grid answer';
+    }
+    if (Object.keys(value).some((row) => !rows.includes(row))) {
+      return 'Answer only the listed rows';
+    }
+    if (Object.values(value).some((col) => !columns.includes(col))) {
+      return 'Select only the listed columns';
+    }
+    // Partially filled grids count as incomplete for required questions
+    if (
+      q.required &&
+      !timedOut &&
+      rows.some((row) => isEmptyValue(value[row]))
+    ) {
+      return 'Answer every row';
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Validates a full response set against an assessment schema.
+ * Returns { [questionId]: message }; an empty object means valid.
+ * Answers to hidden or unknown questions are errors too, so callers that
+ * keep stale answers around should run pruneHiddenResponses first.
+ * Required questions in `timedOutSectionIds` may be left unanswered.
+ */
+export const validateResponses = (
+  assessment,
+  responses = {},
+  { timedOutSectionIds = [] } = {}
+) => {
+  const errors = {};
+  const visibility = getQuestionVisibility(assessment, responses);
+  const questions = [];
+
+  for (const section of assessment.sections || []) {
+    const timedOut = timedOutSectionIds.includes(section.id);
+    for (const q of section.questions || []) {
+      questions.push(q);
+      const value = responses[q.id];
+      if (!visibility[q.id]) {
+        if (!isEmptyValue(value)) {
+          errors[q.id] = 'This question is hidden and must not be answered';
+        }
+        continue;
+      }
+      const error = validateAnswer(q, value, timedOut);
+      if (error) errors[q.id] = error;
+    }
+  }
+
+  const knownIds = new Set(questions.map((q) => q.id));
+  for (const id of Object.keys(responses)) {
+    if (!knownIds.has(id)) errors[id] = 'Unknown question';
+  }
+
+  return errors;
+};
+
+// --- Timing ---
+
+// Limits are optional `timeLimitMinutes` on the assessment (whole attempt)
+// and on individual sections. Submissions carry a timing record:
+//   { startedAt, finishedAt, timedOut?,
+//     sections: { [sectionId]: { startedAt, finishedAt, timedOut? } } }
+// with ISO timestamps. `timedOut` marks what the clock ended, not the
+// candidate.
+
+// Slack for network latency and timer drift before a submission is late
+export const TIME_LIMIT_GRACE_MS = 30 * 1000;
+
+export const getTimeLimitMs = (item) => {
+  const minutes = Number(item?.timeLimitMinutes);
+  return Number.isFinite(minutes) && minutes > 0 ? minutes * 60 * 1000 : null;
+};
+
+export const hasSectionTimeLimits = (assessment) =>
+  (assessment.sections || []).some((s) => getTimeLimitMs(s) != null);
+
+export const isTimedAssessment = (assessment) =>
+  getTimeLimitMs(assessment) != null || hasSectionTimeLimits(assessment);
+
+// Milliseconds left on a clock started at `startedAt`, floored at zero;
+// null when there is no limit or the clock hasn't started
+export const getRemainingMs = (startedAt, limitMs, now = Date.now()) => {
+  if (limitMs == null || !startedAt) return null;
+  return Math.max(0, Date.parse(startedAt) + limitMs - now);
+};
+
+// 90500 -> "1:31", 3725000 -> "1:02:05" (rounded up, as countdowns are)
+export const formatDuration = (ms) => {
+  const total = Math.max(0, Math.ceil(ms / 1000));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const seconds = String(total % 60).padStart(2, '0');
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`
+    : `${minutes}:${seconds}`;
+};
+
+const elapsedMs = (from, to) => Date.parse(to) - Date.parse(from);
+
+/**
+ * Sections whose required questions are waived because time ran out. A
+ * timed-out claim only counts once the limit really has elapsed, so the
+ * flag can't be used to skip questions early. `now` is when the
+ * submission was received.
+ */
+export const getTimedOutSectionIds = (assessment, timing, now = Date.now()) => {
+  if (!timing?.startedAt) return [];
+  const sections = assessment.sections || [];
+  const overallLimit = getTimeLimitMs(assessment);
+  if (
+    timing.timedOut &&
+    overallLimit != null &&
+    now - Date.parse(timing.startedAt) >= overallLimit - TIME_LIMIT_GRACE_MS
+  ) {
+    return sections.map((s) => s.id);
+  }
+
+  return sections
+    .filter((section) => {
+      const record = timing.sections?.[section.id];
+      const limit = getTimeLimitMs(section);
+      return (
+        record?.timedOut &&
+        limit != null &&
+        record.startedAt &&
+        record.finishedAt &&
+        elapsedMs(record.startedAt, record.finishedAt) >=
+          limit - TIME_LIMIT_GRACE_MS
+      );
+    })
+    .map((s) => s.id);
+};
+
+/**
+ * Checks a submission's timing record against the assessment's limits.
+ * The overall window is measured up to `receivedAt` (server time); each
+ * section up to its own recorded finish. Returns { late, issues } where
+ * issues are readable descriptions of every overrun beyond the grace period.
+ */
+export const checkSubmissionTiming = (
+  assessment,
+  timing,
+  receivedAt = Date.now(),
+  graceMs = TIME_LIMIT_GRACE_MS
+) => {
+  const issues = [];
+  if (!isTimedAssessment(assessment)) return { late: false, issues };
+  if (!timing?.startedAt || Number.isNaN(Date.parse(timing.startedAt))) {
+    return { late: true, issues: ['No start time was recorded'] };
+  }
+
+  const overallLimit = getTimeLimitMs(assessment);
+  if (overallLimit != null) {
+    const overrun = receivedAt - Date.parse(timing.startedAt) - overallLimit;
+    if (overrun > graceMs) {
+      issues.push(
+        `Submitted ${formatDuration(overrun)} after the ${formatDuration(overallLimit)} limit`
+      );
+    }
+  }
+
+  for (const section of assessment.sections || []) {
+    const limit = getTimeLimitMs(section);
+    const record = timing.sections?.[section.id];
+    if (limit == null || !record?.startedAt) continue;
+    const finishedAt = record.finishedAt || new Date(receivedAt).toISOString();
+    const overrun = elapsedMs(record.startedAt, finishedAt) - limit;
+    if (overrun > graceMs) {
+      issues.push(
+        `Section "${section.title}" ran ${formatDuration(overrun)} over its ${formatDuration(limit)} limit`
+      );
+    }
+  }
+
+  return { late: issues.length > 0, issues };
+};
+
+// --- Scoring ---
+
+// Answer keys live on the question itself:
+//   single-choice: correctAnswer: 'option'
+//   multi-choice:  correctAnswer: ['option', ...]
+//   numeric:       correctRange: { min, max } (either bound may be omitted)
+// plus an optional `points` weight that defaults to 1.
+export const SCORABLE_TYPES = ['single-choice', 'multi-choice', 'numeric'];
+
+export const getQuestionPoints = (q) => {
+  const points = Number(q.points);
+  return Number.isFinite(points) && points >= 0 ? points : 1;
+};
+
+export const hasAnswerKey = (q) => {
+  if (!SCORABLE_TYPES.includes(q.type)) return false;
+  if (q.type === 'numeric') {
+    return q.correctRange?.min != null || q.correctRange?.max != null;
+  }
+  return !isEmptyValue(q.correctAnswer);
+};
+
+// Fraction of the question's points (0..1) earned by a single answer.
+// Multi-choice gives partial credit: each correct pick adds 1/n, each wrong
+// pick takes 1/n away, floored at zero.
+const scoreAnswer = (q, value) => {
+  if (isEmptyValue(value)) return 0;
+
+  if (q.type === 'single-choice') return value === q.correctAnswer ? 1 : 0;
+
+  if (q.type === 'multi-choice') {
+    const correct = toList(q.correctAnswer);
+    const picked = toList(value);
+    const hits = picked.filter((v) => correct.includes(v)).length;
+    const misses = picked.length - hits;
+    return Math.max(0, (hits - misses) / correct.length);
+  }
+
+  const num = Number(value);
+  if (!Number.isFinite(num)) return 0;
+  const { min, max } = q.correctRange;
+  if (min != null && num < min) return 0;
+  if (max != null && num > max) return 0;
+  return 1;
+};
+
+/**
+ * Grades a response set against the assessment's answer keys.
+ * Only visible questions with an answer key count towards the total, so a
+ * candidate is never marked down for questions their answers hid.
+ * Returns { earned, possible, percent, questions: { [id]: points } }, or
+ * null if nothing in the assessment is gradable.
+ */
+export const scoreResponses = (assessment, responses = {}) => {
+  const visibility = getQuestionVisibility(assessment, responses);
+  const gradable = getAllQuestions(assessment).filter(
+    (q) => visibility[q.id] && hasAnswerKey(q)
+  );
+  if (gradable.length === 0) return null;
+
+  const questions = {};
+  let earned = 0;
+  let possible = 0;
+  for (const q of gradable) {
+    const points = getQuestionPoints(q);
+    // Round to avoid 0.30000000000000004-style partial credit totals
+    questions[q.id] = Math.round(scoreAnswer(q, responses[q.id]) * points * 100) / 100;
+    earned += questions[q.id];
+    possible += points;
+  }
+
+  return {
+    earned: Math.round(earned * 100) / 100,
+    possible,
+    percent: possible > 0 ? Math.round((earned / possible) * 100) : 0,
+    questions,
+  };
+};
+
+// --- Condition dependencies ---
+
+const OPTION_OPERATORS = ['eq', 'neq', 'contains', 'in'];
+
+// Flattens a condition (rule or nested group) into its list of rules
+export const getConditionRules = (condition) => {
+  if (!condition) return [];
+  if (isConditionGroup(condition)) {
+    return condition.conditions.flatMap(getConditionRules);
+  }
+  return condition.questionId ? [condition] : [];
+};
+
+/**
+ * Rebuilds a condition with `fn(rule)` applied to every rule. Returning null
+ * drops the rule; groups left empty are dropped too, and a condition with
+ * no rules left becomes undefined.
+ */
+export const mapConditionRules = (condition, fn) => {
+  if (!condition) return undefined;
+  if (isConditionGroup(condition)) {
+    const conditions = condition.conditions
+      .map((c) => mapConditionRules(c, fn))
+      .filter(Boolean);
+    return conditions.length > 0 ? { ...condition, conditions } : undefined;
+  }
+  if (!condition.questionId) return condition;
+  return fn(condition) || undefined;
+};
+
+// Applies mapConditionRules to every question and section condition
+const mapAllConditions = (assessment, fn) => ({
+  ...assessment,
+  sections: assessment.sections.map((section) => ({
+    ...section,
+    condition: mapConditionRules(section.condition, fn),
+    questions: section.questions.map((q) => ({
+      ...q,
+      condition: mapConditionRules(q.condition, fn),
+    })),
+  })),
+});
+
+// Option values a rule compares against, for rules on choice questions
+const getRuleOptionValues = (rule) =>
+  rule.operator === 'in' ? toList(rule.value) : [rule.value];
+
+const isDanglingOptionRule = (rule, target) =>
+  CHOICE_TYPES.includes(target?.type) &&
+  OPTION_OPERATORS.includes(rule.operator) &&
+  getRuleOptionValues(rule).some(
+    (v) => !isEmptyValue(v) && !(target.options || []).includes(v)
+  );
+
+// Finds every question that sits on a dependency cycle
+const findCycles = (edges) => {
+  const onCycle = new Map(); // questionId -> readable cycle path
+  const state = {}; // undefined = unvisited, 1 = on stack, 2 = done
+  const stack = [];
+
+  const visit = (id) => {
+    state[id] = 1;
+    stack.push(id);
+    for (const next of edges[id] || []) {
+      if (next === id) {
+        continue; // Self-references are reported on their own
+      } else if (state[next] === 1) {
+        const cycle = stack.slice(stack.indexOf(next));
+        const path = [...cycle, next].join(' → ');
+        cycle.forEach((c) => onCycle.has(c) || onCycle.set(c, path));
+      } else if (!state[next] && edges[next]) {
+        visit(next);
+      }
+    }
+    stack.pop();
+    state[id] = 2;
+  };
+
+  Object.keys(edges).forEach((id) => state[id] || visit(id));
+  return onCycle;
+};
+
+/**
+ * Checks every condition in the assessment for references that cannot work
+ * at runtime: the question itself, a later question, a deleted question, an
+ * option that no longer exists, or a dependency cycle.
+ * Returns { questions: { [id]: [message] }, sections: { [id]: [message] } };
+ * both maps are empty when everything is valid.
+ */
+export const checkConditionDependencies = (assessment) => {
+  const issues = { questions: {}, sections: {} };
+  const add = (kind, id, message) => {
+    issues[kind][id] = [...(issues[kind][id] || []), message];
+  };
+
+  const questions = getAllQuestions(assessment);
+  const byId = Object.fromEntries(questions.map((q) => [q.id, q]));
+  const position = Object.fromEntries(questions.map((q, i) => [q.id, i]));
+  const edges = {};
+
+  const checkRules = (kind, ownerId, condition, isBefore) => {
+    for (const rule of getConditionRules(condition)) {
+      const target = byId[rule.questionId];
+      if (rule.questionId === ownerId) {
+        add(kind, ownerId, 'A question cannot depend on itself');
+      } else if (!target) {
+        add(kind, ownerId, `Depends on a deleted question (${rule.questionId})`);
+      } else if (!isBefore(rule.questionId)) {
+        add(
+          kind,
+          ownerId,
+          `Depends on "${target.label || target.id}", which comes later`
+        );
+      }
+      if (target && isDanglingOptionRule(rule, target)) {
+        add(
+          kind,
+          ownerId,
+          `"${target.label || target.id}" no longer has the option "${getRuleOptionValues(rule)
+            .filter((v) => !(target.options || []).includes(v))
+            .join('", "')}"`
+        );
+      }
+    }
+  };
+
+  for (const section of assessment?.sections || []) {
+    const sectionStart = position[section.questions[0]?.id] ?? questions.length;
+    checkRules(
+      'sections',
+      section.id,
+      section.condition,
+      (id) => position[id] < sectionStart
+    );
+    const sectionTargets = getConditionRules(section.condition).map(
+      (r) => r.questionId
+    );
+    for (const q of section.questions) {
+      checkRules('questions', q.id, q.condition, (id) => position[id] < position[q.id]);
+      edges[q.id] = [
+        ...getConditionRules(q.condition).map((r) => r.questionId),
+        ...sectionTargets,
+      ];
+    }
+  }
+
+  for (const [id, path] of findCycles(edges)) {
+    add('questions', id, `Circular dependency: ${path}`);
+  }
+
+  return issues;
+};
+
+/**
+ * Lists every condition rule whose target doesn't come before its owner:
+ * [{ kind: 'question' | 'section', ownerId, targetId }]. Used to warn when a
+ * reorder puts a question above the question it depends on.
+ */
+export const findOrderViolations = (assessment) => {
+  const questions = getAllQuestions(assessment);
+  const position = Object.fromEntries(questions.map((q, i) => [q.id, i]));
+  const violations = [];
+  const check = (kind, ownerId, condition, ownerPosition) => {
+    for (const { questionId } of getConditionRules(condition)) {
+      if (questionId in position && position[questionId] >= ownerPosition) {
+        violations.push({ kind, ownerId, targetId: questionId });
+      }
+    }
+  };
+
+  for (const section of assessment?.sections || []) {
+    check(
+      'section',
+      section.id,
+      section.condition,
+      position[section.questions[0]?.id] ?? questions.length
+    );
+    for (const q of section.questions) {
+      check('question', q.id, q.condition, position[q.id]);
+    }
+  }
+  return violations;
+};
+
+export const hasDependencyIssues = (issues) =>
+  Object.keys(issues.questions).length > 0 ||
+  Object.keys(issues.sections).length > 0;
+
+// Counts rules (in question and section conditions) that target a question
+export const countRulesReferencing = (assessment, questionId) =>
+  [
+    ...(assessment?.sections || []).map((s) => s.condition),
+    ...getAllQuestions(assessment).map((q) => q.condition),
+  ]
+    .flatMap(getConditionRules)
+    .filter((r) => r.questionId === questionId).length;
+
+// Removes every rule that targets the given question
+export const removeRulesReferencing = (assessment, questionId) =>
+  mapAllConditions(assessment, (rule) =>
+    rule.questionId === questionId ? null : rule
+  );
+
+// Removes rules that target deleted questions or options that no longer exist
+export const removeDanglingRules = (assessment) => {
+  const byId = Object.fromEntries(
+    getAllQuestions(assessment).map((q) => [q.id, q])
+  );
+  return mapAllConditions(assessment, (rule) => {
+    const target = byId[rule.questionId];
+    if (!target) return null;
+    if (!isDanglingOptionRule(rule, target)) return rule;
+    // "is one of" keeps whatever options still exist
+    if (rule.operator === 'in') {
+      const value = toList(rule.value).filter((v) =>
+        (target.options || []).includes(v)
+      );
+      return value.length > 0 ? { ...rule, value } : null;
+    }
+    return null;
+  });
+};
+
+// Points rules that compare a question against option `from` at `to` instead
+export const renameConditionOption = (assessment, questionId, from, to) =>
+  mapAllConditions(assessment, (rule) => {
+    if (rule.questionId !== questionId) return rule;
+    if (rule.operator === 'in') {
+      return { ...rule, value: toList(rule.value).map((v) => (v === from ? to : v)) };
+    }
+    return rule.value === from ? { ...rule, value: to } : rule;
+  });
+
+// Counts rules that compare a question against a given option value
+export const countRulesUsingOption = (assessment, questionId, option) =>
+  [
+    ...(assessment?.sections || []).map((s) => s.condition),
+    ...getAllQuestions(assessment).map((q) => q.condition),
+  ]
+    .flatMap(getConditionRules)
+    .filter(
+      (r) =>
+        r.questionId === questionId && getRuleOptionValues(r).includes(option)
+    ).length;
+
+// --- Cloning ---
+
+export const generateId = (prefix = 'id') =>
+  `${prefix}_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 9)}`;
+
+/**
+ * Copies an assessment's content (title, time limit and sections) with
+ * fresh section and question ids, rewriting every condition to point at the
+ * new question ids.
+ * Used for templates and cross-job clones so copies never share ids.
+ */
+export const cloneAssessmentContent = (assessment, makeId = generateId) => {
+  const idMap = {};
+  const sections = (assessment.sections || []).map((section) => ({
+    ...section,
+    id: makeId('s'),
+    questions: (section.questions || []).map((q) => {
+      idMap[q.id] = makeId('q');
+      return { ...q, id: idMap[q.id] };
+    }),
+  }));
+
+  return mapAllConditions(
+    {
+      title: assessment.title,
+      timeLimitMinutes: assessment.timeLimitMinutes,
+      sections,
+    },
+    (rule) =>
+      rule.questionId in idMap
+        ? { ...rule, questionId: idMap[rule.questionId] }
+        : rule
+  );
+};
+
+// --- Version diffs ---
+
+const changedFields = (before, after) =>
+  [...new Set([...Object.keys(before), ...Object.keys(after)])].filter(
+    (key) =>
+      key !== 'id' &&
+      key !== 'questions' &&
+      JSON.stringify(before[key]) !== JSON.stringify(after[key])
+  );
+
+/**
+ * Structural diff between two assessment definitions (e.g. two published
+ * versions, or a version and the working draft). Sections and questions are
+ * matched by id. Returns a flat list of
+ * { change: 'added' | 'removed' | 'changed', kind: 'assessment' | 'section' | 'question', id, label, fields? }.
+ */
+export const diffAssessments = (from, to) => {
+  const changes = [];
+
+  const assessmentFields = ['title', 'timeLimitMinutes'].filter(
+    (key) => JSON.stringify(from?.[key]) !== JSON.stringify(to?.[key])
+  );
+  if (assessmentFields.length > 0) {
+    changes.push({
+      change: 'changed',
+      kind: 'assessment',
+      id: null,
+      label: to?.title || '',
+      fields: assessmentFields,
+    });
+  }
+
+  const diffList = (kind, before, after, labelOf) => {
+    const beforeById = new Map(before.map((item) => [item.id, item]));
+    const afterById = new Map(after.map((item) => [item.id, item]));
+    for (const item of before) {
+      if (!afterById.has(item.id)) {
+        changes.push({ change: 'removed', kind, id: item.id, label: labelOf(item) });
+      }
+    }
+    for (const item of after) {
+      const previous = beforeById.get(item.id);
+      if (!previous) {
+        changes.push({ change: 'added', kind, id: item.id, label: labelOf(item) });
+        continue;
+      }
+      const fields = changedFields(previous, item);
+      if (fields.length > 0) {
+        changes.push({ change: 'changed', kind, id: item.id, label: labelOf(item), fields });
+      }
+    }
+  };
+
+  diffList('section', from?.sections || [], to?.sections || [], (s) => s.title);
+
+  // Questions are diffed across the whole assessment so moving a question
+  // between sections shows up as a `section` field change, not remove + add
+  const withSection = (assessment) =>
+    (assessment?.sections || []).flatMap((s) =>
+      (s.questions || []).map((q) => ({ ...q, section: s.id }))
+    );
+  diffList('question', withSection(from), withSection(to), (q) => q.label);
+
+  return changes;
+};
+
+// --- Import / export ---
+
+export const EXPORT_FORMAT = 'talentflow.assessment';
+export const EXPORT_SCHEMA_VERSION = 1;
+
+// Wraps an assessment's content in the versioned export envelope
+export const buildAssessmentExport = (assessment) => ({
+  format: EXPORT_FORMAT,
+  schemaVersion: EXPORT_SCHEMA_VERSION,
+  exportedAt: new Date().toISOString(),
+  assessment: {
+    title: assessment.title,
+    timeLimitMinutes: assessment.timeLimitMinutes,
+    sections: assessment.sections,
+  },
+});
+
+const isPlainObject = (value) =>
+  typeof value === 'object' && value !== null && !Array.isArray(value);
+const isNonEmptyString = (value) =>
+  typeof value === 'string' && value.trim() !== '';
+const isFiniteNumber = (value) =>
+  typeof value === 'number' && Number.isFinite(value);
+
+const checkTimeLimitShape = (item, path, report) => {
+  if (
+    item.timeLimitMinutes != null &&
+    !(isFiniteNumber(item.timeLimitMinutes) && item.timeLimitMinutes > 0)
+  ) {
+    report(`${path}.timeLimitMinutes`, 'Time limit must be a positive number of minutes');
+  }
+};
+
+// Structural check of a condition tree; semantic checks (targets, options,
+// ordering, cycles) are left to checkConditionDependencies
+const checkConditionShape = (condition, path, report) => {
+  if (!isPlainObject(condition)) {
+    report(path, 'Condition must be an object');
+    return;
+  }
+  if ('conditions' in condition) {
+    if (!['and', 'or'].includes(condition.combinator)) {
+      report(`${path}.combinator`, 'Combinator must be "and" or "or"');
+    }
+    if (!Array.isArray(condition.conditions)) {
+      report(`${path}.conditions`, 'Conditions must be a list');
+      return;
+    }
+    condition.conditions.forEach((c, i) =>
+      checkConditionShape(c, `${path}.conditions[${i}]`, report)
+    );
+    return;
+  }
+  if (!isNonEmptyString(condition.questionId)) {
+    report(`${path}.questionId`, 'Rule must name a question');
+  }
+  if (!CONDITION_OPERATORS.some((op) => op.id === condition.operator)) {
+    report(
+      `${path}.operator`,
+      `Unknown operator "${condition.operator}" (expected one of ${CONDITION_OPERATORS.map((op) => op.id).join(', ')})`
+    );
+  }
+};
+
+const checkQuestionShape = (q, path, questionTypes, report) => {
+  if (!isNonEmptyString(q.label)) report(`${path}.label`, 'Label is required');
+  if (!questionTypes.includes(q.type)) {
+    report(
+      `${path}.type`,
+      `Unknown question type "${q.type}" (expected one of ${questionTypes.join(', ')})`
+    );
+  }
+  if ('required' in q && typeof q.required !== 'boolean') {
+    report(`${path}.required`, 'Must be true or false');
+  }
+
+  if (CHOICE_TYPES.includes(q.type)) {
+    if (!Array.isArray(q.options) || q.options.length === 0) {
+      report(`${path}.options`, 'Choice questions need at least one option');
+    } else {
+      if (!q.options.every(isNonEmptyString)) {
+        report(`${path}.options`, 'Options must be non-empty strings');
+      }
+      const duplicates = q.options.filter((o, i) => q.options.indexOf(o) !== i);
+      if (duplicates.length > 0) {
+        report(`${path}.options`, `Duplicate option(s): ${[...new Set(duplicates)].join(', ')}`);
+      }
+      // Scoring compares against the options as-is: one option string for
+      // single-choice, a list of them for multi-choice
+      const isMulti = q.type === 'multi-choice';
+      const correct = isMulti ? q.correctAnswer : [q.correctAnswer];
+      if (q.correctAnswer != null) {
+        if (isMulti ? !Array.isArray(q.correctAnswer) : typeof q.correctAnswer !== 'string') {
+          report(`${path}.correctAnswer`, isMulti ? 'Must be a list of options' : 'Must be one of the options');
+        } else {
+          const unknown = correct.filter((o) => !q.options.includes(o));
+          if (unknown.length > 0) {
+            report(`${path}.correctAnswer`, `Not one of the options: ${unknown.join(', ')}`);
+          }
+        }
+      }
+    }
+  }
+
+  if (q.type === 'numeric') {
+    for (const key of ['min', 'max']) {
+      if (q[key] != null && !isFiniteNumber(q[key])) {
+        report(`${path}.${key}`, 'Must be a number');
+      }
+    }
+    if (isFiniteNumber(q.min) && isFiniteNumber(q.max) && q.min > q.max) {
+      report(`${path}.min`, 'Min must not be greater than max');
+    }
+  }
+  // Either bound of an answer range may be left out, but not both
+  if (q.correctRange != null) {
+    const range = q.correctRange;
+    if (!isPlainObject(range) || (range.min == null && range.max == null)) {
+      report(`${path}.correctRange`, 'Must be an object with a numeric min and/or max');
+    } else {
+      for (const key of ['min', 'max']) {
+        if (range[key] != null && !isFiniteNumber(range[key])) {
+          report(`${path}.correctRange.${key}`, 'Must be a number');
+        }
+      }
+      if (isFiniteNumber(range.min) && isFiniteNumber(range.max) && range.min > range.max) {
+        report(`${path}.correctRange.min`, 'Min must not be greater than max');
+      }
+    }
+  }
+  if (q.type === 'ranking') {
+    if (!Array.isArray(q.options) || q.options.length < 2 || !q.options.every(isNonEmptyString)) {
+      report(`${path}.options`, 'Ranking questions need at least two options');
+    } else if (new Set(q.options).size !== q.options.length) {
+      report(`${path}.options`, 'Options must be unique');
+    }
+  }
+
+  if (q.type === 'rating') {
+    for (const key of ['scaleMin', 'scaleMax']) {
+      if (q[key] != null && !Number.isInteger(q[key])) {
+        report(`${path}.${key}`, 'Must be a whole number');
+      }
+    }
+    if (getRatingScale(q).length < 2) {
+      report(`${path}.scaleMax`, 'The scale needs at least two points');
+    }
+  }
+
+  if (q.type === 'date') {
+    for (const key of ['minDate', 'maxDate']) {
+      if (q[key] != null && !isValidDateString(q[key])) {
+        report(`${path}.${key}`, 'Must be a YYYY-MM-DD date');
+      }
+    }
+    if (q.minDate && q.maxDate && q.minDate > q.maxDate) {
+      report(`${path}.minDate`, 'Earliest date must not be after the latest');
+    }
+  }
+
+  if (q.type === 'matrix') {
+    for (const key of ['rows', 'columns']) {
+      const list = q[key];
+      if (!Array.isArray(list) || list.length === 0 || !list.every(isNonEmptyString)) {
+        report(`${path}.${key}`, `Matrix questions need at least one ${key.slice(0, -1)}`);
+      } else if (new Set(list).size !== list.length) {
+        report(`${path}.${key}`, 'Entries must be unique');
+      }
+    }
+  }
+
+  if (q.maxLength != null && !(Number.isInteger(q.maxLength) && q.maxLength > 0)) {
+    report(`${path}.maxLength`, 'Must be a positive whole number');
+  }
+  if (q.points != null && !(isFiniteNumber(q.points) && q.points >= 0)) {
+    report(`${path}.points`, 'Must be a number of at least 0');
+  }
+  if (q.allowedExtensions != null && !(Array.isArray(q.allowedExtensions) && q.allowedExtensions.every(isNonEmptyString))) {
+    report(`${path}.allowedExtensions`, 'Must be a list of extensions');
+  }
+  if (q.maxSizeMb != null && !(isFiniteNumber(q.maxSizeMb) && q.maxSizeMb > 0)) {
+    report(`${path}.maxSizeMb`, 'Must be a positive number');
+  }
+  if (q.condition != null) {
+    checkConditionShape(q.condition, `${path}.condition`, report);
+  }
+};
+
+/**
+ * Validates an imported export file (already JSON-parsed) against the
+ * export schema. `questionTypes` is the list of supported type ids.
+ * Returns { assessment, errors } where errors is a list of
+ * { path, message }; `assessment` ({ title, timeLimitMinutes, sections })
+ * is only set when there are no errors.
+ */
+export const validateAssessmentImport = (data, questionTypes) => {
+  const errors = [];
+  const report = (path, message) => errors.push({ path, message });
+
+  if (!isPlainObject(data)) {
+    report('(root)', 'File must contain a JSON object');
+    return { assessment: null, errors };
+  }
+  if (data.format !== EXPORT_FORMAT) {
+    report('format', `Expected "${EXPORT_FORMAT}"`);
+  }
+  if (!Number.isInteger(data.schemaVersion) || data.schemaVersion < 1) {
+    report('schemaVersion', 'Missing or invalid schema version');
+  } else if (data.schemaVersion > EXPORT_SCHEMA_VERSION) {
+    report(
+      'schemaVersion',
+      `Version ${data.schemaVersion} is newer than this app supports (${EXPORT_SCHEMA_VERSION})`
+    );
+  }
+
+  const assessment = data.assessment;
+  if (!isPlainObject(assessment)) {
+    report('assessment', 'Missing assessment definition');
+    return { assessment: null, errors };
+  }
+  if (!isNonEmptyString(assessment.title)) {
+    report('assessment.title', 'Title is required');
+  }
+  checkTimeLimitShape(assessment, 'assessment', report);
+  if (!Array.isArray(assessment.sections)) {
+    report('assessment.sections', 'Sections must be a list');
+    return { assessment: null, errors };
+  }
+
+  const seenIds = new Map();
+  const checkId = (id, path) => {
+    if (!isNonEmptyString(id)) {
+      report(`${path}.id`, 'Id is required');
+    } else if (seenIds.has(id)) {
+      report(`${path}.id`, `Duplicate id "${id}" (also used at ${seenIds.get(id)})`);
+    } else {
+      seenIds.set(id, path);
+    }
+  };
+
+  assessment.sections.forEach((section, sIdx) => {
+    const path = `assessment.sections[${sIdx}]`;
+    if (!isPlainObject(section)) {
+      report(path, 'Section must be an object');
+      return;
+    }
+    checkId(section.id, path);
+    if (!isNonEmptyString(section.title)) report(`${path}.title`, 'Title is required');
+    checkTimeLimitShape(section, path, report);
+    if (section.condition != null) {
+      checkConditionShape(section.condition, `${path}.condition`, report);
+    }
+    if (!Array.isArray(section.questions)) {
+      report(`${path}.questions`, 'Questions must be a list');
+      return;
+    }
+    section.questions.forEach((q, qIdx) => {
+      const qPath = `${path}.questions[${qIdx}]`;
+      if (!isPlainObject(q)) {
+        report(qPath, 'Question must be an object');
+        return;
+      }
+      checkId(q.id, qPath);
+      checkQuestionShape(q, qPath, questionTypes, report);
+    });
+  });
+
+  // Only worth checking dependencies once the structure itself is sound
+  if (errors.length === 0) {
+    const issues = checkConditionDependencies(assessment);
+    const pathOf = (id) => seenIds.get(id);
+    for (const [kind, byId] of Object.entries(issues)) {
+      for (const [id, messages] of Object.entries(byId)) {
+        for (const message of messages) {
+          report(`${pathOf(id) || kind}.condition`, message);
+        }
+      }
+    }
+  }
+
+  return {
+    assessment:
+      errors.length === 0
+        ? {
+            title: assessment.title,
+            timeLimitMinutes: assessment.timeLimitMinutes,
+            sections: assessment.sections,
+          }
+        : null,
+    errors,
+  };
+};
@@ -0,0 +1,388 @@
+import { describe, expect, it } from 'vitest';
+import {
+  buildAssessmentExport,
+  checkConditionDependencies,
+  checkSubmissionTiming,
+  cloneAssessmentContent,
+  diffAssessments,
+  evaluateCondition,
+  getQuestionVisibility,
+  getSectionVisibility,
+  getTimedOutSectionIds,
+  hasDependencyIssues,
+  pruneHiddenResponses,
+  scoreResponses,
+  validateAssessmentImport,
+  validateResponses,
+} from './assessmentEngine';
+
+const TYPES = ['short-text', 'single-choice', 'multi-choice', 'numeric', 'file'];
+
+const single = (id, options, extra = {}) => ({
+  id,
+  type: 'single-choice',
+  label: id,
+  options,
+  ...extra,
+});
+const text = (id, extra = {}) => ({ id, type: 'short-text', label: id, ...extra });
+const rule = (questionId, operator, value) => ({ questionId, operator, value });
+const withQuestions = (...questions) => ({
+  title: 'Test',
+  sections: [{ id: 's1', title: 'Section', questions }],
+});
+
+describe('evaluateCondition', () => {
+  it('passes without a condition and fails on an unanswered target', () => {
+    expect(evaluateCondition(undefined, {})).toBe(true);
+    expect(evaluateCondition(rule('q1', 'eq', 'Yes'), {})).toBe(false);
+  });
+
+  it('matches multi-choice answers on any selected option', () => {
+    const responses = { q1: ['a', 'b'] };
+    expect(evaluateCondition(rule('q1', 'eq', 'b'), responses)).toBe(true);
+    expect(evaluateCondition(rule('q1', 'neq', 'b'), responses)).toBe(false);
+    expect(evaluateCondition(rule('q1', 'in', 'x, a'), responses)).toBe(true);
+    expect(evaluateCondition(rule('q1', 'in', ['x', 'y']), responses)).toBe(false);
+  });
+
+  it('compares numbers and rejects non-numeric answers', () => {
+    expect(evaluateCondition(rule('q1', 'gt', '3'), { q1: '5' })).toBe(true);
+    expect(evaluateCondition(rule('q1', 'lte', 3), { q1: 4 })).toBe(false);
+    expect(evaluateCondition(rule('q1', 'gte', 1), { q1: 'many' })).toBe(false);
+  });
+
+  it('combines rules in nested AND/OR groups', () => {
+    const condition = {
+      combinator: 'and',
+      conditions: [
+        rule('q1', 'eq', 'Yes'),
+        {
+          combinator: 'or',
+          conditions: [rule('q2', 'gt', 5), rule('q3', 'isAnswered')],
+        },
+      ],
+    };
+    expect(evaluateCondition(condition, { q1: 'Yes', q2: 6 })).toBe(true);
+    expect(evaluateCondition(condition, { q1: 'Yes', q3: 'x' })).toBe(true);
+    expect(evaluateCondition(condition, { q1: 'Yes', q2: 2 })).toBe(false);
+    expect(evaluateCondition(condition, { q1: 'No', q2: 6 })).toBe(false);
+  });
+
+  it('treats empty groups and rules without a target as passing', () => {
+    expect(evaluateCondition({ combinator: 'or', conditions: [] }, {})).toBe(true);
+    expect(
+      evaluateCondition({ combinator: 'and', conditions: [rule('', 'eq', 'x')] }, {})
+    ).toBe(true);
+  });
+});
+
+describe('visibility', () => {
+  const assessment = {
+    sections: [
+      {
+        id: 's1',
+        title: 'One',
+        questions: [
+          single('q1', ['Yes', 'No']),
+          text('q2', { condition: rule('q1', 'eq', 'Yes') }),
+          text('q3', { condition: rule('q2', 'isAnswered') }),
+        ],
+      },
+      {
+        id: 's2',
+        title: 'Two',
+        condition: rule('q1', 'eq', 'No'),
+        questions: [text('q4')],
+      },
+    ],
+  };
+
+  it('hides everything that depends on a hidden answer', () => {
+    const responses = { q1: 'No', q2: 'stale', q3: 'stale' };
+    expect(getQuestionVisibility(assessment, responses)).toEqual({
+      q1: true,
+      q2: false,
+      q3: false,
+      q4: true,
+    });
+  });
+
+  it('hides the questions of a hidden section', () => {
+    const responses = { q1: 'Yes' };
+    expect(getSectionVisibility(assessment, responses)).toEqual({ s1: true, s2: false });
+    expect(getQuestionVisibility(assessment, responses).q4).toBe(false);
+  });
+
+  it('prunes answers to hidden and unknown questions', () => {
+    expect(
+      pruneHiddenResponses(assessment, { q1: 'No', q2: 'stale', q4: 'kept', zz: 1 })
+    ).toEqual({ q1: 'No', q4: 'kept' });
+  });
+});
+
+describe('validateResponses', () => {
+  const assessment = {
+    sections: [
+      { id: 's1', title: 'One', questions: [text('q1', { required: true })] },
+      {
+        id: 's2',
+        title: 'Two',
+        questions: [
+          text('q2', { required: true }),
+          text('q3', { condition: rule('q1', 'eq', 'show') }),
+        ],
+      },
+    ],
+  };
+
+  it('flags missing required answers, hidden answers and unknown ids', () => {
+    const errors = validateResponses(assessment, { q3: 'hidden', zz: 'x' });
+    expect(Object.keys(errors).sort()).toEqual(['q1', 'q2', 'q3', 'zz']);
+    expect(errors.q3).toMatch(/hidden/);
+    expect(errors.zz).toBe('Unknown question');
+  });
+
+  it('waives required questions in sections that timed out', () => {
+    const errors = validateResponses(
+      assessment,
+      { q1: 'done' },
+      { timedOutSectionIds: ['s2'] }
+    );
+    expect(errors).toEqual({});
+  });
+});
+
+describe('timing', () => {
+  const assessment = {
+    timeLimitMinutes: 10,
+    sections: [{ id: 's1', title: 'Quiz', timeLimitMinutes: 1, questions: [] }],
+  };
+  const start = '2024-01-01T10:00:00.000Z';
+  const at = (seconds) => Date.parse(start) + seconds * 1000;
+
+  it('only honours a timed-out claim once the limit has elapsed', () => {
+    const timing = { startedAt: start, timedOut: true };
+    expect(getTimedOutSectionIds(assessment, timing, at(60))).toEqual([]);
+    expect(getTimedOutSectionIds(assessment, timing, at(600))).toEqual(['s1']);
+  });
+
+  it('flags overall and section overruns beyond the grace period', () => {
+    const timing = {
+      startedAt: start,
+      sections: {
+        s1: { startedAt: start, finishedAt: new Date(at(120)).toISOString() },
+      },
+    };
+    const onTime = checkSubmissionTiming(assessment, { startedAt: start }, at(610));
+    expect(onTime).toEqual({ late: false, issues: [] });
+
+    const { late, issues } = checkSubmissionTiming(assessment, timing, at(700));
+    expect(late).toBe(true);
+    expect(issues).toHaveLength(2);
+    expect(issues[1]).toMatch(/^Section "Quiz" ran 1:00 over/);
+  });
+
+  it('treats a missing start time as late', () => {
+    expect(checkSubmissionTiming(assessment, {}, at(0)).late).toBe(true);
+  });
+});
+
+describe('scoreResponses', () => {
+  const assessment = withQuestions(
+    single('q1', ['a', 'b'], { correctAnswer: 'a', points: 2 }),
+    {
+      id: 'q2',
+      type: 'multi-choice',
+      label: 'q2',
+      options: ['a', 'b', 'c', 'd'],
+      correctAnswer: ['a', 'b', 'c'],
+      points: 3,
+    },
+    { id: 'q3', type: 'numeric', label: 'q3', correctRange: { min: 5 } },
+    text('q4')
+  );
+
+  it('returns null without any answer keys', () => {
+    expect(scoreResponses(withQuestions(text('q1')), { q1: 'x' })).toBeNull();
+  });
+
+  it('gives partial credit on multi-choice, less one step per wrong pick', () => {
+    const score = (q2) => scoreResponses(assessment, { q2 }).questions.q2;
+    expect(score(['a', 'b', 'c'])).toBe(3);
+    expect(score(['a', 'b'])).toBe(2);
+    expect(score(['a', 'b', 'd'])).toBe(1);
+    expect(score(['a', 'd'])).toBe(0);
+    expect(score(['d'])).toBe(0);
+  });
+
+  it('totals points and rounds fractional credit', () => {
+    const oneThird = withQuestions({
+      id: 'q1',
+      type: 'multi-choice',
+      label: 'q1',
+      options: ['a', 'b', 'c'],
+      correctAnswer: ['a', 'b', 'c'],
+    });
+    expect(scoreResponses(oneThird, { q1: ['a'] }).earned).toBe(0.33);
+
+    const score = scoreResponses(assessment, { q1: 'a', q2: ['a', 'b'], q3: '7' });
+    expect(score).toMatchObject({ earned: 5, possible: 6, percent: 83 });
+  });
+
+  it('only counts visible questions', () => {
+    const gated = withQuestions(
+      single('q1', ['Yes', 'No']),
+      single('q2', ['a', 'b'], {
+        correctAnswer: 'a',
+        condition: rule('q1', 'eq', 'Yes'),
+      })
+    );
+    expect(scoreResponses(gated, { q1: 'No', q2: 'a' })).toBeNull();
+    expect(scoreResponses(gated, { q1: 'Yes', q2: 'b' })).toMatchObject({
+      earned: 0,
+      possible: 1,
+    });
+  });
+});
+
+describe('checkConditionDependencies', () => {
+  it('accepts conditions on earlier questions', () => {
+    const issues = checkConditionDependencies(
+      withQuestions(single('q1', ['Yes']), text('q2', { condition: rule('q1', 'eq', 'Yes') }))
+    );
+    expect(hasDependencyIssues(issues)).toBe(false);
+  });
+
+  it('flags self, later, deleted and missing-option references', () => {
+    const { questions } = checkConditionDependencies(
+      withQuestions(
+        single('q1', ['Yes', 'No'], { condition: rule('q1', 'eq', 'Yes') }),
+        text('q2', { condition: rule('q3', 'isAnswered') }),
+        text('q3', { condition: rule('gone', 'isAnswered') }),
+        text('q4', { condition: rule('q1', 'in', ['Yes', 'Maybe']) })
+      )
+    );
+    expect(questions.q1).toEqual(['A question cannot depend on itself']);
+    expect(questions.q2).toEqual(['Depends on "q3", which comes later']);
+    expect(questions.q3).toEqual(['Depends on a deleted question (gone)']);
+    expect(questions.q4).toEqual(['"q1" no longer has the option "Maybe"']);
+  });
+
+  it('reports every question on a dependency cycle', () => {
+    const { questions } = checkConditionDependencies(
+      withQuestions(
+        text('q1', { condition: rule('q3', 'isAnswered') }),
+        text('q2', { condition: rule('q1', 'isAnswered') }),
+        text('q3', { condition: rule('q2', 'isAnswered') }),
+        text('q4', { condition: rule('q1', 'isAnswered') })
+      )
+    );
+    for (const id of ['q1', 'q2', 'q3']) {
+      expect(questions[id]).toContainEqual(
+        expect.stringMatching(/^Circular dependency: /)
+      );
+    }
+    expect(questions.q4).toBeUndefined();
+  });
+
+  it('counts a section condition towards the cycle of its questions', () => {
+    const assessment = {
+      sections: [
+        { id: 's1', title: 'One', questions: [text('q1', { condition: rule('q2', 'isAnswered') })] },
+        { id: 's2', title: 'Two', condition: rule('q1', 'isAnswered'), questions: [text('q2')] },
+      ],
+    };
+    const { questions } = checkConditionDependencies(assessment);
+    expect(questions.q1).toContain('Circular dependency: q1 → q2 → q1');
+  });
+});
+
+describe('cloneAssessmentContent', () => {
+  it('gives fresh ids and points conditions at the copies', () => {
+    let next = 0;
+    const clone = cloneAssessmentContent(
+      withQuestions(single('q1', ['Yes']), text('q2', { condition: rule('q1', 'eq', 'Yes') })),
+      (prefix) => `${prefix}${++next}`
+    );
+    const [first, second] = clone.sections[0].questions;
+    expect(clone.sections[0].id).toBe('s1');
+    expect([first.id, second.id]).toEqual(['q2', 'q3']);
+    expect(second.condition.questionId).toBe(first.id);
+  });
+});
+
+describe('diffAssessments', () => {
+  it('reports a question moved between sections as a change, not remove + add', () => {
+    const from = {
+      title: 'A',
+      sections: [
+        { id: 's1', title: 'One', questions: [text('q1')] },
+        { id: 's2', title: 'Two', questions: [] },
+      ],
+    };
+    const to = {
+      title: 'B',
+      sections: [
+        { id: 's1', title: 'One', questions: [] },
+        { id: 's2', title: 'Two', questions: [text('q1'), text('q2')] },
+      ],
+    };
+    expect(diffAssessments(from, to)).toEqual([
+      { change: 'changed', kind: 'assessment', id: null, label: 'B', fields: ['title'] },
+      expect.objectContaining({ change: 'changed', kind: 'question', id: 'q1' }),
+      expect.objectContaining({ change: 'added', kind: 'question', id: 'q2' }),
+    ]);
+  });
+});
+
+describe('validateAssessmentImport', () => {
+  const importOf = (...questions) => buildAssessmentExport(withQuestions(...questions));
+  const messagesFor = (data) =>
+    validateAssessmentImport(data, TYPES).errors.map((e) => `${e.path}: ${e.message}`);
+
+  it('accepts its own export and returns the content', () => {
+    const data = importOf(single('q1', ['a', 'b'], { correctAnswer: 'a' }), text('q2'));
+    const { assessment, errors } = validateAssessmentImport(data, TYPES);
+    expect(errors).toEqual([]);
+    expect(assessment.sections[0].questions).toHaveLength(2);
+  });
+
+  it('rejects other formats and newer schema versions', () => {
+    const data = { ...importOf(text('q1')), format: 'other', schemaVersion: 99 };
+    const { assessment, errors } = validateAssessmentImport(data, TYPES);
+    expect(assessment).toBeNull();
+    expect(errors.map((e) => e.path)).toEqual(['format', 'schemaVersion']);
+  });
+
+  it('reports duplicate ids and unknown types by path', () => {
+    expect(messagesFor(importOf(text('q1'), { ...text('q1'), type: 'essay' }))).toEqual([
+      'assessment.sections[0].questions[1].id: Duplicate id "q1" (also used at assessment.sections[0].questions[0])',
+      expect.stringMatching(/^assessment\.sections\[0\]\.questions\[1\]\.type: Unknown question type "essay"/),
+    ]);
+  });
+
+  it('checks answer keys against the options and range shape', () => {
+    expect(
+      messagesFor(
+        importOf(
+          single('q1', ['a', 'b'], { correctAnswer: 'c' }),
+          { id: 'q2', type: 'multi-choice', label: 'q2', options: ['a'], correctAnswer: 'a' },
+          { id: 'q3', type: 'numeric', label: 'q3', correctRange: '5' },
+          { id: 'q4', type: 'numeric', label: 'q4', correctRange: { min: 'a' } }
+        )
+      )
+    ).toEqual([
+      'assessment.sections[0].questions[0].correctAnswer: Not one of the options: c',
+      'assessment.sections[0].questions[1].correctAnswer: Must be a list of options',
+      'assessment.sections[0].questions[2].correctRange: Must be an object with a numeric min and/or max',
+      'assessment.sections[0].questions[3].correctRange.min: Must be a number',
+    ]);
+  });
+
+  it('reports condition dependency problems once the structure is valid', () => {
+    expect(
+      messagesFor(importOf(text('q1', { condition: rule('q2', 'isAnswered') }), text('q2')))
+    ).toEqual(['assessment.sections[0].questions[0].condition: Depends on "q2", which comes later']);
+  });
+});
@@ -0,0 +1,14 @@
+// Fractional job ranks: a moved job goes halfway between its new neighbours
+
+// Rank for a slot between the ranks `prev` and `next`; either side may be
+// null at the ends of the list
+export const rankBetween = ({ prev, next }) => {
+  if (prev == null) return next - 1;
+  if (next == null) return prev + 1;
+  return (prev + next) / 2;
+};
+
+// False once float precision has run out and `rank` landed on a neighbour
+export const hasRoomBetween = (slot, rank) =>
+  (slot.prev == null || rank > slot.prev) &&
+  (slot.next == null || rank < slot.next);
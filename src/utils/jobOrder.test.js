@@ -0,0 +1,33 @@
+import { describe, expect, it } from 'vitest';
+import { hasRoomBetween, rankBetween } from './jobOrder';
+
+describe('rankBetween', () => {
+  it('goes halfway between two neighbours', () => {
+    expect(rankBetween({ prev: 1, next: 2 })).toBe(1.5);
+  });
+
+  it('steps past the neighbour at either end of the list', () => {
+    expect(rankBetween({ prev: null, next: 1 })).toBe(0);
+    expect(rankBetween({ prev: 7, next: null })).toBe(8);
+  });
+});
+
+describe('hasRoomBetween', () => {
+  it('holds while the rank falls strictly inside the slot', () => {
+    const slot = { prev: 1, next: 2 };
+    expect(hasRoomBetween(slot, rankBetween(slot))).toBe(true);
+    expect(hasRoomBetween({ prev: null, next: 1 }, 0)).toBe(true);
+  });
+
+  it('runs out after repeated moves into the same gap', () => {
+    // Keep dropping a job just after `prev` until float precision runs out
+    let slot = { prev: 1, next: 2 };
+    let moves = 0;
+    while (hasRoomBetween(slot, rankBetween(slot))) {
+      slot = { prev: slot.prev, next: rankBetween(slot) };
+      moves += 1;
+    }
+    expect(moves).toBeGreaterThan(40);
+    expect(moves).toBeLessThan(60);
+  });
+});
@@ -0,0 +1,166 @@
+// Job search and tag matching; hits are [start, end) character ranges
+
+// Fields searched as free text, in the order hits are reported
+const TEXT_FIELDS = ['title', 'description'];
+
+// "Senior  React, node.js" -> ['senior', 'react', 'node.js']
+export const tokenizeQuery = (query) =>
+  (query || '')
+    .toLowerCase()
+    .split(/[\s,]+/)
+    .filter(Boolean);
+
+export const normalizeTag = (tag) => tag.trim().toLowerCase();
+
+/**
+ * Cleans a tag list: trims, drops blanks and case-insensitive duplicates,
+ * and reuses the spelling of a known tag ("react" -> "React") so the
+ * multiEntry index only ever sees one key per tag.
+ */
+export const canonicalizeTags = (tags, knownTags = []) => {
+  const known = new Map(knownTags.map((tag) => [normalizeTag(tag), tag]));
+  const seen = new Map();
+  for (const raw of tags || []) {
+    if (typeof raw !== 'string' || !raw.trim()) continue;
+    const key = normalizeTag(raw);
+    if (!seen.has(key)) seen.set(key, known.get(key) ?? raw.trim());
+  }
+  return [...seen.values()];
+};
+
+// Picks one spelling per tag across many tag lists: the most used one, with
+// ties going to whichever was seen first
+export const pickTagSpellings = (tagLists) => {
+  const counts = new Map(); // key -> Map(spelling -> count)
+  for (const tags of tagLists) {
+    for (const raw of tags || []) {
+      if (typeof raw !== 'string' || !raw.trim()) continue;
+      const spellings = counts.get(normalizeTag(raw)) || new Map();
+      spellings.set(raw.trim(), (spellings.get(raw.trim()) || 0) + 1);
+      counts.set(normalizeTag(raw), spellings);
+    }
+  }
+  return [...counts.values()].map(
+    (spellings) =>
+      [...spellings].reduce((best, entry) =>
+        entry[1] > best[1] ? entry : best
+      )[0]
+  );
+};
+
+// Every occurrence of `token` in `text`, case-insensitively
+const findRanges = (text, token) => {
+  const ranges = [];
+  const haystack = (text || '').toLowerCase();
+  let index = haystack.indexOf(token);
+  while (index !== -1) {
+    ranges.push([index, index + token.length]);
+    index = haystack.indexOf(token, index + token.length);
+  }
+  return ranges;
+};
+
+// Sorts and merges overlapping or touching ranges
+export const mergeRanges = (ranges) =>
+  [...ranges]
+    .sort((a, b) => a[0] - b[0])
+    .reduce((merged, [start, end]) => {
+      const last = merged[merged.length - 1];
+      if (last && start <= last[1]) {
+        last[1] = Math.max(last[1], end);
+      } else {
+        merged.push([start, end]);
+      }
+      return merged;
+    }, []);
+
+/**
+ * Matches a job against query tokens. Every token has to appear somewhere
+ * (title, description, a tag or the slug) for the job to match.
+ * Returns null for no match, otherwise the highlights:
+ *   { title?: [[start, end]], description?: [[start, end]],
+ *     tags?: { [tag]: [[start, end]] } }
+ * An empty token list matches everything with no highlights.
+ */
+export const matchJob = (job, tokens) => {
+  const highlights = {};
+  const add = (field, ranges) => {
+    highlights[field] = mergeRanges([...(highlights[field] || []), ...ranges]);
+  };
+
+  for (const token of tokens) {
+    let found = false;
+    for (const field of TEXT_FIELDS) {
+      const ranges = findRanges(job[field], token);
+      if (ranges.length > 0) {
+        add(field, ranges);
+        found = true;
+      }
+    }
+    for (const tag of job.tags || []) {
+      const ranges = findRanges(tag, token);
+      if (ranges.length > 0) {
+        highlights.tags = {
+          ...highlights.tags,
+          [tag]: mergeRanges([...(highlights.tags?.[tag] || []), ...ranges]),
+        };
+        found = true;
+      }
+    }
+    // Slugs are searchable (people paste them) but never displayed
+    if (!found && !(job.slug || '').toLowerCase().includes(token)) {
+      return null;
+    }
+  }
+
+  return highlights;
+};
+
+/**
+ * Tag filter: `mode` 'any' keeps jobs with at least one of `tags`, 'all'
+ * only jobs that have every one. Comparison ignores case and whitespace.
+ */
+export const matchesTags = (job, tags, mode = 'any') => {
+  if (tags.length === 0) return true;
+  const jobTags = new Set((job.tags || []).map(normalizeTag));
+  const wanted = tags.map(normalizeTag);
+  return mode === 'all'
+    ? wanted.every((tag) => jobTags.has(tag))
+    : wanted.some((tag) => jobTags.has(tag));
+};
+
+/**
+ * Splits `text` into [{ text, hit }] segments for the given ranges. With
+ * `maxLength`, long text is cut to a window around the first hit, with
+ * ellipses marking the cut ends.
+ */
+export const splitHighlights = (text, ranges = [], maxLength = null) => {
+  let start = 0;
+  let end = text.length;
+  if (maxLength != null && text.length > maxLength) {
+    const anchor = ranges[0]?.[0] ?? 0;
+    start = Math.max(
+      0,
+      Math.min(anchor - Math.floor(maxLength / 3), text.length - maxLength)
+    );
+    end = start + maxLength;
+  }
+
+  const segments = [];
+  let cursor = start;
+  for (const [from, to] of ranges) {
+    const hitStart = Math.max(from, cursor);
+    const hitEnd = Math.min(to, end);
+    if (hitStart >= hitEnd) continue;
+    if (hitStart > cursor) {
+      segments.push({ text: text.slice(cursor, hitStart), hit: false });
+    }
+    segments.push({ text: text.slice(hitStart, hitEnd), hit: true });
+    cursor = hitEnd;
+  }
+  if (cursor < end) segments.push({ text: text.slice(cursor, end), hit: false });
+
+  if (start > 0) segments.unshift({ text: '…', hit: false });
+  if (end < text.length) segments.push({ text: '…', hit: false });
+  return segments;
+};
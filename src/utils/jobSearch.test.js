@@ -0,0 +1,87 @@
+import { describe, expect, it } from 'vitest';
+import {
+  canonicalizeTags,
+  matchesTags,
+  matchJob,
+  mergeRanges,
+  pickTagSpellings,
+  splitHighlights,
+  tokenizeQuery,
+} from './jobSearch';
+
+const job = {
+  title: 'Senior React Engineer',
+  description: 'Build React apps',
+  tags: ['React', 'Remote'],
+  slug: 'senior-react-engineer-42',
+};
+
+describe('tokenizeQuery', () => {
+  it('splits on whitespace and commas and lowercases', () => {
+    expect(tokenizeQuery('Senior  React, node.js')).toEqual(['senior', 'react', 'node.js']);
+    expect(tokenizeQuery(null)).toEqual([]);
+  });
+});
+
+describe('tags', () => {
+  it('canonicalizes to known spellings without duplicates', () => {
+    expect(canonicalizeTags([' react', 'REACT', '', 'Go', 7], ['React'])).toEqual([
+      'React',
+      'Go',
+    ]);
+  });
+
+  it('picks the most used spelling, ties going to the first seen', () => {
+    expect(
+      pickTagSpellings([['react', 'Go'], ['React'], ['React', 'go']]).sort()
+    ).toEqual(['Go', 'React']);
+  });
+
+  it('filters on any or all of the tags, ignoring case', () => {
+    expect(matchesTags(job, ['remote', 'python'])).toBe(true);
+    expect(matchesTags(job, ['remote', 'python'], 'all')).toBe(false);
+    expect(matchesTags(job, ['REMOTE', 'react'], 'all')).toBe(true);
+    expect(matchesTags(job, [])).toBe(true);
+  });
+});
+
+describe('matchJob', () => {
+  it('needs every token and reports the hits per field', () => {
+    expect(matchJob(job, ['react', 'remote'])).toEqual({
+      title: [[7, 12]],
+      description: [[6, 11]],
+      tags: { React: [[0, 5]], Remote: [[0, 6]] },
+    });
+    expect(matchJob(job, ['react', 'python'])).toBeNull();
+  });
+
+  it('matches the slug without highlighting it', () => {
+    expect(matchJob(job, ['42'])).toEqual({});
+  });
+});
+
+describe('highlights', () => {
+  it('merges overlapping and touching ranges', () => {
+    expect(mergeRanges([[5, 8], [0, 2], [2, 3], [6, 10]])).toEqual([
+      [0, 3],
+      [5, 10],
+    ]);
+  });
+
+  it('splits text into hit and plain segments', () => {
+    expect(splitHighlights('Build React apps', [[6, 11]])).toEqual([
+      { text: 'Build ', hit: false },
+      { text: 'React', hit: true },
+      { text: ' apps', hit: false },
+    ]);
+  });
+
+  it('cuts long text to a window around the first hit', () => {
+    const text = `${'a'.repeat(50)}React${'b'.repeat(50)}`;
+    const segments = splitHighlights(text, [[50, 55]], 30);
+    expect(segments[0]).toEqual({ text: '…', hit: false });
+    expect(segments.at(-1)).toEqual({ text: '…', hit: false });
+    expect(segments.find((s) => s.hit).text).toBe('React');
+    expect(segments.slice(1, -1).map((s) => s.text).join('')).toHaveLength(30);
+  });
+});
@@ -0,0 +1,125 @@
+// Pipelines are ordered { id, title } stages; candidates store the stage id
+
+const stage = (id, title) => ({ id, title });
+
+export const DEFAULT_STAGES = [
+  stage('applied', 'Applied'),
+  stage('screen', 'Screen'),
+  stage('tech', 'Tech Interview'),
+  stage('offer', 'Offer'),
+  stage('hired', 'Hired'),
+  stage('rejected', 'Rejected'),
+];
+
+// Built-in starting points, seeded into the `pipelineTemplates` table
+export const PIPELINE_TEMPLATES = [
+  { name: 'Standard', stages: DEFAULT_STAGES },
+  {
+    name: 'Engineering',
+    stages: [
+      stage('applied', 'Applied'),
+      stage('screen', 'Screen'),
+      stage('tech', 'Tech Interview 1'),
+      stage('tech-2', 'Tech Interview 2'),
+      stage('offer', 'Offer'),
+      stage('hired', 'Hired'),
+      stage('rejected', 'Rejected'),
+    ],
+  },
+  {
+    name: 'Design',
+    stages: [
+      stage('applied', 'Applied'),
+      stage('screen', 'Screen'),
+      stage('portfolio', 'Portfolio Review'),
+      stage('tech', 'Design Interview'),
+      stage('offer', 'Offer'),
+      stage('hired', 'Hired'),
+      stage('rejected', 'Rejected'),
+    ],
+  },
+];
+
+const templateStages = (name) =>
+  PIPELINE_TEMPLATES.find((t) => t.name === name).stages;
+
+// The built-in pipeline a job title suggests: engineering roles get two tech
+// rounds, design roles a portfolio review, anything else the default
+export const suggestStages = (title = '') => {
+  if (/designer|\bux\b/i.test(title)) return templateStages('Design');
+  if (/engineer|developer|devops/i.test(title)) {
+    return templateStages('Engineering');
+  }
+  return DEFAULT_STAGES;
+};
+
+// Jobs stored before pipelines were configurable have no `stages`
+export const getJobStages = (job) =>
+  job?.stages?.length > 0 ? job.stages : DEFAULT_STAGES;
+
+export const stageTitle = (stages, stageId) =>
+  stages.find((s) => s.id === stageId)?.title || stageId;
+
+// One stage per id across several pipelines, e.g. the columns of a board
+// spanning every job. A stage first seen in a later pipeline goes right after
+// the stage it follows there, so "Tech Interview 2" lands next to round 1.
+export const mergeStages = (stageLists) => {
+  const merged = [];
+  for (const stages of stageLists) {
+    stages.forEach((s, i) => {
+      if (merged.some((m) => m.id === s.id)) return;
+      const prev =
+        i > 0 ? merged.findIndex((m) => m.id === stages[i - 1].id) : -1;
+      merged.splice(prev + 1, 0, s);
+    });
+  }
+  return merged;
+};
+
+/**
+ * Checks an edited pipeline: at least one stage, and every stage with an id
+ * and a title, neither repeated (titles compared case-insensitively).
+ * Returns a list of messages, empty when valid.
+ */
+export const validateStages = (stages) => {
+  if (!Array.isArray(stages) || stages.length === 0) {
+    return ['A pipeline needs at least one stage'];
+  }
+  const issues = [];
+  const ids = new Set();
+  const titles = new Set();
+  stages.forEach((s, index) => {
+    const title = typeof s?.title === 'string' ? s.title.trim() : '';
+    if (typeof s?.id !== 'string' || !s.id) {
+      issues.push(`Stage ${index + 1} has no id`);
+    } else if (ids.has(s.id)) {
+      issues.push(`Stage id "${s.id}" is used more than once`);
+    }
+    if (!title) {
+      issues.push(`Stage ${index + 1} needs a name`);
+    } else if (titles.has(title.toLowerCase())) {
+      issues.push(`"${title}" is used for more than one stage`);
+    }
+    ids.add(s?.id);
+    titles.add(title.toLowerCase());
+  });
+  return issues;
+};
+
+// Stages of `before` that are gone from `after`
+export const removedStages = (before, after) => {
+  const kept = new Set(after.map((s) => s.id));
+  return before.filter((s) => !kept.has(s.id));
+};
+
+// Where candidates of a removed stage go by default: the nearest earlier
+// stage that is still in the pipeline, else its first stage
+export const defaultMoveTarget = (before, after, removedId) => {
+  const kept = new Set(after.map((s) => s.id));
+  const index = before.findIndex((s) => s.id === removedId);
+  const earlier = before
+    .slice(0, Math.max(index, 0))
+    .reverse()
+    .find((s) => kept.has(s.id));
+  return earlier?.id ?? after[0]?.id ?? null;
+};
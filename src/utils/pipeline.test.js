@@ -0,0 +1,87 @@
+import { describe, expect, it } from 'vitest';
+import {
+  DEFAULT_STAGES,
+  defaultMoveTarget,
+  getJobStages,
+  mergeStages,
+  removedStages,
+  stageTitle,
+  suggestStages,
+  validateStages,
+} from './pipeline';
+
+const stages = (...ids) => ids.map((id) => ({ id, title: id.toUpperCase() }));
+const ids = (list) => list.map((s) => s.id);
+
+describe('suggestStages', () => {
+  it('picks a pipeline from the job title', () => {
+    expect(ids(suggestStages('Senior Frontend Engineer'))).toContain('tech-2');
+    expect(ids(suggestStages('UX/UI Designer'))).toContain('portfolio');
+    expect(suggestStages('Product Manager')).toBe(DEFAULT_STAGES);
+  });
+});
+
+describe('getJobStages', () => {
+  it('falls back to the default pipeline for jobs without stages', () => {
+    expect(getJobStages({})).toBe(DEFAULT_STAGES);
+    expect(getJobStages({ stages: [] })).toBe(DEFAULT_STAGES);
+    expect(ids(getJobStages({ stages: stages('a') }))).toEqual(['a']);
+  });
+});
+
+describe('stageTitle', () => {
+  it('falls back to the id of an unknown stage', () => {
+    expect(stageTitle(DEFAULT_STAGES, 'tech')).toBe('Tech Interview');
+    expect(stageTitle(DEFAULT_STAGES, 'gone')).toBe('gone');
+  });
+});
+
+describe('mergeStages', () => {
+  it('keeps one stage per id and slots new ones after their predecessor', () => {
+    const merged = mergeStages([
+      stages('applied', 'tech', 'offer'),
+      stages('applied', 'tech', 'tech-2', 'offer'),
+      stages('portfolio', 'applied'),
+    ]);
+    expect(ids(merged)).toEqual(['portfolio', 'applied', 'tech', 'tech-2', 'offer']);
+  });
+});
+
+describe('validateStages', () => {
+  it('accepts a well-formed pipeline', () => {
+    expect(validateStages(DEFAULT_STAGES)).toEqual([]);
+  });
+
+  it('reports empty pipelines, missing names and repeats', () => {
+    expect(validateStages([])).toEqual(['A pipeline needs at least one stage']);
+    expect(
+      validateStages([
+        { id: 'a', title: 'Screen' },
+        { id: 'a', title: ' screen ' },
+        { id: '', title: '' },
+      ])
+    ).toEqual([
+      'Stage id "a" is used more than once',
+      '"screen" is used for more than one stage',
+      'Stage 3 has no id',
+      'Stage 3 needs a name',
+    ]);
+  });
+});
+
+describe('removed stages', () => {
+  const before = stages('applied', 'screen', 'tech', 'offer');
+
+  it('lists the stages that are gone', () => {
+    expect(ids(removedStages(before, stages('applied', 'offer')))).toEqual([
+      'screen',
+      'tech',
+    ]);
+  });
+
+  it('moves candidates to the nearest earlier stage that is kept', () => {
+    const after = stages('applied', 'offer');
+    expect(defaultMoveTarget(before, after, 'tech')).toBe('applied');
+    expect(defaultMoveTarget(before, stages('offer'), 'applied')).toBe('offer');
+  });
+});